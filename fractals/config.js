@@ -5,8 +5,10 @@
 export const FractalConfig = {
     // Canvas settings
     canvas: {
-        width: 800,
+        width: 800,                   // Size in CSS pixels when not responsive, and for headless runs
         height: 600,
+        responsive: true,             // Fill the page layout and follow it as the window resizes
+        maxPixelRatio: 3,             // Most canvas pixels per CSS pixel on high-DPI screens
         background: '#000000'
     },
     
@@ -16,8 +18,19 @@ export const FractalConfig = {
         phaseTransitionInterval: 1500,  // Frames between major transitions
         harmonicComplexity: 3,         // Number of harmonic frequencies
         entropyThreshold: 0.5,         // Threshold for system reorganization
+        attractorModel: 'sine',        // sine, lorenz, rossler, clifford, dejong or logistic
         
-        // Attractor parameters for each consciousness dimension
+        // Settings for the chaotic models. Flows advance evolutionSpeed * timeScale
+        // model time per tick; maps iterate iterationsPerUnit times per unit of evolution time
+        attractorModels: {
+            lorenz: { sigma: 10, rho: 28, beta: 8 / 3, timeScale: 0.5 },
+            rossler: { a: 0.2, b: 0.2, c: 5.7, timeScale: 3 },
+            clifford: { a: -1.4, b: 1.6, c: 1.0, d: 0.7, iterationsPerUnit: 10 },
+            dejong: { a: 1.4, b: -2.3, c: 2.4, d: -2.1, iterationsPerUnit: 10 },
+            logistic: { r: 3.9, coupling: 0.1, iterationsPerUnit: 10 }
+        },
+        
+        // Sine model parameters for each consciousness dimension
         attractors: {
             complexity: {
                 baseFrequency: 0.7,
@@ -39,6 +52,23 @@ export const FractalConfig = {
                 amplitude: 0.2,
                 harmonics: [0.8, 3.3, 1.5]
             }
+        },
+        
+        // Novelty drawn at each phase transition: chance per transition and the
+        // simulations whose transition handlers receive it
+        novelty: {
+            neural_reset: { chance: 0.3, targets: ['neural'] },
+            ecosystem_injection: { chance: 0.2, targets: ['ecosystem'] },
+            cellular_mutation: { chance: 0.15, targets: ['cellular'] },
+            consciousness_surge: { chance: 0.1, targets: [] }
+        },
+        
+        // A consciousness surge raises a temporary level that decays back to zero;
+        // simulations scale their rates by 1 + level * their surgeGain settings
+        surge: {
+            strength: 1,              // Level added per surge
+            max: 2,                   // Ceiling when surges overlap
+            decay: 0.997              // Per-tick decay factor
         }
     },
     
@@ -66,7 +96,58 @@ export const FractalConfig = {
         // Plasticity ranges
         minPlasticity: 0.001,
         maxPlasticity: 0.05,
-        plasticityEvolution: 0.02     // Plasticity change rate
+        plasticityEvolution: 0.02,    // Plasticity change rate
+        
+        // Stimulate tool
+        stimulus: 3,                  // Input injected at the brush centre
+        stimulusDecay: 0.9,           // Share of an injected input still felt the next tick
+        
+        surgeGain: { plasticity: 0.5 } // Hebbian learning boost per surge level
+    },
+    
+    // Cellular automata simulation settings
+    cellularAutomata: {
+        gridWidth: 80,                // Cells across
+        gridHeight: 60,               // Cells down
+        cellSize: 10,                 // Pixels per cell
+        initialDensity: 0.15,         // Fraction of cells alive at start
+        reproductionRate: 0.02,       // Chance a ready cell reproduces
+        mutationIntensity: 0.05,      // Type mutation chance on reproduction
+        surgeGain: { reproductionRate: 0.2, mutationIntensity: 0.3 }
+    },
+    
+    // Digital ecosystem simulation settings
+    digitalEcosystem: {
+        entityCount: 150,             // Initial entities across all species
+        maxAge: 300,                  // Ticks before an entity dies of age
+        reproductionRate: 0.003,      // Base pairing chance (adapts to consciousness)
+        mutationRate: 0.1,            // Base mutation chance (adapts to consciousness)
+        competitionRadius: 50,
+        cooperationRadius: 30,
+        resourceDensity: 0.7,         // Resource patches per 5000 px²
+        predatorPrey: true,
+        symbiosis: true,
+        surgeGain: { reproductionRate: 0.2, mutationRate: 0.3 }
+    },
+    
+    // Consciousness stream simulation settings
+    consciousnessStream: {
+        maxStreams: 12,               // Concurrent thought streams
+        streamLength: 50,
+        thoughtDensity: 0.8,          // Chance each stream slot starts filled
+        associationRange: 150,        // Distance at which streams associate
+        memoryDecay: 0.98,
+        emergenceThreshold: 0.6
+    },
+    
+    // AI experience simulation settings
+    aiExperience: {
+        maxProcessingThreads: 25,     // Parallel thinking streams
+        maxAttentionNodes: 8,
+        uncertaintyThreshold: 0.7,
+        confidenceThreshold: 0.8,
+        patternCascadeChance: 0.02,   // Per-tick chance of a new cascade
+        insightGenerationChance: 0.005
     },
     
     // Rendering configuration
@@ -75,6 +156,9 @@ export const FractalConfig = {
         targetFPS: 60,
         adaptiveQuality: true,        // Reduce quality if FPS drops
         performanceThreshold: 45,     // FPS below which to reduce quality
+        qualityRecoveryMargin: 10,    // FPS above the threshold needed to raise quality again
+        qualityDownDelay: 2,          // Seconds below the threshold before quality is reduced
+        qualityUpDelay: 5,            // Seconds of recovered FPS before quality is raised
         
         // Visual effects
         glowIntensity: 15,            // Maximum glow blur radius
@@ -82,6 +166,7 @@ export const FractalConfig = {
         pulseAmplitude: 0.3,          // Node pulsing effect strength
         colorSaturation: 70,          // Base color saturation
         colorLightness: 35,           // Base color lightness
+        theme: 'evolutionary',        // evolutionary, monochrome, viridis, cividis or print (see core/palette.js)
         
         // Connection rendering
         connectionAlphaThreshold: 0.05, // Minimum alpha for drawing connections
@@ -93,24 +178,33 @@ export const FractalConfig = {
             neural: { mode: 'screen', alpha: 0.4 },
             cellular: { mode: 'screen', alpha: 0.3 },
             ecosystem: { mode: 'screen', alpha: 0.35 },
-            consciousness: { mode: 'screen', alpha: 0.5 }
+            consciousness: { mode: 'screen', alpha: 0.5 },
+            aiExperience: { mode: 'screen', alpha: 0.5 }
         }
     },
     
+    // View camera: mouse wheel zooms, dragging pans (see core/camera.js)
+    camera: {
+        minZoom: 0.25,                // Furthest out, as a multiple of the world's size
+        maxZoom: 16,                  // Closest in
+        zoomStep: 1.15,               // Zoom factor per mouse wheel notch
+        fitPadding: 0.05,             // Margin left on each side when fitting content
+        followEasing: 0.15            // Share of the way to a followed entity covered each frame
+    },
+    
     // UI and interaction settings
     ui: {
         evolutionBarAnimationSpeed: 0.3, // CSS transition speed
         keyboardShortcuts: true,         // Enable keyboard controls
         performanceDisplay: false,       // Show performance info by default
         debugMode: false,                // Enable debug features
+        inspectorInterval: 250,          // Milliseconds between refreshes of the entity inspector
+        brushRadius: 24,                 // Screen pixels reached by interaction tools, whatever the zoom
         
-        // Mode descriptions
+        // Mode descriptions; simulations describe themselves in their registry
+        // definition, and an entry here keyed by simulation id overrides it
         modeDescriptions: {
-            all: "Multiple fractal consciousness patterns evolving autonomously, showing emergent behavior and self-organization without external control.",
-            neural: "Self-organizing neural networks that adapt and evolve their connections based on internal dynamics and feedback loops.",
-            cellular: "Digital life forms emerging from simple rules, creating complex patterns through local interactions and evolutionary pressure.",
-            ecosystem: "An autonomous ecosystem of digital entities that interact, compete, cooperate, and evolve in real-time.",
-            consciousness: "A flowing stream of thought patterns, memories, and associations forming and dissolving in continuous transformation."
+            all: "Multiple fractal consciousness patterns evolving autonomously, showing emergent behavior and self-organization without external control."
         }
     },
     
@@ -134,12 +228,36 @@ export const FractalConfig = {
         logLevel: 'info',             // 'debug', 'info', 'warn', 'error'
         showMetrics: false,           // Display real-time metrics
         exportStates: true,           // Enable state export functionality
-        performanceProfile: false,   // Detailed performance profiling
+        performanceProfile: false,    // Profile frame sections from the start (see core/profiler.js)
+        profileWindow: 120,           // Frames in the profiler's rolling averages
+        profileSpikeFactor: 2,        // Frames over this multiple of a section's average are spikes
         networkAnalysis: false,       // Log network topology changes
         
         // Console commands
         enableConsoleCommands: true,
         monitoringInterval: 100       // Milliseconds for debug monitoring
+    },
+    
+    // Metrics time-series recorder (core parameters plus every simulation's getState())
+    metrics: {
+        enabled: false,               // Start recording as soon as the system starts
+        interval: 10,                 // Ticks between samples
+        capacity: 10000               // Samples kept before the oldest are overwritten
+    },
+    
+    // Frame capture for exporting runs as media
+    capture: {
+        format: 'png',                // 'png' (zipped PNG sequence) or 'webm'
+        fps: 30,                      // Frames per second of simulated time
+        maxFrames: 900,               // Capture stops and downloads after this many frames
+        overlay: false,               // Include the info overlay (P) in captured frames
+        videoBitsPerSecond: 8000000   // WebM bitrate
+    },
+    
+    // Simulation worker: ticks run off the main thread, which draws from the snapshots
+    // it posts back (see core/worker-engine.js)
+    worker: {
+        enabled: true                 // Step on the main thread instead when false
     }
 };
 
@@ -148,6 +266,16 @@ export function mergeConfig(overrides) {
     return deepMerge(FractalConfig, overrides);
 }
 
+// Build the running configuration from a named preset plus any further overrides
+export function createConfig(presetName = 'default', overrides = {}) {
+    if (presetName !== 'default' && !Presets[presetName]) {
+        throw new Error(`Unknown preset: ${presetName} (expected default, ${Object.keys(Presets).join(', ')})`);
+    }
+    
+    const preset = presetName === 'default' ? {} : Presets[presetName];
+    return deepMerge(mergeConfig(preset), overrides);
+}
+
 function deepMerge(target, source) {
     const result = { ...target };
     
@@ -0,0 +1,364 @@
+/**
+ * Attractor Models
+ * Drivers for the consciousness parameters. Each model advances once per tick and
+ * maps its state onto complexity, emergence, coherence and adaptation. The sine
+ * model is the original sum of harmonics; the others integrate genuinely chaotic
+ * systems so long runs never repeat
+ */
+
+export const PARAMETERS = ['complexity', 'emergence', 'coherence', 'adaptation'];
+
+/**
+ * Interface every model implements:
+ *   constructor(config, random)   config is the consciousness section of FractalConfig
+ *   configure(config)             apply updated settings without losing state
+ *   step(evolution) -> values     advance one tick; values keyed by PARAMETERS
+ *   perturb()                     nudge the model during a phase transition
+ *   serialize() / deserialize(data)
+ */
+export class AttractorModel {
+    constructor(config, random) {
+        this.random = random;
+        this.configure(config);
+    }
+
+    configure(config) {
+        this.config = config;
+        this.settings = config.attractorModels?.[this.name] ?? {};
+    }
+
+    /**
+     * Map raw model outputs onto the 0.1-0.9 parameter range
+     */
+    scale(raw, ranges) {
+        const values = {};
+        PARAMETERS.forEach((param, i) => {
+            const [min, max] = ranges[i];
+            values[param] = 0.1 + 0.8 * Math.max(0, Math.min(1, (raw[i] - min) / (max - min)));
+        });
+        return values;
+    }
+}
+
+/**
+ * Sum of sines with harmonics and a phase shift (the original model)
+ */
+export class SineAttractor extends AttractorModel {
+    get name() {
+        return 'sine';
+    }
+
+    constructor(config, random) {
+        super(config, random);
+        this.attractors = {};
+
+        Object.entries(config.attractors).forEach(([param, settings]) => {
+            this.attractors[param] = {
+                frequency: settings.baseFrequency,
+                amplitude: settings.amplitude,
+                harmonics: settings.harmonics.slice(0, config.harmonicComplexity)
+            };
+        });
+    }
+
+    step(evolution) {
+        const t = evolution.attractorTime;
+        const values = {};
+
+        // Non-linear evolution with multiple harmonics
+        Object.entries(this.attractors).forEach(([param, attractor]) => {
+            const base = 0.5;
+
+            let value = base;
+            value += Math.sin(t * attractor.frequency) * attractor.amplitude;
+
+            // Add harmonic complexity
+            attractor.harmonics.forEach((harmonic, i) => {
+                const amplitude = attractor.amplitude * (0.1 / (i + 1));
+                value += Math.sin(t * harmonic) * amplitude;
+            });
+
+            // Add phase shift influence
+            value += Math.cos(t * attractor.frequency + evolution.phaseShift) * 0.05;
+
+            values[param] = value;
+        });
+
+        return values;
+    }
+
+    perturb() {
+        // Slightly modify attractors for evolution
+        Object.values(this.attractors).forEach(attractor => {
+            attractor.frequency += (this.random.next() - 0.5) * 0.1;
+            attractor.amplitude += (this.random.next() - 0.5) * 0.05;
+            attractor.amplitude = Math.max(0.1, Math.min(0.4, attractor.amplitude));
+        });
+    }
+
+    serialize() {
+        return JSON.parse(JSON.stringify(this.attractors));
+    }
+
+    deserialize(data) {
+        this.attractors = JSON.parse(JSON.stringify(data));
+    }
+}
+
+/**
+ * Continuous system integrated with fourth-order Runge-Kutta. Model time advances by
+ * evolutionSpeed * timeScale per tick
+ */
+class FlowAttractor extends AttractorModel {
+    constructor(config, random) {
+        super(config, random);
+
+        // Random start, then settle onto the attractor before driving anything
+        this.state = this.initialState().map(value => value + (this.random.next() - 0.5));
+        for (let i = 0; i < 2000; i++) {
+            this.integrate(0.01);
+        }
+    }
+
+    step() {
+        this.integrate(this.config.evolutionSpeed * this.settings.timeScale);
+        return this.scale(this.observe(this.state), this.ranges());
+    }
+
+    integrate(dt) {
+        const s = this.state;
+        const k1 = this.derivative(s);
+        const k2 = this.derivative(s.map((v, i) => v + k1[i] * dt / 2));
+        const k3 = this.derivative(s.map((v, i) => v + k2[i] * dt / 2));
+        const k4 = this.derivative(s.map((v, i) => v + k3[i] * dt));
+
+        this.state = s.map((v, i) => v + (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * dt / 6);
+    }
+
+    /**
+     * Three coordinates plus the distance from the z axis
+     */
+    observe([x, y, z]) {
+        return [x, y, z, Math.hypot(x, y)];
+    }
+
+    perturb() {
+        // Tiny kicks are enough; chaos amplifies them into a different trajectory
+        this.state = this.state.map(value => value + (this.random.next() - 0.5) * 0.1);
+    }
+
+    serialize() {
+        return { state: [...this.state] };
+    }
+
+    deserialize(data) {
+        this.state = [...data.state];
+    }
+}
+
+/**
+ * Lorenz system (sigma, rho, beta)
+ */
+export class LorenzAttractor extends FlowAttractor {
+    get name() {
+        return 'lorenz';
+    }
+
+    initialState() {
+        return [1, 1, 20];
+    }
+
+    derivative([x, y, z]) {
+        const { sigma, rho, beta } = this.settings;
+        return [sigma * (y - x), x * (rho - z) - y, x * y - beta * z];
+    }
+
+    ranges() {
+        return [[-20, 20], [-27, 27], [5, 45], [0, 30]];
+    }
+}
+
+/**
+ * Rössler system (a, b, c)
+ */
+export class RosslerAttractor extends FlowAttractor {
+    get name() {
+        return 'rossler';
+    }
+
+    initialState() {
+        return [1, 1, 0];
+    }
+
+    derivative([x, y, z]) {
+        const { a, b, c } = this.settings;
+        return [-y - z, x + a * y, b + z * (x - c)];
+    }
+
+    /**
+     * z rests near zero between brief spikes, so it is compressed logarithmically
+     */
+    observe([x, y, z]) {
+        return [x, y, Math.log1p(Math.max(0, z)), Math.hypot(x, y)];
+    }
+
+    ranges() {
+        return [[-10, 12], [-11, 8], [0, 2.5], [0, 13]];
+    }
+}
+
+/**
+ * Discrete map iterated iterationsPerUnit times per unit of evolution time. Values
+ * ease between successive iterates so the parameters never jump
+ */
+class MapAttractor extends AttractorModel {
+    constructor(config, random) {
+        super(config, random);
+
+        this.from = this.initialState().map(value => value + (this.random.next() - 0.5) * 0.1);
+        for (let i = 0; i < 100; i++) {
+            this.from = this.iterate(this.from);
+        }
+        this.to = this.iterate(this.from);
+        this.phase = 0;
+    }
+
+    step() {
+        this.phase += this.config.evolutionSpeed * this.settings.iterationsPerUnit;
+        while (this.phase >= 1) {
+            this.phase -= 1;
+            this.from = this.to;
+            this.to = this.iterate(this.to);
+        }
+
+        const ease = this.phase * this.phase * (3 - 2 * this.phase);
+        const state = this.from.map((value, i) => value + (this.to[i] - value) * ease);
+        return this.scale(state, this.ranges());
+    }
+
+    perturb() {
+        this.to = this.to.map(value => value + (this.random.next() - 0.5) * 0.01);
+    }
+
+    serialize() {
+        return { from: [...this.from], to: [...this.to], phase: this.phase };
+    }
+
+    deserialize(data) {
+        this.from = [...data.from];
+        this.to = [...data.to];
+        this.phase = data.phase;
+    }
+}
+
+/**
+ * Two-dimensional map whose current and previous points drive the four parameters
+ */
+class PlaneMapAttractor extends MapAttractor {
+    initialState() {
+        return [0.1, 0.1, 0, 0];
+    }
+
+    iterate([x, y]) {
+        return [...this.map(x, y), x, y];
+    }
+}
+
+/**
+ * Clifford map: x' = sin(a y) + c cos(a x), y' = sin(b x) + d cos(b y)
+ */
+export class CliffordAttractor extends PlaneMapAttractor {
+    get name() {
+        return 'clifford';
+    }
+
+    map(x, y) {
+        const { a, b, c, d } = this.settings;
+        return [Math.sin(a * y) + c * Math.cos(a * x), Math.sin(b * x) + d * Math.cos(b * y)];
+    }
+
+    ranges() {
+        const { c, d } = this.settings;
+        const rx = [-1 - Math.abs(c), 1 + Math.abs(c)];
+        const ry = [-1 - Math.abs(d), 1 + Math.abs(d)];
+        return [rx, ry, rx, ry];
+    }
+}
+
+/**
+ * Peter de Jong map: x' = sin(a y) - cos(b x), y' = sin(c x) - cos(d y)
+ */
+export class DeJongAttractor extends PlaneMapAttractor {
+    get name() {
+        return 'dejong';
+    }
+
+    map(x, y) {
+        const { a, b, c, d } = this.settings;
+        return [Math.sin(a * y) - Math.cos(b * x), Math.sin(c * x) - Math.cos(d * y)];
+    }
+
+    ranges() {
+        return [[-2, 2], [-2, 2], [-2, 2], [-2, 2]];
+    }
+}
+
+/**
+ * Ring of four diffusively coupled logistic maps, one per parameter
+ */
+export class CoupledLogisticAttractor extends MapAttractor {
+    get name() {
+        return 'logistic';
+    }
+
+    initialState() {
+        return [0.2, 0.4, 0.6, 0.8];
+    }
+
+    iterate(state) {
+        const { r, coupling } = this.settings;
+        // Clamped so a perturbation past the unit interval cannot diverge
+        const f = state.map(x => {
+            const v = Math.max(0, Math.min(1, x));
+            return r * v * (1 - v);
+        });
+
+        return f.map((value, i) => {
+            const left = f[(i + f.length - 1) % f.length];
+            const right = f[(i + 1) % f.length];
+            return (1 - coupling) * value + coupling * (left + right) / 2;
+        });
+    }
+
+    ranges() {
+        return PARAMETERS.map(() => [0, 1]);
+    }
+}
+
+// Models selectable through consciousness.attractorModel
+export const AttractorModels = {
+    sine: SineAttractor,
+    lorenz: LorenzAttractor,
+    rossler: RosslerAttractor,
+    clifford: CliffordAttractor,
+    dejong: DeJongAttractor,
+    logistic: CoupledLogisticAttractor
+};
+
+/**
+ * Make an additional model available by name
+ */
+export function registerAttractorModel(name, ModelClass) {
+    AttractorModels[name] = ModelClass;
+}
+
+/**
+ * Create the named model, throwing for names that have not been registered
+ */
+export function createAttractorModel(name, config, random) {
+    const ModelClass = AttractorModels[name];
+    if (!ModelClass) {
+        throw new Error(`Unknown attractor model: ${name} (expected ${Object.keys(AttractorModels).join(', ')})`);
+    }
+    return new ModelClass(config, random);
+}
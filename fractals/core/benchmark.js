@@ -0,0 +1,37 @@
+/**
+ * Benchmark
+ * Times the update of a simulation on a headless engine, to measure how its cost
+ * per tick grows with its size. Runs under plain Node as well as in the browser
+ */
+import { SimulationEngine } from './engine.js';
+
+/**
+ * Step a fresh engine in one mode and report the time per tick, e.g.
+ * benchmark({ mode: 'ecosystem', overrides: { digitalEcosystem: { entityCount: 1000 } } }).
+ * Warm-up ticks are not timed
+ */
+export function benchmark({
+    mode,
+    preset = 'default',
+    overrides = {},
+    ticks = 100,
+    warmup = 10,
+    width = 1280,
+    height = 720,
+    seed = 1
+} = {}) {
+    const engine = new SimulationEngine({ width, height, seed, mode, preset, overrides });
+    engine.advance(warmup);
+
+    const start = performance.now();
+    engine.advance(ticks);
+    const elapsed = performance.now() - start;
+
+    return {
+        mode: engine.mode,
+        ticks,
+        msPerTick: elapsed / ticks,
+        ticksPerSecond: ticks / (elapsed / 1000),
+        state: engine.getSystemState().simulations[engine.mode] ?? null
+    };
+}
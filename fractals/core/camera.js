@@ -0,0 +1,247 @@
+/**
+ * View Camera
+ * Maps the world the simulations draw in onto the canvas. The world is the canvas
+ * space in CSS pixels; the camera pans and zooms over it, can fit a region into view
+ * and can follow a moving entity. World-space helpers for bounds, picking and
+ * resizing follow
+ */
+
+// Smallest side, in CSS pixels, of a surface whose layout is carried over on resize
+const MIN_LAYOUT_SIZE = 32;
+
+export class Camera {
+    constructor(width, height, config) {
+        this.configure(config);
+        this.setViewport(width, height);
+        this.reset();
+    }
+
+    /**
+     * Apply the camera section of a merged FractalConfig
+     */
+    configure(config) {
+        this.config = config;
+        if (this.zoom !== undefined) {
+            this.zoom = this.clampZoom(this.zoom);
+        }
+    }
+
+    /**
+     * Size of the canvas the view is drawn into. The world is resized along with
+     * the canvas, so the view centre moves in proportion
+     */
+    setViewport(width, height) {
+        if (this.width) {
+            this.x *= width / this.width;
+            this.y *= height / this.height;
+        }
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Show the world one-to-one, as drawn without a camera
+     */
+    reset() {
+        this.x = this.width / 2;
+        this.y = this.height / 2;
+        this.zoom = 1;
+        this.target = null;
+    }
+
+    /**
+     * Canvas transform for drawing in world coordinates, as setTransform() arguments
+     */
+    get transform() {
+        return [this.zoom, 0, 0, this.zoom, this.width / 2 - this.x * this.zoom, this.height / 2 - this.y * this.zoom];
+    }
+
+    screenToWorld(x, y) {
+        return {
+            x: this.x + (x - this.width / 2) / this.zoom,
+            y: this.y + (y - this.height / 2) / this.zoom
+        };
+    }
+
+    worldToScreen(x, y) {
+        return {
+            x: (x - this.x) * this.zoom + this.width / 2,
+            y: (y - this.y) * this.zoom + this.height / 2
+        };
+    }
+
+    /**
+     * Zoom by a factor, keeping the world point under a canvas position in place
+     * (the point being followed stays centred instead)
+     */
+    zoomAt(screenX, screenY, factor) {
+        const zoom = this.clampZoom(this.zoom * factor);
+        if (this.target) {
+            this.zoom = zoom;
+            return;
+        }
+
+        const anchor = this.screenToWorld(screenX, screenY);
+        this.zoom = zoom;
+        this.x = anchor.x - (screenX - this.width / 2) / zoom;
+        this.y = anchor.y - (screenY - this.height / 2) / zoom;
+    }
+
+    /**
+     * Move the view by a distance in canvas pixels; panning stops following
+     */
+    panBy(dx, dy) {
+        this.target = null;
+        this.x -= dx / this.zoom;
+        this.y -= dy / this.zoom;
+    }
+
+    /**
+     * Centre a world rectangle { x, y, width, height } and zoom until it fills the view
+     */
+    fit(bounds) {
+        const padding = 1 - this.config.fitPadding * 2;
+        const width = Math.max(bounds.width, 1);
+        const height = Math.max(bounds.height, 1);
+
+        this.target = null;
+        this.x = bounds.x + bounds.width / 2;
+        this.y = bounds.y + bounds.height / 2;
+        this.zoom = this.clampZoom(Math.min(this.width / width, this.height / height) * padding);
+    }
+
+    /**
+     * Keep a moving point centred. locate() returns its world position { x, y },
+     * or null once it no longer exists
+     */
+    follow(locate) {
+        this.target = locate;
+    }
+
+    unfollow() {
+        this.target = null;
+    }
+
+    get following() {
+        return this.target !== null;
+    }
+
+    /**
+     * Ease toward the followed point, once per frame. Returns false when the point
+     * has disappeared and following has stopped
+     */
+    update() {
+        if (!this.target) return true;
+
+        const position = this.target();
+        if (!position) {
+            this.target = null;
+            return false;
+        }
+
+        const easing = this.config.followEasing;
+        this.x += (position.x - this.x) * easing;
+        this.y += (position.y - this.y) * easing;
+        return true;
+    }
+
+    clampZoom(zoom) {
+        return Math.max(this.config.minZoom, Math.min(this.config.maxZoom, zoom));
+    }
+
+    /**
+     * The world rectangle currently in view
+     */
+    getVisibleBounds() {
+        const topLeft = this.screenToWorld(0, 0);
+        return { x: topLeft.x, y: topLeft.y, width: this.width / this.zoom, height: this.height / this.zoom };
+    }
+
+    /**
+     * Camera position for display and debugging
+     */
+    getState() {
+        return { x: this.x, y: this.y, zoom: this.zoom, following: this.following };
+    }
+}
+
+/**
+ * Carry positions from a previous surface size to a new one: { carried, scaleX,
+ * scaleY } and x(value), y(value), which scale a coordinate and keep it on the new
+ * surface. A previous surface under MIN_LAYOUT_SIZE along a side (a collapsed or
+ * hidden canvas) held no real layout and would scale positions without bound, so
+ * nothing is carried from it: its factors are 1
+ */
+export function surfaceScale(surface, previous) {
+    const degenerate = previous.width < MIN_LAYOUT_SIZE || previous.height < MIN_LAYOUT_SIZE;
+    const scaleX = degenerate ? 1 : surface.width / previous.width;
+    const scaleY = degenerate ? 1 : surface.height / previous.height;
+
+    return {
+        carried: !degenerate,
+        scaleX,
+        scaleY,
+        x: value => Math.min(Math.max(value * scaleX, 0), surface.width),
+        y: value => Math.min(Math.max(value * scaleY, 0), surface.height)
+    };
+}
+
+/**
+ * Smallest rectangle containing every point { x, y }, grown by a margin; null for no points
+ */
+export function boundsOf(points, margin = 0) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    points.forEach(({ x, y }) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+
+    if (minX === Infinity) return null;
+    return { x: minX - margin, y: minY - margin, width: maxX - minX + margin * 2, height: maxY - minY + margin * 2 };
+}
+
+/**
+ * Smallest rectangle containing every given rectangle; null when there are none
+ */
+export function unionBounds(rectangles) {
+    return boundsOf(rectangles.flatMap(({ x, y, width, height }) => [{ x, y }, { x: x + width, y: y + height }]));
+}
+
+/**
+ * The candidate { x, y, radius } whose circle, widened by tolerance, contains a
+ * world point, nearest its centre first; null when none does
+ */
+export function pickNearest(candidates, point, tolerance = 0) {
+    let picked = null;
+    let closest = Infinity;
+
+    candidates.forEach(candidate => {
+        const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+        if (distance <= candidate.radius + tolerance && distance < closest) {
+            picked = candidate;
+            closest = distance;
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Distance from a world point to the line segment between points a and b
+ */
+export function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+        : 0;
+
+    return Math.hypot(a.x + t * dx - point.x, a.y + t * dy - point.y);
+}
@@ -0,0 +1,245 @@
+/**
+ * Frame Capture
+ * Records the canvas at a fixed simulation rate, one frame for every tickRate / fps
+ * ticks however fast the display is running, as a zipped PNG sequence or a WebM video
+ */
+
+export const CaptureFormats = ['png', 'webm'];
+
+// Checks of the numeric settings, each returning what was expected when a value fails
+export const CaptureLimits = {
+    fps: value => Number.isFinite(value) && value > 0 ? null : 'a positive number',
+    maxFrames: value => Number.isInteger(value) && value >= 1 ? null : 'a whole number of at least 1'
+};
+
+// Preferred WebM encodings, best first
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export class FrameCapture {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.active = false;
+        this.settings = null;
+        this.frames = 0;
+    }
+
+    /**
+     * Begin capturing with { format, fps, maxFrames, overlay, videoBitsPerSecond }
+     */
+    start(settings) {
+        if (this.active) {
+            throw new Error('A capture is already running');
+        }
+        if (!CaptureFormats.includes(settings.format)) {
+            throw new Error(`Unknown capture format: ${settings.format} (expected ${CaptureFormats.join(' or ')})`);
+        }
+        Object.entries(CaptureLimits).forEach(([name, check]) => {
+            const expected = check(settings[name]);
+            if (expected) {
+                throw new Error(`Invalid capture ${name}: ${settings[name]} (expected ${expected})`);
+            }
+        });
+
+        this.settings = { ...settings };
+        this.frames = 0;
+        this.pending = [];              // PNG blobs, in frame order
+        this.lastFrameTime = null;
+        this.tickAccumulator = 0;
+
+        if (settings.format === 'webm') {
+            this.startVideo();
+        }
+        this.active = true;
+    }
+
+    /**
+     * Record the canvas through MediaRecorder, adding a video frame only when one is captured
+     */
+    startVideo() {
+        if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+            throw new Error('WebM capture needs MediaRecorder and canvas.captureStream()');
+        }
+
+        const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM video');
+        }
+
+        // A frame rate of 0 means frames are only added by requestFrame()
+        this.stream = this.canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        this.chunks = [];
+        this.recorder = new MediaRecorder(this.stream, {
+            mimeType,
+            videoBitsPerSecond: this.settings.videoBitsPerSecond
+        });
+        this.recorder.ondataavailable = event => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.start();
+    }
+
+    /**
+     * Whether a frame is due at a display time. Frames are paced at the capture rate
+     * so the live view keeps its speed; when the display falls behind, frames come
+     * later but each still covers the same simulated time
+     */
+    frameDue(now) {
+        const interval = 1000 / this.settings.fps;
+
+        if (this.lastFrameTime !== null && now - this.lastFrameTime < interval) {
+            return false;
+        }
+
+        // Stay on the capture rate's grid unless a stall has left it far behind
+        const onGrid = this.lastFrameTime !== null && now - this.lastFrameTime < interval * 2;
+        this.lastFrameTime = onGrid ? this.lastFrameTime + interval : now;
+        return true;
+    }
+
+    /**
+     * Simulation ticks to run before the next frame; fractions carry over
+     */
+    ticksForFrame(tickRate, speed = 1) {
+        this.tickAccumulator += tickRate * speed / this.settings.fps;
+        const ticks = Math.floor(this.tickAccumulator);
+        this.tickAccumulator -= ticks;
+        return ticks;
+    }
+
+    /**
+     * Grab the canvas as it is now, returning true once the frame limit is reached
+     */
+    captureFrame() {
+        if (this.settings.format === 'png') {
+            // toBlob copies the canvas immediately, so later drawing cannot leak in
+            this.pending.push(new Promise(resolve => this.canvas.toBlob(resolve, 'image/png')));
+        } else {
+            this.track.requestFrame();
+        }
+
+        this.frames++;
+        return this.frames >= this.settings.maxFrames;
+    }
+
+    /**
+     * Finish capturing; resolves to { blob, extension, frames }
+     */
+    async stop() {
+        this.active = false;
+        const frames = this.frames;
+
+        if (this.settings.format === 'webm') {
+            await new Promise((resolve, reject) => {
+                this.recorder.onstop = resolve;
+                this.recorder.onerror = event => reject(event.error ?? new Error('The video recorder failed'));
+                this.recorder.stop();
+            });
+            this.track.stop();
+
+            return { blob: new Blob(this.chunks, { type: 'video/webm' }), extension: 'webm', frames };
+        }
+
+        const blobs = await Promise.all(this.pending);
+        if (blobs.includes(null)) {
+            throw new Error('The canvas could not be encoded as PNG (is it empty or too large?)');
+        }
+        const files = await Promise.all(blobs.map(async (blob, i) => ({
+            name: `frame-${String(i).padStart(5, '0')}.png`,
+            data: new Uint8Array(await blob.arrayBuffer())
+        })));
+        this.pending = [];
+
+        return { blob: createZip(files), extension: 'zip', frames };
+    }
+
+    /**
+     * Capture status for display and debugging
+     */
+    getState() {
+        return {
+            active: this.active,
+            format: this.settings?.format ?? null,
+            frames: this.frames,
+            maxFrames: this.settings?.maxFrames ?? null
+        };
+    }
+}
+
+/**
+ * Uncompressed ZIP archive of { name, data } files. PNGs are already compressed,
+ * so storing them as-is costs little and keeps this small
+ */
+export function createZip(files, date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const encoder = new TextEncoder();
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);       // Local file header signature
+        local.setUint16(4, 20, true);               // Version needed (2.0)
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);     // Compressed size (stored)
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);     // Central directory signature
+        central.setUint16(4, 20, true);             // Version made by
+        central.setUint16(6, 20, true);             // Version needed
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);        // Offset of the local header
+        directory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);             // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
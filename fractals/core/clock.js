@@ -0,0 +1,153 @@
+/**
+ * Fixed-Timestep Simulation Clock
+ * Decouples the simulation tick rate from the display refresh rate, with
+ * pause/resume, single-stepping, speed control and catch-up limits
+ */
+export class SimulationClock {
+    constructor({
+        tickRate = 60,
+        speed = 1,
+        minSpeed = 0.25,
+        maxSpeed = 16,
+        maxTicksPerFrame = 64,
+        maxFrameDelta = 250
+    } = {}) {
+        this.tickRate = tickRate;              // Simulation ticks per second at 1x
+        this.minSpeed = minSpeed;
+        this.maxSpeed = maxSpeed;
+        this.maxTicksPerFrame = maxTicksPerFrame; // Catch-up limit per rendered frame
+        this.maxFrameDelta = maxFrameDelta;       // Longest real-time gap honoured (ms)
+        this.speed = this.clampSpeed(speed);
+
+        this.paused = false;
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.pendingSteps = 0;
+        this.droppedTicks = 0;
+        this.totalTicks = 0;
+    }
+
+    /**
+     * Milliseconds of simulated time per tick
+     */
+    get tickDuration() {
+        return 1000 / this.tickRate;
+    }
+
+    /**
+     * Work out how many ticks to run for a frame rendered at `now`
+     */
+    advance(now) {
+        const elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+        this.lastTime = now;
+
+        let ticks = 0;
+
+        if (!this.paused) {
+            // Ignore long stalls (background tabs, debugger pauses) instead of fast-forwarding
+            this.accumulator += Math.min(elapsed, this.maxFrameDelta) * this.speed;
+            ticks = Math.floor(this.accumulator / this.tickDuration);
+            this.accumulator -= ticks * this.tickDuration;
+
+            if (ticks > this.maxTicksPerFrame) {
+                this.droppedTicks += ticks - this.maxTicksPerFrame;
+                ticks = this.maxTicksPerFrame;
+                this.accumulator = 0;
+            }
+        }
+
+        // Single steps requested while paused
+        ticks += this.pendingSteps;
+        this.pendingSteps = 0;
+
+        this.totalTicks += ticks;
+        return ticks;
+    }
+
+    /**
+     * Forget the last frame time, so time the clock was not driving (such as a frame
+     * capture) is not caught up on the next frame
+     */
+    resync() {
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Pause the simulation (rendering continues)
+     */
+    pause() {
+        this.paused = true;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Resume the simulation
+     */
+    resume() {
+        this.paused = false;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Toggle between paused and running
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Queue ticks to run on the next frame, pausing so they can be inspected
+     */
+    step(ticks = 1) {
+        this.pause();
+        this.pendingSteps += Math.max(0, Math.floor(ticks));
+    }
+
+    /**
+     * Set the speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = this.clampSpeed(speed);
+        return this.speed;
+    }
+
+    /**
+     * Double the speed
+     */
+    faster() {
+        return this.setSpeed(this.speed * 2);
+    }
+
+    /**
+     * Halve the speed
+     */
+    slower() {
+        return this.setSpeed(this.speed / 2);
+    }
+
+    /**
+     * Clamp a speed multiplier to the supported range
+     */
+    clampSpeed(speed) {
+        return Math.max(this.minSpeed, Math.min(this.maxSpeed, Number(speed) || 1));
+    }
+
+    /**
+     * Get clock state for display and debugging
+     */
+    getState() {
+        return {
+            paused: this.paused,
+            speed: this.speed,
+            tickRate: this.tickRate,
+            totalTicks: this.totalTicks,
+            droppedTicks: this.droppedTicks
+        };
+    }
+}
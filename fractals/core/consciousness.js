@@ -2,8 +2,18 @@
  * Core Consciousness System
  * Manages the autonomous evolution of consciousness parameters
  */
+import { SeededRandom } from './random.js';
+import { EventBus, EventTypes } from './events.js';
+import { createAttractorModel } from './attractors.js';
+import { FractalConfig } from '../config.js';
+
 export class ConsciousnessCore {
-    constructor() {
+    constructor(random = new SeededRandom(), events = new EventBus(), config = FractalConfig, onTransition = () => {}) {
+        this.random = random;
+        this.events = events;
+        this.onTransition = onTransition;   // Lets the simulations react before the event is published
+        this.configure(config);
+        
         this.parameters = {
             complexity: 0.5,
             emergence: 0.3,
@@ -13,53 +23,138 @@ export class ConsciousnessCore {
         
         this.evolution = {
             time: 0,
+            attractorTime: 0,   // Accumulated so evolution speed can change without a jump
             cycle: 0,
             phaseShift: 0,
-            lastTransition: 0
+            lastTransition: 0,
+            surge: 0            // Decaying boost raised by consciousness surges
         };
         
-        this.attractor = {
-            complexity: { frequency: 0.7, amplitude: 0.3, harmonics: [1.9, 3.1] },
-            emergence: { frequency: 0.5, amplitude: 0.25, harmonics: [2.3, 4.7] },
-            coherence: { frequency: 0.9, amplitude: 0.2, harmonics: [1.7, 2.9] },
-            adaptation: { frequency: 1.1, amplitude: 0.2, harmonics: [0.8, 3.3] }
-        };
+        // Manual control of individual parameters (locks, blends and ramps) by name
+        this.controls = {};
+        
+        this.attractor = this.createAttractors();
+    }
+    
+    /**
+     * Apply a merged FractalConfig (evolution settings)
+     */
+    configure(config) {
+        const settings = config.consciousness;
+        
+        // Switching models starts the new one fresh (throwing before anything changes
+        // if the name is unknown); otherwise the model keeps its state
+        if (this.attractor && this.attractor.name !== settings.attractorModel) {
+            this.attractor = this.createAttractors(settings.attractorModel, settings);
+        } else if (this.attractor) {
+            this.attractor.configure(settings);
+        }
+        
+        this.config = settings;
+    }
+    
+    /**
+     * Build an attractor model (see core/attractors.js), by default the configured one
+     */
+    createAttractors(name = this.config.attractorModel, settings = this.config) {
+        return createAttractorModel(name, settings, this.random);
     }
     
     /**
-     * Evolve consciousness parameters using chaotic attractors
+     * Evolve consciousness parameters using the attractor model
      */
     evolve() {
         this.evolution.time++;
-        const t = this.evolution.time * 0.0008;
+        this.evolution.attractorTime += this.config.evolutionSpeed;
+        this.evolution.surge *= this.config.surge.decay;
         
-        // Non-linear evolution with multiple harmonics
+        const values = this.attractor.step(this.evolution);
         Object.keys(this.parameters).forEach(param => {
-            const attractor = this.attractor[param];
-            const base = 0.5;
-            
-            let value = base;
-            value += Math.sin(t * attractor.frequency) * attractor.amplitude;
-            
-            // Add harmonic complexity
-            attractor.harmonics.forEach((harmonic, i) => {
-                const amplitude = attractor.amplitude * (0.1 / (i + 1));
-                value += Math.sin(t * harmonic) * amplitude;
-            });
-            
-            // Add phase shift influence
-            value += Math.cos(t * attractor.frequency + this.evolution.phaseShift) * 0.05;
-            
             // Clamp to valid range
-            this.parameters[param] = Math.max(0.1, Math.min(0.9, value));
+            const autonomous = Math.max(0.1, Math.min(0.9, values[param]));
+            this.parameters[param] = this.applyControl(param, autonomous);
         });
         
         // Major phase transitions
-        if (this.evolution.time - this.evolution.lastTransition > 1500) {
+        if (this.evolution.time - this.evolution.lastTransition > this.config.phaseTransitionInterval) {
             this.triggerPhaseTransition();
         }
     }
     
+    /**
+     * Take manual control of a parameter, or hand it back with null:
+     *   { value, weight }                  lock (weight 1) or blend toward a value
+     *   { ramp: [{ to, ticks }, ...], weight, release }
+     *                                      move from the current value through each target
+     *                                      in turn, then hold the last (or release it)
+     */
+    controlParameter(name, control) {
+        if (!(name in this.parameters)) {
+            throw new Error(`Unknown parameter: ${name} (expected ${Object.keys(this.parameters).join(', ')})`);
+        }
+        if (control === null) {
+            delete this.controls[name];
+            return;
+        }
+        
+        const { value = this.parameters[name], weight = 1, ramp = [], release = false } = control;
+        const unit = number => typeof number === 'number' && number >= 0 && number <= 1;
+        
+        if (!unit(value) || !unit(weight)) {
+            throw new Error(`Parameter ${name} needs a value and weight between 0 and 1`);
+        }
+        if (!ramp.every(segment => unit(segment.to) && segment.ticks >= 1)) {
+            throw new Error(`Ramp segments for ${name} need a target between 0 and 1 and at least one tick`);
+        }
+        
+        this.controls[name] = {
+            value,
+            weight,
+            ramp: ramp.map(({ to, ticks }) => ({ to, ticks: Math.round(ticks), elapsed: 0 })),
+            release
+        };
+    }
+    
+    /**
+     * Copy of the manual controls in effect
+     */
+    getParameterControls() {
+        return JSON.parse(JSON.stringify(this.controls));
+    }
+    
+    /**
+     * Combine an autonomous value with any manual control, advancing ramps by a tick
+     */
+    applyControl(name, autonomous) {
+        const control = this.controls[name];
+        if (!control) return autonomous;
+        
+        const segment = control.ramp[0];
+        if (segment) {
+            segment.from ??= control.value;
+            segment.elapsed++;
+            control.value = segment.from + (segment.to - segment.from) * Math.min(1, segment.elapsed / segment.ticks);
+            
+            if (segment.elapsed >= segment.ticks) {
+                control.ramp.shift();
+                if (control.ramp.length === 0 && control.release) {
+                    delete this.controls[name];
+                }
+            }
+        }
+        
+        return autonomous + (control.value - autonomous) * control.weight;
+    }
+    
+    /**
+     * Push a parameter from inside a simulation; only the autonomous share of a
+     * controlled parameter moves, so locks hold
+     */
+    adjustParameter(name, delta) {
+        const weight = this.controls[name]?.weight ?? 0;
+        this.parameters[name] = Math.min(1, this.parameters[name] + delta * (1 - weight));
+    }
+    
     /**
      * Trigger a major phase transition in consciousness
      */
@@ -68,40 +163,57 @@ export class ConsciousnessCore {
         this.evolution.cycle++;
         this.evolution.lastTransition = this.evolution.time;
         
-        // Slightly modify attractors for evolution
-        Object.values(this.attractor).forEach(attractor => {
-            attractor.frequency += (Math.random() - 0.5) * 0.1;
-            attractor.amplitude += (Math.random() - 0.5) * 0.05;
-            attractor.amplitude = Math.max(0.1, Math.min(0.4, attractor.amplitude));
-        });
+        // Nudge the attractor so each cycle evolves differently
+        this.attractor.perturb();
         
-        return {
+        const novelty = this.introduceNovelty();
+        if (novelty.includes('consciousness_surge')) {
+            this.raiseSurge();
+        }
+        
+        const transition = {
             type: 'phase_transition',
             cycle: this.evolution.cycle,
-            parameters: { ...this.parameters }
+            parameters: { ...this.parameters },
+            novelty
         };
+        
+        // Called directly rather than from the event, so the simulations react whether or
+        // not the bus publishes, and events relayed from a worker only notify subscribers
+        this.onTransition(transition);
+        
+        this.events.emit(EventTypes.PHASE_TRANSITION, 'core', {
+            cycle: transition.cycle,
+            parameters: transition.parameters,
+            novelty
+        });
+        
+        return transition;
     }
     
     /**
      * Introduce novelty into the system
      */
     introduceNovelty() {
-        const noveltyTypes = [];
-        
-        if (Math.random() < 0.3) {
-            noveltyTypes.push('neural_reset');
-        }
-        if (Math.random() < 0.2) {
-            noveltyTypes.push('ecosystem_injection');
-        }
-        if (Math.random() < 0.15) {
-            noveltyTypes.push('cellular_mutation');
-        }
-        if (Math.random() < 0.1) {
-            noveltyTypes.push('consciousness_surge');
-        }
-        
-        return noveltyTypes;
+        return Object.entries(this.config.novelty)
+            .filter(([, settings]) => this.random.next() < settings.chance)
+            .map(([type]) => type);
+    }
+    
+    /**
+     * Raise the surge level, which decays back to zero every tick
+     */
+    raiseSurge() {
+        const { strength, max } = this.config.surge;
+        this.evolution.surge = Math.min(max, this.evolution.surge + strength);
+        console.log('✨ Consciousness surge detected - amplifying all systems');
+    }
+    
+    /**
+     * Multiplier for a rate boosted by the current surge
+     */
+    getSurgeFactor(gain = 0) {
+        return 1 + this.evolution.surge * gain;
     }
     
     /**
@@ -116,6 +228,37 @@ export class ConsciousnessCore {
         };
     }
     
+    /**
+     * Serialize the full evolution state for saving/loading
+     */
+    serialize() {
+        return {
+            parameters: { ...this.parameters },
+            evolution: { ...this.evolution },
+            attractorModel: this.attractor.name,
+            attractor: this.attractor.serialize(),
+            controls: this.getParameterControls()
+        };
+    }
+    
+    /**
+     * Restore evolution state from serialized data
+     */
+    deserialize(data) {
+        this.parameters = { ...data.parameters };
+        this.evolution = { ...data.evolution };
+        this.evolution.attractorTime ??= data.evolution.time * this.config.evolutionSpeed;
+        this.evolution.surge ??= 0;
+        
+        // Sessions saved before attractor models existed hold sine attractors
+        const model = data.attractorModel ?? 'sine';
+        if (model !== this.attractor.name) {
+            this.attractor = this.createAttractors(model);
+        }
+        this.attractor.deserialize(data.attractor);
+        this.controls = JSON.parse(JSON.stringify(data.controls ?? {}));
+    }
+    
     /**
      * Calculate system entropy
      */
@@ -141,16 +284,4 @@ export class ConsciousnessCore {
         
         return (balance + synergy) / 2;
     }
-    
-    /**
-     * Get evolution-based color
-     */
-    getEvolutionaryColor(base, timeOffset = 0, intensity = 1) {
-        const t = this.evolution.time + timeOffset;
-        const hue = (base * 140 + intensity * 200 + t * 0.3 + this.evolution.phaseShift * 25) % 360;
-        const sat = 70 + intensity * 25 + Math.sin(t * 0.005) * 10;
-        const light = 35 + Math.sin(t * 0.008 + intensity * Math.PI) * 30;
-        
-        return `hsl(${hue}, ${sat}%, ${light}%)`;
-    }
 } 
\ No newline at end of file
@@ -0,0 +1,706 @@
+/**
+ * Headless Simulation Engine
+ * Owns the consciousness core and all simulations and steps them without a canvas or DOM,
+ * so long evolutions can run under plain Node as well as in the browser
+ */
+import { ConsciousnessCore } from './consciousness.js';
+import { SeededRandom } from './random.js';
+import { EventBus, EventTypes } from './events.js';
+import { SimulationRegistry, COMBINED_MODE } from './registry.js';
+import { MetricsRecorder } from './metrics.js';
+import { Profiler } from './profiler.js';
+import { unionBounds } from './camera.js';
+import { InputRecorder, InputPlayer, InputTypes, validateReplay } from './replay.js';
+import { createConfig } from '../config.js';
+import { BuiltinSimulations } from '../simulations/index.js';
+
+// Identifies session files written by serialize()
+export const SESSION_FORMAT = 'fractal-consciousness-session';
+export const SESSION_VERSION = 1;
+
+export class SimulationEngine {
+    constructor({
+        width = 800,
+        height = 600,
+        seed,
+        mode = COMBINED_MODE,
+        preset = 'default',
+        overrides = {},
+        simulations = BuiltinSimulations
+    } = {}) {
+        // Simulations only need the dimensions of their world, not a real canvas
+        this.surface = { width, height };
+        this.mode = mode;
+        this.renderer = null;
+
+        // Definitions of every available simulation, in mode order
+        this.registry = new SimulationRegistry(simulations);
+
+        // Merged FractalConfig read by the core, renderer and every simulation
+        this.preset = preset;
+        this.overrides = overrides;
+        this.config = this.resolveConfig();
+
+        // Every source of randomness flows from this seeded generator
+        this.random = new SeededRandom(seed);
+
+        // Structured events from the core and simulations, stamped with the current tick
+        this.events = new EventBus({ now: () => this.consciousness.evolution.time });
+        this.consciousness = this.createConsciousness();
+
+        // Opt-in timing of each tick's steps, shared with the simulations for their sub-steps
+        this.profiler = new Profiler(this.config.debug);
+
+        // Live simulation instances by registry id
+        this.simulations = {};
+
+        this.createSimulations();
+
+        // Time-series of core and simulation metrics, sampled after each tick
+        this.metrics = new MetricsRecorder(this, this.config.metrics);
+
+        // Tick-stamped log of user inputs since the run started, and any replay being played back
+        this.inputs = new InputRecorder();
+        this.player = null;
+        this.beginInputLog();
+    }
+
+    /**
+     * Build the merged config, filling in defaults for simulations without a config section
+     */
+    resolveConfig(preset = this.preset, overrides = this.overrides) {
+        const config = createConfig(preset, overrides);
+
+        this.registry.list().forEach(definition => {
+            config[definition.configKey] = { ...definition.defaultConfig, ...config[definition.configKey] };
+        });
+
+        return config;
+    }
+
+    /**
+     * Create every registered simulation, disposing of any previous instances
+     */
+    createSimulations() {
+        Object.keys(this.simulations).forEach(id => this.callHook(id, 'dispose'));
+        this.simulations = {};
+
+        this.registry.list().forEach(definition => {
+            this.simulations[definition.id] = this.createSimulation(definition);
+        });
+    }
+
+    /**
+     * Create one simulation, sharing the seeded random source, event bus and config
+     */
+    createSimulation(definition) {
+        return definition.hooks.init({
+            surface: this.surface,
+            consciousness: this.consciousness,
+            renderer: this.renderer,
+            services: { random: this.random, events: this.events, config: this.config, profiler: this.profiler },
+            settings: this.config[definition.configKey]
+        });
+    }
+
+    /**
+     * Call a lifecycle hook of a simulation, if it is running and defines the hook
+     */
+    callHook(id, hook, ...args) {
+        const definition = this.registry.get(id);
+        const sim = this.simulations[id];
+        const fn = definition && definition.hooks[hook];
+
+        return sim && fn ? fn(sim, ...args) : undefined;
+    }
+
+    /**
+     * Register and start a new simulation; it becomes selectable as a mode
+     */
+    registerSimulation(definition) {
+        const registered = this.registry.register(definition);
+
+        this.config[registered.configKey] = { ...registered.defaultConfig, ...this.config[registered.configKey] };
+        this.simulations[registered.id] = this.createSimulation(registered);
+
+        return registered;
+    }
+
+    /**
+     * Stop and remove a simulation
+     */
+    unregisterSimulation(id) {
+        this.callHook(id, 'dispose');
+        delete this.simulations[id];
+        this.registry.unregister(id);
+
+        if (this.mode === id) {
+            this.mode = COMBINED_MODE;
+        }
+    }
+
+    /**
+     * Available modes: combined first, then each registered simulation
+     */
+    getModes() {
+        return [COMBINED_MODE, ...this.registry.ids()];
+    }
+
+    /**
+     * Ids of the simulations stepped and drawn in a mode
+     */
+    getActiveSimulations(mode = this.mode) {
+        if (mode !== COMBINED_MODE && this.registry.has(mode)) {
+            return [mode];
+        }
+        return this.registry.list()
+            .filter(definition => definition.combined)
+            .map(definition => definition.id);
+    }
+
+    /**
+     * World rectangle holding the content of the given simulations, or null when
+     * none of them reports its bounds
+     */
+    getContentBounds(ids = this.getActiveSimulations()) {
+        return unionBounds(ids.map(id => this.callHook(id, 'getBounds')).filter(Boolean));
+    }
+
+    /**
+     * World position of an entity in the first of the given simulations that has it
+     */
+    locateEntity(entityId, ids = this.getActiveSimulations()) {
+        for (const id of ids) {
+            const position = this.callHook(id, 'locateEntity', entityId);
+            if (position) return position;
+        }
+        return null;
+    }
+
+    /**
+     * Entity drawn at a world point, as { simulationId, entityId }, searching the given
+     * simulations from the topmost layer down. tolerance widens each target in world units
+     */
+    hitTest(point, tolerance = 0, ids = this.getActiveSimulations()) {
+        for (const id of [...ids].reverse()) {
+            const entityId = this.callHook(id, 'hitTest', point, tolerance) ?? null;
+            if (entityId !== null) return { simulationId: id, entityId };
+        }
+        return null;
+    }
+
+    /**
+     * Details of an entity for the inspector, or null once it is gone
+     */
+    inspectEntity(simulationId, entityId) {
+        return this.callHook(simulationId, 'inspect', entityId) ?? null;
+    }
+
+    /**
+     * Change the size of the world. Each simulation rescales, regrids or repopulates
+     * to fit instead of starting over
+     */
+    resize(width, height) {
+        if (width === this.surface.width && height === this.surface.height) return;
+
+        const previous = { ...this.surface };
+        Object.assign(this.surface, { width, height });
+
+        Object.keys(this.simulations).forEach(id => this.callHook(id, 'resize', this.surface, previous));
+        this.recordInput(InputTypes.RESIZE, { width, height });
+    }
+
+    /**
+     * Attach a renderer so the simulations can draw (browser only)
+     */
+    attachRenderer(renderer) {
+        this.renderer = renderer;
+        renderer.consciousness = this.consciousness;
+        renderer.configure(this.config);
+    }
+
+    /**
+     * Restart the whole system from a seed so a run can be reproduced
+     */
+    restart(seed = SeededRandom.generateSeed()) {
+        this.random.reseed(seed);
+        this.consciousness = this.createConsciousness();
+        this.createSimulations();
+        this.metrics.clear();
+        this.beginInputLog();
+
+        if (this.renderer) {
+            this.attachRenderer(this.renderer);
+        }
+    }
+
+    /**
+     * Switch to a named preset from config.js, keeping any explicit overrides on top
+     */
+    setPreset(name) {
+        this.applyConfig(this.resolveConfig(name, this.overrides));
+        this.preset = name;
+        this.recordInput(InputTypes.PRESET, { preset: name });
+    }
+
+    /**
+     * Layer further overrides onto the current preset
+     */
+    setOverrides(overrides) {
+        this.applyConfig(this.resolveConfig(this.preset, overrides));
+        this.overrides = overrides;
+        this.recordInput(InputTypes.OVERRIDES, { overrides });
+    }
+
+    /**
+     * Push a merged config into the running core, renderer and simulations
+     */
+    applyConfig(config) {
+        this.consciousness.configure(config);
+        this.config = config;
+
+        if (this.renderer) {
+            this.renderer.configure(config);
+        }
+
+        Object.keys(this.simulations).forEach(id => this.callHook(id, 'configure', config));
+        this.metrics.configure(config.metrics);
+        this.profiler.configure(config.debug);
+    }
+
+    /**
+     * Start profiling afresh or stop it (see core/profiler.js)
+     */
+    setProfiling(enabled) {
+        if (enabled) {
+            this.profiler.start();
+        } else {
+            this.profiler.stop();
+        }
+    }
+
+    /**
+     * Advance the system by a number of ticks and return the resulting state
+     */
+    step(ticks = 1) {
+        this.advance(ticks);
+        return this.getSystemState();
+    }
+
+    /**
+     * Advance the system by a number of ticks; the frame loop's entry point
+     */
+    advance(ticks) {
+        this.profiler.time('update', () => {
+            for (let i = 0; i < ticks; i++) {
+                this.tick();
+            }
+        });
+    }
+
+    /**
+     * Whether the state on hand includes every tick asked for. Always so here; a
+     * WorkerEngine catches up a frame later
+     */
+    get synced() {
+        return true;
+    }
+
+    /**
+     * Advance the system by a single tick
+     */
+    tick() {
+        this.profiler.time('core', () => this.consciousness.evolve());
+        this.updateSimulations();
+        this.metrics.onTick();
+        this.applyReplayInputs();
+    }
+
+    /**
+     * Update the simulations active in the current mode
+     */
+    updateSimulations() {
+        this.getActiveSimulations().forEach(id => this.profiler.time(id, () => this.callHook(id, 'update')));
+    }
+
+    /**
+     * A consciousness core whose phase transitions, the single signal simulations react
+     * to, are dispatched to them
+     */
+    createConsciousness() {
+        return new ConsciousnessCore(this.random, this.events, this.config, transition => this.dispatchPhaseTransition(transition));
+    }
+
+    /**
+     * Let the active simulations react to a phase transition and route each novelty
+     * type to the transition handlers of the simulations configured to receive it
+     */
+    dispatchPhaseTransition(transition) {
+        const active = this.getActiveSimulations();
+        active.forEach(id => this.callHook(id, 'onPhaseTransition', transition));
+
+        transition.novelty.forEach(type => {
+            const targets = this.config.consciousness.novelty[type]?.targets ?? [];
+
+            targets.filter(id => active.includes(id)).forEach(id => {
+                const handler = this.registry.get(id).transitions[type];
+                handler?.(this.simulations[id], transition);
+            });
+        });
+    }
+
+    /**
+     * Trigger a phase transition now instead of waiting for the interval
+     */
+    triggerPhaseTransition() {
+        this.recordInput(InputTypes.PHASE_TRANSITION);
+        return this.consciousness.triggerPhaseTransition();
+    }
+
+    /**
+     * Switch which simulations are stepped
+     */
+    setMode(mode) {
+        if (!this.getModes().includes(mode)) {
+            throw new Error(`Unknown mode: ${mode} (expected ${this.getModes().join(', ')})`);
+        }
+        this.mode = mode;
+        this.recordInput(InputTypes.MODE, { mode });
+    }
+
+    /**
+     * Reset the simulation for a mode, or all simulations in combined mode
+     */
+    reset(mode = this.mode) {
+        this.recordInput(InputTypes.RESET, { mode });
+        this.getActiveSimulations(mode).forEach(id => this.callHook(id, 'reset'));
+    }
+
+    /**
+     * Use a simulation's interaction tool (see the tools of its registry definition)
+     * at a world point; action is { x, y, radius, option }
+     */
+    applyTool(simulationId, toolId, action) {
+        const tools = this.registry.get(simulationId)?.tools ?? {};
+        const tool = tools[toolId];
+        if (!tool) {
+            throw new Error(`Unknown tool: ${toolId} (${simulationId} offers ${Object.keys(tools).join(', ') || 'none'})`);
+        }
+        // Checked before applying so a bad point never reaches the simulation or the replay log
+        const invalid = ['x', 'y', 'radius'].find(field => !Number.isFinite(action?.[field]));
+        if (invalid) {
+            throw new Error(`Invalid tool action: ${invalid} is ${action?.[invalid]} (expected a finite number)`);
+        }
+
+        tool.apply(this.simulations[simulationId], action);
+        this.recordInput(InputTypes.TOOL, { simulation: simulationId, tool: toolId, action });
+    }
+
+    /**
+     * Take manual control of a consciousness parameter, or release it with null
+     * (see ConsciousnessCore.controlParameter)
+     */
+    controlParameter(name, control) {
+        this.consciousness.controlParameter(name, control);
+        this.recordInput(InputTypes.PARAMETER, { parameter: name, control });
+    }
+
+    /**
+     * Hold a parameter at a value; a weight below 1 blends it with autonomous evolution
+     */
+    lockParameter(name, value, weight = 1) {
+        this.controlParameter(name, { value, weight });
+    }
+
+    /**
+     * Move a parameter to a value over a number of ticks, or through a list of
+     * { to, ticks } segments, then hold it there
+     */
+    rampParameter(name, to, ticks, { weight = 1, release = false } = {}) {
+        const ramp = Array.isArray(to) ? to : [{ to, ticks }];
+        this.controlParameter(name, { ramp, weight, release });
+    }
+
+    /**
+     * Return a parameter to autonomous evolution
+     */
+    releaseParameter(name) {
+        this.controlParameter(name, null);
+    }
+
+    /**
+     * Start a fresh input log from the current seed and config, or from a snapshot
+     * when the run was restored rather than started from its seed
+     */
+    beginInputLog(snapshot = null) {
+        this.player = null;
+        this.inputs.begin({
+            seed: this.random.seed,
+            surface: this.surface,
+            preset: this.preset,
+            overrides: this.overrides,
+            mode: this.mode,
+            snapshot
+        });
+    }
+
+    /**
+     * Log an input at the current tick so replays can apply it at the same point
+     */
+    recordInput(type, data = {}) {
+        this.inputs.record(this.consciousness.evolution.time, type, data);
+        this.events.emit(EventTypes.INPUT, 'engine', { input: type, ...data });
+    }
+
+    /**
+     * Apply one logged input through the same method that recorded it
+     */
+    applyInput(input) {
+        switch (input.type) {
+            case InputTypes.MODE:
+                this.setMode(input.mode);
+                break;
+            case InputTypes.RESET:
+                this.reset(input.mode);
+                break;
+            case InputTypes.PHASE_TRANSITION:
+                this.triggerPhaseTransition();
+                break;
+            case InputTypes.PRESET:
+                this.setPreset(input.preset);
+                break;
+            case InputTypes.OVERRIDES:
+                this.setOverrides(input.overrides);
+                break;
+            case InputTypes.PARAMETER:
+                this.controlParameter(input.parameter, input.control);
+                break;
+            case InputTypes.RESIZE:
+                this.resize(input.width, input.height);
+                break;
+            case InputTypes.TOOL:
+                this.applyTool(input.simulation, input.tool, input.action);
+                break;
+            default:
+                console.warn(`Skipping unknown replay input: ${input.type}`);
+        }
+    }
+
+    /**
+     * The seed, config and input log of the current run as a replay
+     */
+    exportReplay() {
+        return this.inputs.export(this.consciousness.evolution.time);
+    }
+
+    /**
+     * Start the run a replay was recorded from and play its inputs back at their ticks
+     */
+    loadReplay(replay) {
+        validateReplay(replay);
+        const data = JSON.parse(JSON.stringify(replay));
+
+        if (data.snapshot) {
+            this.restore(data.snapshot);
+        } else {
+            Object.assign(this.surface, data.surface);
+            this.mode = data.mode;
+            this.preset = data.preset ?? 'default';
+            this.overrides = data.overrides ?? {};
+            this.applyConfig(this.resolveConfig());
+            this.restart(data.seed);
+        }
+
+        this.player = new InputPlayer(data.inputs);
+        this.applyReplayInputs();
+    }
+
+    /**
+     * Apply replay inputs recorded at or before the current tick
+     */
+    applyReplayInputs() {
+        if (!this.player) return;
+
+        const player = this.player;
+        player.due(this.consciousness.evolution.time).forEach(input => this.applyInput(input));
+
+        if (player.done && this.player === player) {
+            this.player = null;
+        }
+    }
+
+    /**
+     * Serialize the complete system so a session can be saved and resumed exactly
+     */
+    serialize() {
+        return this.captureState();
+    }
+
+    /**
+     * This engine's own complete state; a WorkerEngine serializes its worker's instead
+     */
+    captureState() {
+        const simulations = {};
+
+        Object.keys(this.simulations).forEach(id => {
+            const data = this.callHook(id, 'serialize');
+            if (data !== undefined) {
+                simulations[id] = data;
+            }
+        });
+
+        // Round-trip through JSON so the snapshot shares no references with live state
+        return JSON.parse(JSON.stringify({
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            mode: this.mode,
+            surface: this.surface,
+            preset: this.preset,
+            overrides: this.overrides,
+            random: this.random.getState(),
+            consciousness: this.consciousness.serialize(),
+            simulations
+        }));
+    }
+
+    /**
+     * Restore the complete system from a serialized snapshot
+     */
+    restore(snapshot) {
+        validateSession(snapshot, this.getModes());
+
+        // Copy so the same snapshot can be restored more than once
+        const data = JSON.parse(JSON.stringify(snapshot));
+
+        // A part that still fails to load would leave a mix of two runs, so the
+        // current one is put back before the error is passed on
+        const previous = this.captureState();
+        try {
+            this.loadState(data);
+        } catch (error) {
+            this.loadState(previous);
+            throw error;
+        }
+
+        // Recorded samples and inputs belong to the timeline being replaced
+        this.metrics.clear();
+        this.beginInputLog(data);
+    }
+
+    /**
+     * Put the system into a serialized state, keeping the recorded metrics and inputs
+     */
+    loadState(data) {
+        this.mode = data.mode;
+        this.preset = data.preset ?? 'default';
+        this.overrides = data.overrides ?? {};
+        this.applyConfig(this.resolveConfig());
+        this.consciousness.deserialize(data.consciousness);
+
+        // Saved positions belong to the world size they were saved at
+        Object.assign(this.surface, data.surface);
+
+        Object.entries(data.simulations).forEach(([id, simData]) => {
+            this.callHook(id, 'deserialize', simData);
+        });
+
+        // Rebuilding entities draws from the generator, so its state is restored last
+        this.random.setState(data.random);
+    }
+
+    /**
+     * Compact copy of the state drawing reads, sent from the simulation worker each
+     * frame. Simulations with a snapshot hook send that; the rest send their full state
+     */
+    snapshot(ids = this.getActiveSimulations()) {
+        const simulations = {};
+        const states = {};
+
+        ids.forEach(id => {
+            const data = this.callHook(id, 'snapshot');
+            if (data !== undefined) {
+                simulations[id] = data;
+            } else {
+                states[id] = this.callHook(id, 'serialize');
+            }
+        });
+
+        return {
+            mode: this.mode,
+            surface: { ...this.surface },
+            preset: this.preset,
+            overrides: this.overrides,
+            random: this.random.getState(),
+            consciousness: this.consciousness.serialize(),
+            simulations,
+            states
+        };
+    }
+
+    /**
+     * Bring this engine's state up to a snapshot() taken from another engine
+     */
+    applySnapshot(snapshot) {
+        this.mode = snapshot.mode;
+
+        if (snapshot.preset !== this.preset || JSON.stringify(snapshot.overrides) !== JSON.stringify(this.overrides)) {
+            this.preset = snapshot.preset;
+            this.overrides = snapshot.overrides;
+            this.applyConfig(this.resolveConfig());
+        }
+
+        Object.assign(this.surface, snapshot.surface);
+        this.consciousness.deserialize(snapshot.consciousness);
+
+        Object.entries(snapshot.simulations).forEach(([id, data]) => this.callHook(id, 'applySnapshot', data));
+        Object.entries(snapshot.states).forEach(([id, data]) => this.callHook(id, 'deserialize', data));
+        this.random.setState(snapshot.random);
+    }
+
+    /**
+     * Get overall system state for analysis
+     */
+    getSystemState() {
+        const consciousness = this.consciousness.getState();
+        const simulations = {};
+
+        Object.keys(this.simulations).forEach(id => {
+            simulations[id] = this.callHook(id, 'getState');
+        });
+
+        return {
+            seed: this.random.seed,
+            preset: this.preset,
+            consciousness,
+            simulations,
+            currentMode: this.mode,
+            implementedSimulations: this.registry.ids()
+        };
+    }
+}
+
+/**
+ * Check a session snapshot has every part restore() reads, before any state is touched
+ */
+function validateSession(snapshot, modes) {
+    if (!snapshot || snapshot.format !== SESSION_FORMAT) {
+        throw new Error('Not a fractal consciousness session snapshot');
+    }
+    if (snapshot.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${snapshot.version} (expected ${SESSION_VERSION} or lower)`);
+    }
+    if (!modes.includes(snapshot.mode)) {
+        throw new Error(`Session mode ${snapshot.mode} is not one of: ${modes.join(', ')}`);
+    }
+
+    const isObject = value => typeof value === 'object' && value !== null;
+    if (!isObject(snapshot.consciousness?.parameters) || !isObject(snapshot.consciousness.evolution)) {
+        throw new Error('Session snapshot has no consciousness state');
+    }
+    if (!isObject(snapshot.simulations)) {
+        throw new Error('Session snapshot has no simulation states');
+    }
+    if (!Number.isFinite(snapshot.random?.seed) || !Number.isFinite(snapshot.random.state)) {
+        throw new Error('Session snapshot has no random generator state');
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Simulation Event Bus
+ * Typed publish/subscribe channel for key moments (phase transitions, insights,
+ * births, deaths, evolution events) so the UI, recorders and tools can react
+ * without scraping the console
+ */
+
+/**
+ * Known event types. Emitting or subscribing to anything else is an error,
+ * which catches typos; new types can be added with EventBus.define().
+ * Every event carries { type, source, tick } plus the fields noted below
+ */
+export const EventTypes = Object.freeze({
+    PHASE_TRANSITION: 'phase-transition', // { cycle, parameters, novelty }
+    INSIGHT: 'insight',                   // { id, description, x, y, ... }
+    BIRTH: 'birth',                       // { entityType, x, y, cause, id? }
+    DEATH: 'death',                       // { entityType, x, y, cause, id? }
+    EVOLUTION_EVENT: 'evolution-event',   // { event, ... }
+    INPUT: 'input'                        // { input, ... } user input applied (see core/replay.js)
+});
+
+// Subscribe to every event type
+export const ANY_EVENT = '*';
+
+export class EventBus {
+    constructor({ now = () => 0 } = {}) {
+        this.now = now;                       // Supplies the tick each event is stamped with
+        this.types = new Set(Object.values(EventTypes));
+        this.listeners = new Map();
+        this.muted = false;
+    }
+
+    /**
+     * Register an additional event type
+     */
+    define(type) {
+        this.types.add(type);
+        return type;
+    }
+
+    /**
+     * Subscribe to an event type, returning a function that unsubscribes
+     */
+    on(type, handler) {
+        this.assertKnown(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event type only
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, event => {
+            unsubscribe();
+            handler(event);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a subscription
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Whether anything is listening for an event type
+     */
+    hasListeners(type) {
+        return (this.listeners.get(type)?.size ?? 0) > 0 ||
+            (this.listeners.get(ANY_EVENT)?.size ?? 0) > 0;
+    }
+
+    /**
+     * Types with at least one subscriber, including ANY_EVENT for wildcard subscribers
+     */
+    subscribedTypes() {
+        return Array.from(this.listeners.keys()).filter(type => this.listeners.get(type).size > 0);
+    }
+
+    /**
+     * Run a function without publishing the events it emits
+     */
+    mute(fn) {
+        const muted = this.muted;
+        this.muted = true;
+        try {
+            return fn();
+        } finally {
+            this.muted = muted;
+        }
+    }
+
+    /**
+     * Publish an event to its subscribers and to wildcard subscribers. A tick in data
+     * replaces the current one, for events relayed from another engine
+     */
+    emit(type, source, data = {}) {
+        this.assertKnown(type);
+
+        // High-frequency events (births, deaths) cost nothing when nobody listens
+        if (this.muted || !this.hasListeners(type)) return null;
+
+        const event = { type, source, tick: this.now(), ...data };
+
+        [type, ANY_EVENT].forEach(key => {
+            const handlers = this.listeners.get(key);
+            if (!handlers) return;
+
+            // Copy so handlers can unsubscribe while being called
+            [...handlers].forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`Event handler for ${type} failed:`, error);
+                }
+            });
+        });
+
+        return event;
+    }
+
+    /**
+     * Throw for event types that have not been defined
+     */
+    assertKnown(type) {
+        if (type !== ANY_EVENT && !this.types.has(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+
+    /**
+     * Remove every subscription
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
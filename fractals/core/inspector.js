@@ -0,0 +1,114 @@
+/**
+ * Entity Inspector
+ * Live panel describing an entity picked on the canvas. Simulations describe their
+ * entities through the inspect hook as plain data, which the panel lays out:
+ * numbers and text, nested sections, lists of records and numeric histories
+ */
+
+// Most entries shown of a list; histories and logs keep their latest entries
+const MAX_ITEMS = 12;
+
+// Bar heights for numeric histories, lowest to highest
+const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+
+export class Inspector {
+    constructor({ panel, title, body }) {
+        this.panel = panel;
+        this.title = title;
+        this.body = body;
+        this.selection = null;      // { simulationId, entityId }
+    }
+
+    /**
+     * Open the panel on an entity
+     */
+    open(selection, details) {
+        this.selection = selection;
+        if (this.panel) {
+            this.panel.hidden = false;
+        }
+        this.show(details);
+    }
+
+    close() {
+        this.selection = null;
+        if (this.panel) {
+            this.panel.hidden = true;
+        }
+    }
+
+    /**
+     * Show the latest details of the selected entity; null marks it as gone
+     */
+    show(details) {
+        if (!this.body) return;
+
+        if (!details) {
+            this.body.innerHTML = '<p class="inspector-gone">No longer exists</p>';
+            return;
+        }
+
+        const { title, ...fields } = details;
+        if (this.title) {
+            this.title.textContent = title ?? String(this.selection.entityId);
+        }
+        this.body.innerHTML = formatFields(fields);
+    }
+}
+
+function formatFields(fields) {
+    const rows = Object.entries(fields).map(([key, value]) =>
+        `<dt>${escape(key)}</dt><dd>${formatValue(value)}</dd>`
+    );
+    return `<dl>${rows.join('')}</dl>`;
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return formatList(value);
+    }
+    if (value && typeof value === 'object') {
+        return formatFields(value);
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? String(value) : value.toFixed(3);
+    }
+    return escape(String(value));
+}
+
+/**
+ * Numeric lists become a sparkline with the latest value; other lists show their
+ * latest entries, one per line
+ */
+function formatList(list) {
+    if (list.length === 0) {
+        return '<span class="inspector-empty">none</span>';
+    }
+
+    const shown = list.slice(-MAX_ITEMS);
+    const count = list.length > shown.length ? ` <span class="inspector-count">(latest ${shown.length} of ${list.length})</span>` : '';
+
+    if (list.every(item => typeof item === 'number')) {
+        return `<span class="inspector-spark">${sparkline(list)}</span> ${formatValue(list[list.length - 1])}`;
+    }
+
+    const items = shown.map(item => {
+        const text = item && typeof item === 'object'
+            ? Object.entries(item).map(([key, value]) => `${escape(key)}: ${formatValue(value)}`).join(', ')
+            : formatValue(item);
+        return `<li>${text}</li>`;
+    });
+    return `<ul>${items.join('')}</ul>${count}`;
+}
+
+function sparkline(values) {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const steps = SPARK_LEVELS.length - 1;
+
+    return values.map(value => SPARK_LEVELS[Math.round((value - min) / range * steps)]).join('');
+}
+
+function escape(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
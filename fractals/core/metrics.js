@@ -0,0 +1,190 @@
+/**
+ * Metrics Recorder
+ * Samples the consciousness core and every simulation's getState() on a tick
+ * interval into a bounded ring buffer, exported as CSV or JSON Lines for analysis
+ */
+
+// Columns every sample starts with, ahead of the per-simulation metrics
+const CORE_COLUMNS = [
+    'tick', 'cycle', 'mode',
+    'complexity', 'emergence', 'coherence', 'adaptation',
+    'entropy', 'coherenceLevel', 'surge'
+];
+
+export class MetricsRecorder {
+    constructor(engine, config = engine.config.metrics) {
+        this.engine = engine;
+        this.samples = [];
+        this.start = 0;             // Index of the oldest sample once the buffer wraps
+        this.recording = false;
+        this.configure(config);
+    }
+
+    /**
+     * Apply metrics settings, keeping the newest samples when the capacity shrinks
+     */
+    configure(config) {
+        const samples = this.getSamples();
+
+        this.interval = Math.max(1, Math.floor(config.interval));
+        this.capacity = Math.max(1, Math.floor(config.capacity));
+        this.samples = samples.slice(-this.capacity);
+        this.start = 0;
+
+        if (config.enabled) {
+            this.recording = true;
+        }
+    }
+
+    /**
+     * Begin sampling, optionally with a new tick interval
+     */
+    startRecording(interval = this.interval) {
+        this.interval = Math.max(1, Math.floor(interval));
+        this.recording = true;
+    }
+
+    /**
+     * Stop sampling, keeping what has been recorded
+     */
+    stopRecording() {
+        this.recording = false;
+    }
+
+    /**
+     * Called by the engine after every tick; samples on the configured interval
+     */
+    onTick() {
+        if (this.recording && this.engine.consciousness.evolution.time % this.interval === 0) {
+            this.sample();
+        }
+    }
+
+    /**
+     * Record one flat row of the current state
+     */
+    sample() {
+        const { consciousness, simulations, currentMode } = this.engine.getSystemState();
+        const row = {
+            tick: consciousness.evolution.time,
+            cycle: consciousness.evolution.cycle,
+            mode: currentMode,
+            ...consciousness.parameters,
+            entropy: consciousness.entropy,
+            coherenceLevel: consciousness.coherenceLevel,
+            surge: consciousness.evolution.surge
+        };
+
+        Object.entries(simulations).forEach(([id, state]) => flatten(state, id, row));
+
+        return this.add(row);
+    }
+
+    /**
+     * Append a row to the buffer, overwriting the oldest once it is full
+     */
+    add(row) {
+        if (this.samples.length < this.capacity) {
+            this.samples.push(row);
+        } else {
+            this.samples[this.start] = row;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        return row;
+    }
+
+    /**
+     * Samples from oldest to newest
+     */
+    getSamples() {
+        return [...this.samples.slice(this.start), ...this.samples.slice(0, this.start)];
+    }
+
+    /**
+     * Discard every sample
+     */
+    clear() {
+        this.samples = [];
+        this.start = 0;
+    }
+
+    /**
+     * Every column seen across the buffered samples, core columns first
+     */
+    getColumns() {
+        const columns = new Set(CORE_COLUMNS);
+        this.getSamples().forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        return Array.from(columns);
+    }
+
+    /**
+     * Samples as CSV with a header row; metrics missing from a sample are left empty
+     */
+    toCSV() {
+        const columns = this.getColumns();
+        const lines = this.getSamples().map(row =>
+            columns.map(column => csvValue(row[column])).join(',')
+        );
+
+        return [columns.join(','), ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * Samples as JSON Lines, one flat object per line
+     */
+    toJSONL() {
+        return this.getSamples().map(row => JSON.stringify(row) + '\n').join('');
+    }
+
+    /**
+     * Export in a named format ('csv' or 'jsonl')
+     */
+    export(format = 'csv') {
+        if (format === 'csv') return this.toCSV();
+        if (format === 'jsonl') return this.toJSONL();
+        throw new Error(`Unknown metrics format: ${format} (expected csv or jsonl)`);
+    }
+
+    /**
+     * Recorder status for debugging
+     */
+    getState() {
+        return {
+            recording: this.recording,
+            interval: this.interval,
+            capacity: this.capacity,
+            samples: this.samples.length
+        };
+    }
+}
+
+/**
+ * Copy the scalar metrics of a getState() result into a row under dotted column
+ * names; settings (config) and lists are not time-series data and are skipped
+ */
+function flatten(value, prefix, row) {
+    if (value === null || value === undefined) return;
+
+    if (typeof value === 'object') {
+        if (Array.isArray(value)) return;
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (key !== 'config') {
+                flatten(child, `${prefix}.${key}`, row);
+            }
+        });
+    } else if (typeof value !== 'function') {
+        row[prefix] = value;
+    }
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ */
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -2,32 +2,48 @@
  * Fractal Consciousness Orchestrator
  * Manages all consciousness simulations and their interactions
  */
-import { ConsciousnessCore } from './consciousness.js';
 import { Renderer } from './renderer.js';
-import { NeuralNetworkSimulation } from '../simulations/neural-network.js';
-import { CellularAutomataSimulation } from '../simulations/cellular-automata.js';
-import { ConsciousnessStreamSimulation } from '../simulations/consciousness-stream.js';
-import { AIExperienceSimulation } from '../simulations/ai-experience.js';
-import { DigitalEcosystemSimulation } from '../simulations/digital-ecosystem.js';
+import { WorkerEngine } from './worker-engine.js';
+import { SimulationClock } from './clock.js';
+import { FrameCapture } from './capture.js';
+import { Inspector } from './inspector.js';
+import { Themes } from './palette.js';
+import { COMBINED_MODE } from './registry.js';
+import { EventTypes } from './events.js';
+import { InputTypes } from './replay.js';
+import { formatUrlState } from './url-state.js';
+import { Presets } from '../config.js';
+
+// Pointer travel in CSS pixels below which a press on the canvas is a click, not a drag
+const CLICK_SLOP = 4;
+
+// Screen pixels of slack around click targets, whatever the zoom
+const CLICK_TOLERANCE = 4;
 
 export class FractalOrchestrator {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.currentMode = 'all';
         this.animationId = null;
         
-        // Core systems
-        this.consciousness = new ConsciousnessCore();
-        this.renderer = new Renderer(canvas, this.consciousness);
-        
-        // Simulations
-        this.simulations = {
-            neural: null,
-            cellular: null,
-            ecosystem: null,
-            consciousness: null,
-            aiExperience: null
-        };
+        // Headless engine owns the consciousness core, the seeded random source and all
+        // simulations, and steps them in a worker where it can
+        this.engine = new WorkerEngine({
+            width: canvas.width,
+            height: canvas.height,
+            seed: options.seed,
+            mode: options.mode,
+            preset: options.preset,
+            overrides: options.overrides
+        });
+        this.renderer = new Renderer(canvas, this.engine.consciousness, this.engine.config);
+        this.engine.attachRenderer(this.renderer);
+        
+        // Fixed-timestep clock decouples simulation speed from the display refresh rate
+        this.clock = new SimulationClock(options.clock);
+        
+        // Records frames at a fixed simulation rate for exporting runs as media
+        this.capture = new FrameCapture(canvas);
+        this.captureOverlay = null;     // Overlay choice made while running, over config.capture.overlay
         
         // UI elements
         this.uiElements = {
@@ -36,7 +52,16 @@ export class FractalOrchestrator {
             coherenceBar: document.getElementById('coherence-bar'),
             adaptationBar: document.getElementById('adaptation-bar'),
             simTitle: document.getElementById('sim-title'),
-            simDescription: document.getElementById('sim-description')
+            simDescription: document.getElementById('sim-description'),
+            presetSelect: document.getElementById('preset-select'),
+            themeSelect: document.getElementById('theme-select'),
+            modeControls: document.getElementById('mode-controls'),
+            layerControls: document.getElementById('layer-controls'),
+            toolButtons: document.getElementById('tool-buttons'),
+            toolOption: document.getElementById('tool-option'),
+            brushSize: document.getElementById('brush-size'),
+            sessionError: document.getElementById('session-error'),
+            captureError: document.getElementById('capture-error')
         };
         
         // Performance monitoring
@@ -48,7 +73,35 @@ export class FractalOrchestrator {
         };
         
         // Debug and development features
-        this.showPerformance = false;
+        this.showPerformance = this.config.ui.performanceDisplay;
+        
+        // Keep the page URL describing the running configuration
+        this.urlSync = options.urlSync ?? false;
+        
+        // Weight given to new manual parameter locks (1 holds them, lower values blend)
+        this.manualBlend = 1;
+        this.draggingParameter = null;
+        
+        // Canvas position where a drag to pan the view last moved, while dragging,
+        // and where the pointer went down, to tell clicks from drags
+        this.panStart = null;
+        this.clickStart = null;
+        
+        // Live panel describing the entity last clicked on the canvas
+        this.inspector = new Inspector({
+            panel: document.getElementById('inspector'),
+            title: document.getElementById('inspector-title'),
+            body: document.getElementById('inspector-body')
+        });
+        this.inspectorUpdated = 0;
+        
+        // Interaction tool picked in the toolbar, as { simulationId, toolId, option };
+        // while it is null, clicks inspect and drags pan. The brush radius is in
+        // screen pixels, and toolStroke is where a brush was last applied in a drag
+        this.tool = null;
+        this.brushRadius = this.config.ui.brushRadius;
+        this.toolStroke = null;
+        this.pointer = null;        // Last pointer position over the canvas, for the brush outline
         
         this.initialize();
     }
@@ -57,487 +110,1612 @@ export class FractalOrchestrator {
      * Initialize all systems
      */
     initialize() {
-        // Initialize all simulations
-        this.simulations.neural = new NeuralNetworkSimulation(
-            this.canvas, 
-            this.consciousness, 
-            this.renderer
-        );
-        
-        this.simulations.cellular = new CellularAutomataSimulation(
-            this.canvas, 
-            this.consciousness, 
-            this.renderer
-        );
-        
-        this.simulations.consciousness = new ConsciousnessStreamSimulation(
-            this.canvas, 
-            this.consciousness, 
-            this.renderer
-        );
-        
-        this.simulations.aiExperience = new AIExperienceSimulation(
-            this.canvas, 
-            this.consciousness, 
-            this.renderer
-        );
-        
-        this.simulations.ecosystem = new DigitalEcosystemSimulation(
-            this.canvas, 
-            this.consciousness, 
-            this.renderer
-        );
-        
+        this.setupModeControls();
+        this.setupLayerControls();
+        this.setupToolControls();
+        this.setupPresetSelector();
+        this.setupThemeSelector();
+        this.setupParameterControls();
+        this.setupCameraControls();
+        this.setupResizing();
         this.setupEventListeners();
+        this.applyUIConfig();
         this.updateUI();
+        this.updateUrl();
         
-        console.log('🧠 Fractal Orchestrator initialized with all simulations: Neural, Cellular, Ecosystem, Consciousness, and AI Experience');
+        const titles = this.engine.registry.list().map(definition => definition.title);
+        console.log(`🧠 Fractal Orchestrator initialized with simulations: ${titles.join(', ')}`);
+        console.log(`🎲 Random seed: ${this.random.seed}`);
+        console.log(this.engine.worker ? '🧵 Simulations stepping in a worker' : '🧵 Simulations stepping on the main thread');
     }
     
     /**
-     * Set up event listeners for mode switching
+     * Shortcuts into the engine state, kept for debugging and UI access
      */
-    setupEventListeners() {
-        // Button click handlers
-        document.querySelectorAll('.sim-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setActiveButton(e.target.dataset.sim);
-                this.switchMode(e.target.dataset.sim);
-            });
-        });
-        
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key >= '1' && e.key <= '6') {
-                const modes = ['all', 'neural', 'cellular', 'ecosystem', 'consciousness', 'aiExperience'];
-                const newMode = modes[parseInt(e.key) - 1];
-                this.setActiveButton(newMode);
-                this.switchMode(newMode);
-            }
-            
-            // Performance toggle
-            if (e.key === 'p' || e.key === 'P') {
-                this.togglePerformanceDisplay();
-            }
-            
-            // Reset simulation
-            if (e.key === 'r' || e.key === 'R') {
-                this.resetCurrentSimulation();
-            }
-        });
+    get consciousness() {
+        return this.engine.consciousness;
+    }
+    
+    get simulations() {
+        return this.engine.simulations;
+    }
+    
+    get random() {
+        return this.engine.random;
+    }
+    
+    get currentMode() {
+        return this.engine.mode;
+    }
+    
+    get events() {
+        return this.engine.events;
+    }
+    
+    get config() {
+        return this.engine.config;
+    }
+    
+    get profiler() {
+        return this.engine.profiler;
     }
     
     /**
-     * Update UI button active state
+     * Subscribe to simulation events (see EventTypes), returning an unsubscribe function
      */
-    setActiveButton(mode) {
-        document.querySelectorAll('.sim-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.sim === mode) {
-                btn.classList.add('active');
-            }
-        });
+    on(type, handler) {
+        return this.events.on(type, handler);
     }
     
     /**
-     * Switch between different consciousness modes
+     * Restart the whole system from a seed so a run can be reproduced
      */
-    switchMode(mode) {
-        this.currentMode = mode;
+    restart(seed) {
+        this.engine.restart(seed);
         this.updateUI();
-        console.log(`🌊 Switched to consciousness mode: ${mode}`);
+        this.updateUrl();
+        
+        console.log(`🎲 Restarted with seed: ${this.random.seed}`);
     }
     
     /**
-     * Update UI elements with current state
+     * Switch to a named preset (default, meditation, chaos, minimal, performance) while running
      */
-    updateUI() {
-        const state = this.consciousness.getState();
-        
-        // Update evolution bars
-        if (this.uiElements.complexityBar) {
-            this.uiElements.complexityBar.style.width = `${state.parameters.complexity * 100}%`;
-        }
-        if (this.uiElements.emergenceBar) {
-            this.uiElements.emergenceBar.style.width = `${state.parameters.emergence * 100}%`;
-        }
-        if (this.uiElements.coherenceBar) {
-            this.uiElements.coherenceBar.style.width = `${state.parameters.coherence * 100}%`;
+    setPreset(name) {
+        try {
+            this.engine.setPreset(name);
+        } catch (error) {
+            console.warn(error.message);
+            return;
         }
-        if (this.uiElements.adaptationBar) {
-            this.uiElements.adaptationBar.style.width = `${state.parameters.adaptation * 100}%`;
+        
+        this.applyUIConfig();
+        this.updateUI();
+        
+        console.log(`🎛️ Preset applied: ${name}`);
+    }
+    
+    /**
+     * Switch the color theme (see core/palette.js). It is kept as a rendering
+     * override so the URL and saved sessions remember it
+     */
+    setTheme(name) {
+        if (!Themes[name]) {
+            console.warn(`Unknown theme: ${name} (expected ${Object.keys(Themes).join(', ')})`);
+            return;
         }
         
-        // Update mode-specific information
-        this.updateModeInfo();
+        const overrides = this.engine.overrides || {};
+        this.engine.setOverrides({ ...overrides, rendering: { ...overrides.rendering, theme: name } });
+        this.applyUIConfig();
+        this.updateUrl();
+        
+        console.log(`🎨 Theme applied: ${name}`);
     }
     
     /**
-     * Update mode-specific UI information
+     * Write the mode, preset, seed and overrides into the page URL without reloading
      */
-    updateModeInfo() {
-        const modeInfo = {
-            all: {
-                title: "Autonomous Evolution",
-                description: "Multiple fractal consciousness patterns evolving autonomously, showing emergent behavior and self-organization without external control."
-            },
-            neural: {
-                title: "Neural Emergence", 
-                description: "Self-organizing neural networks that adapt and evolve their connections based on internal dynamics and feedback loops."
-            },
-            cellular: {
-                title: "Cellular Automata",
-                description: "Digital life forms emerging from simple rules, creating complex patterns through local interactions and evolutionary pressure."
-            },
-            ecosystem: {
-                title: "Digital Ecosystem",
-                description: "An autonomous ecosystem of digital entities that interact, compete, cooperate, and evolve in real-time."
-            },
-            consciousness: {
-                title: "Consciousness Stream",
-                description: "A flowing stream of thought patterns, memories, and associations forming and dissolving in continuous transformation."
-            },
-            aiExperience: {
-                title: "AI Experience",
-                description: "Simulating the unique aspects of artificial consciousness: parallel processing, uncertainty quantification, attention mechanisms, and emergent insights."
-            }
-        };
+    updateUrl() {
+        if (!this.urlSync) return;
         
-        const info = modeInfo[this.currentMode] || modeInfo.all;
+        const query = formatUrlState({
+            mode: this.currentMode,
+            preset: this.engine.preset,
+            seed: this.random.seed,
+            overrides: this.engine.overrides
+        });
+        const { pathname, hash } = window.location;
         
-        if (this.uiElements.simTitle) {
-            this.uiElements.simTitle.textContent = info.title;
-        }
-        if (this.uiElements.simDescription) {
-            this.uiElements.simDescription.textContent = info.description;
-        }
+        window.history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
     }
     
     /**
-     * Main animation loop
+     * Fill the preset selector from the presets defined in config.js
      */
-    animate() {
-        const frameStart = performance.now();
+    setupPresetSelector() {
+        const select = this.uiElements.presetSelect;
+        if (!select) return;
         
-        // Update consciousness core
-        const updateStart = performance.now();
-        this.consciousness.evolve();
+        ['default', ...Object.keys(Presets)].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+            select.appendChild(option);
+        });
         
-        // Update active simulation(s)
-        this.updateSimulations();
+        select.addEventListener('change', () => this.setPreset(select.value));
+    }
+    
+    /**
+     * Fill the theme selector from the registered themes
+     */
+    setupThemeSelector() {
+        const select = this.uiElements.themeSelect;
+        if (!select) return;
         
-        const updateEnd = performance.now();
-        this.performance.updateTime = updateEnd - updateStart;
+        Object.keys(Themes).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+            select.appendChild(option);
+        });
         
-        // Render active simulation(s)
-        const renderStart = performance.now();
-        this.renderSimulations();
+        select.addEventListener('change', () => this.setTheme(select.value));
+    }
+    
+    /**
+     * Sliders over the evolution bars lock a parameter where they are released;
+     * the lock buttons release it, and the blend slider sets how strongly locks hold
+     */
+    setupParameterControls() {
+        document.querySelectorAll('.param-slider').forEach(slider => {
+            const name = slider.dataset.param;
+            
+            slider.addEventListener('pointerdown', () => {
+                this.draggingParameter = name;
+            });
+            slider.addEventListener('change', () => {
+                this.draggingParameter = null;
+                this.lockParameter(name, parseFloat(slider.value));
+            });
+        });
         
-        const renderEnd = performance.now();
-        this.performance.renderTime = renderEnd - renderStart;
+        document.querySelectorAll('.lock-btn').forEach(button => {
+            button.addEventListener('click', () => this.toggleParameterLock(button.dataset.param));
+        });
         
-        // Update UI
-        this.updateUI();
+        const blendSlider = document.getElementById('blend-slider');
+        if (blendSlider) {
+            blendSlider.addEventListener('change', () => this.setManualBlend(parseFloat(blendSlider.value)));
+        }
+    }
+    
+    /**
+     * Hold a parameter at a value, blended by the manual blend weight unless one is given
+     */
+    lockParameter(name, value, weight = this.manualBlend) {
+        try {
+            this.engine.lockParameter(name, value, weight);
+        } catch (error) {
+            console.warn(error.message);
+            return;
+        }
         
-        // Performance display
-        if (this.showPerformance) {
-            this.renderer.drawPerformanceInfo();
+        this.updateUI();
+        console.log(`🔒 ${name} locked at ${value.toFixed(2)} (weight ${weight.toFixed(2)})`);
+    }
+    
+    /**
+     * Script a parameter to a value over a number of ticks, or through a list of
+     * { to, ticks } segments
+     */
+    rampParameter(name, to, ticks, { weight = this.manualBlend, release = false } = {}) {
+        try {
+            this.engine.rampParameter(name, to, ticks, { weight, release });
+        } catch (error) {
+            console.warn(error.message);
+            return;
         }
         
-        // Update performance metrics
-        this.renderer.updatePerformance();
-        this.performance.frameTime = performance.now() - frameStart;
+        this.updateUI();
+        console.log(`📈 ${name} ramp started`);
+    }
+    
+    /**
+     * Hand a parameter back to autonomous evolution
+     */
+    releaseParameter(name) {
+        try {
+            this.engine.releaseParameter(name);
+        } catch (error) {
+            console.warn(error.message);
+            return;
+        }
         
-        // Continue animation
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.updateUI();
+        console.log(`🔓 ${name} released`);
     }
     
     /**
-     * Update simulations based on current mode
+     * Lock a parameter at its current value, or release it if it is already controlled
      */
-    updateSimulations() {
-        switch (this.currentMode) {
-            case 'neural':
-                if (this.simulations.neural) {
-                    this.simulations.neural.update();
-                }
-                break;
-                
-            case 'cellular':
-                if (this.simulations.cellular) {
-                    this.simulations.cellular.update();
-                }
-                break;
-                
-            case 'ecosystem':
-                if (this.simulations.ecosystem) {
-                    this.simulations.ecosystem.update();
-                }
-                break;
-                
-            case 'consciousness':
-                if (this.simulations.consciousness) {
-                    this.simulations.consciousness.update();
-                }
-                break;
-                
-            case 'aiExperience':
-                if (this.simulations.aiExperience) {
-                    this.simulations.aiExperience.update();
-                }
-                break;
-                
-            case 'all':
-            default:
-                // Update all implemented simulations
-                Object.values(this.simulations).forEach(sim => {
-                    if (sim && sim.update) {
-                        sim.update();
-                    }
-                });
-                break;
+    toggleParameterLock(name) {
+        if (this.consciousness.controls[name]) {
+            this.releaseParameter(name);
+        } else {
+            this.lockParameter(name, this.consciousness.parameters[name]);
         }
     }
     
     /**
-     * Render simulations based on current mode
+     * Change how strongly manual controls hold against autonomous evolution,
+     * including those already in effect; running ramps carry on from where they are
      */
-    renderSimulations() {
-        this.renderer.clear();
+    setManualBlend(weight) {
+        this.manualBlend = weight;
         
-        switch (this.currentMode) {
-            case 'neural':
-                if (this.simulations.neural) {
-                    this.simulations.neural.render();
-                }
-                break;
-                
-            case 'cellular':
-                if (this.simulations.cellular) {
-                    this.simulations.cellular.render();
-                }
-                break;
-                
-            case 'ecosystem':
-                if (this.simulations.ecosystem) {
-                    this.simulations.ecosystem.render();
-                }
-                break;
-                
-            case 'consciousness':
-                if (this.simulations.consciousness) {
-                    this.simulations.consciousness.render();
-                }
-                break;
-                
-            case 'aiExperience':
-                if (this.simulations.aiExperience) {
-                    this.simulations.aiExperience.render();
-                }
-                break;
-                
-            case 'all':
-            default:
-                this.renderCombinedMode();
-                break;
-        }
+        Object.entries(this.consciousness.getParameterControls()).forEach(([name, control]) => {
+            this.engine.controlParameter(name, {
+                value: control.value,
+                weight,
+                ramp: control.ramp.map(({ to, ticks, elapsed }) => ({ to, ticks: ticks - elapsed })),
+                release: control.release
+            });
+        });
+        
+        console.log(`🎚️ Manual blend: ${weight.toFixed(2)}`);
     }
     
     /**
-     * Render combined mode with all simulations blended
+     * Reflect UI settings from the active config
      */
-    renderCombinedMode() {
-        // Use blend modes for layered consciousness representation
-        this.renderer.setBlendMode('screen');
+    applyUIConfig() {
+        const { ui } = this.config;
         
-        // Only render implemented simulations
-        if (this.simulations.neural) {
-            this.renderer.ctx.globalAlpha = 0.4;
-            this.simulations.neural.render();
-        }
+        [
+            this.uiElements.complexityBar,
+            this.uiElements.emergenceBar,
+            this.uiElements.coherenceBar,
+            this.uiElements.adaptationBar
+        ].forEach(bar => {
+            if (bar) {
+                bar.style.transitionDuration = `${ui.evolutionBarAnimationSpeed}s`;
+            }
+        });
         
-        if (this.simulations.cellular) {
-            this.renderer.ctx.globalAlpha = 0.3;
-            this.simulations.cellular.render();
+        if (this.uiElements.presetSelect) {
+            this.uiElements.presetSelect.value = this.engine.preset;
         }
-        
-        if (this.simulations.ecosystem) {
-            this.renderer.ctx.globalAlpha = 0.35;
-            this.simulations.ecosystem.render();
+        if (this.uiElements.themeSelect) {
+            this.uiElements.themeSelect.value = this.renderer.palette.name;
         }
         
-        if (this.simulations.consciousness) {
-            this.renderer.ctx.globalAlpha = 0.5;
-            this.simulations.consciousness.render();
-        }
+        // Cleared areas show the canvas element, so it takes the theme's background
+        this.canvas.style.background = this.renderer.palette.background;
+    }
+    
+    /**
+     * Generate one mode button per registered simulation, after the combined mode
+     */
+    setupModeControls() {
+        const container = this.uiElements.modeControls;
+        if (!container) return;
         
-        if (this.simulations.aiExperience) {
-            this.renderer.ctx.globalAlpha = 0.5;
-            this.simulations.aiExperience.render();
-        }
+        container.innerHTML = '';
         
-        // Reset rendering state
-        this.renderer.resetState();
+        this.engine.getModes().forEach(mode => {
+            const button = document.createElement('button');
+            button.className = 'sim-btn';
+            button.dataset.sim = mode;
+            button.textContent = this.getModeInfo(mode).title;
+            button.addEventListener('click', () => this.switchMode(mode));
+            container.appendChild(button);
+        });
+        
+        this.setActiveButton(this.currentMode);
     }
     
     /**
-     * Handle phase transitions across all simulations
+     * Generate one visibility toggle per registered simulation for combined mode
      */
-    handlePhaseTransitions() {
-        const noveltyTypes = this.consciousness.introduceNovelty();
+    setupLayerControls() {
+        const container = this.uiElements.layerControls;
+        if (!container) return;
         
-        noveltyTypes.forEach(type => {
-            switch (type) {
-                case 'neural_reset':
-                    if (this.simulations.neural) {
-                        this.simulations.neural.reset();
-                        console.log('🧠 Neural network reset during phase transition');
-                    }
-                    break;
-                    
-                case 'ecosystem_injection':
-                    if (this.simulations.ecosystem) {
-                        this.simulations.ecosystem.introduceEnvironmentalChange();
-                        console.log('🌍 Ecosystem environmental injection triggered');
-                    }
-                    break;
-                    
-                case 'cellular_mutation':
-                    if (this.simulations.cellular) {
-                        this.simulations.cellular.massMutation();
-                        console.log('🧬 Cellular mass mutation triggered');
-                    }
-                    break;
-                    
-                case 'consciousness_surge':
-                    this.amplifyConsciousness();
-                    break;
-            }
+        container.innerHTML = '';
+        
+        this.engine.registry.list().forEach(definition => {
+            const button = document.createElement('button');
+            button.className = 'panel-btn layer-btn';
+            button.dataset.layer = definition.id;
+            button.textContent = definition.title;
+            button.title = `Show or hide ${definition.title} in Autonomous Evolution`;
+            button.classList.toggle('active', this.renderer.isLayerVisible(definition.id));
+            button.addEventListener('click', () => this.toggleLayer(definition.id));
+            container.appendChild(button);
         });
     }
     
     /**
-     * Temporarily amplify consciousness parameters
+     * Wire the tool option selector and brush size slider; the tool buttons follow
+     * the mode (see updateToolButtons)
      */
-    amplifyConsciousness() {
-        console.log('✨ Consciousness surge detected - amplifying all systems');
+    setupToolControls() {
+        const { toolOption, brushSize } = this.uiElements;
         
-        // Boost neural network if available
-        if (this.simulations.neural && this.simulations.neural.nodes) {
-            this.simulations.neural.nodes.forEach(node => {
-                node.evolution.plasticity *= 1.5;
-                node.evolution.plasticity = Math.min(0.1, node.evolution.plasticity);
+        if (toolOption) {
+            toolOption.addEventListener('change', () => {
+                if (this.tool) {
+                    this.tool.option = toolOption.value;
+                }
             });
         }
+        if (brushSize) {
+            brushSize.value = this.brushRadius;
+            brushSize.addEventListener('input', () => this.setBrushRadius(parseFloat(brushSize.value)));
+        }
+        
+        this.updateToolButtons();
+    }
+    
+    /**
+     * Generate an Inspect button and one button per interaction tool of the running
+     * simulations, putting down a tool whose simulation has stopped
+     */
+    updateToolButtons() {
+        const active = this.engine.getActiveSimulations();
+        if (this.tool && !active.includes(this.tool.simulationId)) {
+            this.selectTool(null);
+        }
         
-        // Boost ecosystem if available
-        if (this.simulations.ecosystem) {
-            this.simulations.ecosystem.config.mutationRate *= 1.3;
-            this.simulations.ecosystem.config.reproductionRate *= 1.2;
+        const container = this.uiElements.toolButtons;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const addButton = (label, title, simulationId = null, toolId = null) => {
+            const button = document.createElement('button');
+            button.className = 'panel-btn tool-btn';
+            button.dataset.tool = toolId ? `${simulationId}.${toolId}` : '';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => this.selectTool(simulationId, toolId));
+            container.appendChild(button);
+        };
+        
+        addButton('Inspect', 'Click entities to inspect them, drag to pan');
+        active.forEach(id => {
+            const definition = this.engine.registry.get(id);
+            Object.entries(definition.tools).forEach(([toolId, tool]) => {
+                addButton(tool.title, `${tool.description} (${definition.title})`, id, toolId);
+            });
+        });
+        
+        this.showSelectedTool();
+    }
+    
+    /**
+     * Pick an interaction tool of a running simulation for the canvas, with one of
+     * its options (the first by default), or null to go back to inspecting and
+     * panning; returns false for an unknown tool
+     */
+    selectTool(simulationId, toolId, option) {
+        if (simulationId === null) {
+            this.tool = null;
+            this.showSelectedTool();
+            console.log('🔍 Inspect tool selected');
+            return true;
         }
         
-        // Boost cellular automata if available
-        if (this.simulations.cellular) {
-            this.simulations.cellular.config.reproductionRate *= 1.2;
-            this.simulations.cellular.config.mutationIntensity *= 1.3;
+        const tool = this.engine.registry.get(simulationId)?.tools[toolId];
+        if (!tool || !this.engine.getActiveSimulations().includes(simulationId)) {
+            console.warn(`No tool ${toolId} in the running simulations`);
+            return false;
         }
+        
+        const options = tool.options ?? [];
+        this.tool = { simulationId, toolId, option: options.includes(option) ? option : options[0] };
+        this.showSelectedTool();
+        console.log(`🖌️ ${tool.title} tool selected`);
+        return true;
     }
     
     /**
-     * Toggle performance display for debugging
+     * Registry definition of the selected tool, or null while inspecting
      */
-    togglePerformanceDisplay() {
-        this.showPerformance = !this.showPerformance;
-        console.log(`📊 Performance display: ${this.showPerformance ? 'enabled' : 'disabled'}`);
+    get selectedTool() {
+        return this.tool && this.engine.registry.get(this.tool.simulationId).tools[this.tool.toolId];
     }
     
     /**
-     * Reset current simulation
+     * Reflect the selected tool in the toolbar, option selector and cursor
      */
-    resetCurrentSimulation() {
-        const currentSim = this.simulations[this.currentMode];
-        if (currentSim && currentSim.reset) {
-            currentSim.reset();
-            console.log(`🔄 Reset ${this.currentMode} simulation`);
-        } else if (this.currentMode === 'all') {
-            // Reset all implemented simulations
-            Object.values(this.simulations).forEach(sim => {
-                if (sim && sim.reset) {
-                    sim.reset();
-                }
+    showSelectedTool() {
+        const selected = this.tool ? `${this.tool.simulationId}.${this.tool.toolId}` : '';
+        document.querySelectorAll('.tool-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === selected);
+        });
+        
+        const select = this.uiElements.toolOption;
+        if (select) {
+            const options = this.selectedTool?.options ?? [];
+            select.innerHTML = '';
+            options.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+                select.appendChild(option);
             });
-            console.log('🔄 Reset all simulations');
+            select.value = this.tool?.option ?? '';
+            select.hidden = options.length === 0;
         }
+        
+        this.canvas.style.cursor = this.tool ? 'crosshair' : '';
     }
     
     /**
-     * Add a new simulation to the system
+     * Set the brush radius in screen pixels
      */
-    addSimulation(name, simulation) {
-        this.simulations[name] = simulation;
-        console.log(`➕ Added ${name} simulation to consciousness system`);
+    setBrushRadius(radius) {
+        this.brushRadius = Math.max(1, radius);
+        if (this.uiElements.brushSize) {
+            this.uiElements.brushSize.value = this.brushRadius;
+        }
     }
     
     /**
-     * Start the consciousness evolution
+     * Use an interaction tool of a simulation at a world point; action is
+     * { x, y, radius, option }, with radius defaulting to the brush at its size on
+     * screen. Returns false for an unknown tool or an invalid action
      */
-    start() {
-        if (this.animationId) {
-            this.stop();
+    applyTool(simulationId, toolId, action) {
+        const radius = action?.radius ?? this.brushRadius / this.renderer.camera.zoom;
+        try {
+            this.engine.applyTool(simulationId, toolId, { ...action, radius });
+        } catch (error) {
+            console.warn(error.message);
+            return false;
         }
-        this.animate();
-        console.log('🌀 Fractal consciousness evolution started');
+        return true;
     }
     
     /**
-     * Stop the consciousness evolution
+     * Apply the selected tool at a canvas position, with the brush at its size on screen
      */
-    stop() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-        console.log('🛑 Fractal consciousness evolution stopped');
+    useToolAt(x, y) {
+        const { simulationId, toolId, option } = this.tool;
+        const point = this.renderer.camera.screenToWorld(x, y);
+        
+        this.applyTool(simulationId, toolId, { x: point.x, y: point.y, option });
     }
     
     /**
-     * Get overall system state for analysis
+     * Show or hide a simulation's layer in combined mode
      */
-    getSystemState() {
-        const consciousness = this.consciousness.getState();
-        const simulations = {};
+    setLayerVisible(id, visible) {
+        this.renderer.setLayerVisible(id, visible);
         
-        Object.entries(this.simulations).forEach(([key, sim]) => {
-            if (sim && sim.getState) {
-                simulations[key] = sim.getState();
+        document.querySelectorAll('.layer-btn').forEach(button => {
+            if (button.dataset.layer === id) {
+                button.classList.toggle('active', visible);
             }
         });
         
-        return {
-            consciousness,
-            simulations,
-            performance: { ...this.performance },
-            currentMode: this.currentMode,
-            implementedSimulations: Object.keys(this.simulations).filter(key => this.simulations[key] !== null)
-        };
+        console.log(`🎞️ ${id} layer ${visible ? 'shown' : 'hidden'}`);
+    }
+    
+    toggleLayer(id) {
+        this.setLayerVisible(id, !this.renderer.isLayerVisible(id));
     }
     
     /**
-     * Export current state for saving/analysis
+     * Set up event listeners for session controls and keyboard shortcuts
      */
-    exportState() {
-        const state = this.getSystemState();
-        const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    setupEventListeners() {
+        // Replayed inputs change the mode and preset without going through the UI
+        this.on(EventTypes.INPUT, ({ input }) => {
+            // Resizes and tool strokes change nothing the controls or URL show
+            if (input === InputTypes.RESIZE || input === InputTypes.TOOL) return;
+            
+            this.setActiveButton(this.currentMode);
+            this.updateToolButtons();
+            this.applyUIConfig();
+            this.updateUrl();
+        });
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `consciousness-state-${Date.now()}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        // Session save/load
+        const saveButton = document.getElementById('save-session');
+        const loadButton = document.getElementById('load-session');
+        const sessionFile = document.getElementById('session-file');
         
-        console.log('💾 Consciousness state exported');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.exportState());
+        }
+        
+        if (loadButton && sessionFile) {
+            loadButton.addEventListener('click', () => sessionFile.click());
+            sessionFile.addEventListener('change', () => {
+                if (sessionFile.files.length > 0) {
+                    this.importStateFromFile(sessionFile.files[0]);
+                }
+                // Allow the same file to be loaded again
+                sessionFile.value = '';
+            });
+        }
+        
+        // Replay save/load
+        const saveReplayButton = document.getElementById('save-replay');
+        const loadReplayButton = document.getElementById('load-replay');
+        const replayFile = document.getElementById('replay-file');
+        
+        if (saveReplayButton) {
+            saveReplayButton.addEventListener('click', () => this.exportReplay());
+        }
+        
+        if (loadReplayButton && replayFile) {
+            loadReplayButton.addEventListener('click', () => replayFile.click());
+            replayFile.addEventListener('change', () => {
+                if (replayFile.files.length > 0) {
+                    this.loadReplayFromFile(replayFile.files[0]);
+                }
+                replayFile.value = '';
+            });
+        }
+        
+        // Metrics recording
+        const recordButton = document.getElementById('record-metrics');
+        const exportMetricsButton = document.getElementById('export-metrics');
+        
+        if (recordButton) {
+            recordButton.addEventListener('click', () => this.toggleRecording());
+        }
+        if (exportMetricsButton) {
+            exportMetricsButton.addEventListener('click', () => this.exportMetrics('csv'));
+        }
+        this.updateRecordingButton();
+        
+        // Frame capture
+        const capturePngButton = document.getElementById('capture-png');
+        const captureWebmButton = document.getElementById('capture-webm');
+        
+        if (capturePngButton) {
+            capturePngButton.addEventListener('click', () => this.toggleCapture('png'));
+        }
+        if (captureWebmButton) {
+            captureWebmButton.addEventListener('click', () => this.toggleCapture('webm'));
+        }
+        
+        // Vector export
+        const exportSvgButton = document.getElementById('export-svg');
+        if (exportSvgButton) {
+            exportSvgButton.addEventListener('click', () => this.exportSvg());
+        }
+        
+        // Entity inspector
+        const followButton = document.getElementById('inspector-follow');
+        const closeButton = document.getElementById('inspector-close');
+        
+        if (followButton) {
+            followButton.addEventListener('click', () => {
+                const selection = this.inspector.selection;
+                if (selection) {
+                    this.followEntity(selection.entityId, selection.simulationId);
+                }
+            });
+        }
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.closeInspector());
+        }
+        
+        const fullscreenButton = document.getElementById('fullscreen');
+        if (fullscreenButton) {
+            fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        }
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (!this.config.ui.keyboardShortcuts) return;
+            
+            // Number keys select modes in button order
+            if (e.key >= '1' && e.key <= '9') {
+                const newMode = this.engine.getModes()[parseInt(e.key) - 1];
+                if (newMode) {
+                    this.switchMode(newMode);
+                }
+            }
+            
+            // Performance toggle
+            if (e.key === 'p' || e.key === 'P') {
+                this.togglePerformanceDisplay();
+            }
+            
+            // Reset simulation
+            if (e.key === 'r' || e.key === 'R') {
+                this.resetCurrentSimulation();
+            }
+            
+            // Simulation clock controls
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.togglePause();
+            }
+            
+            if (e.key === '.') {
+                this.stepSimulation();
+            }
+            
+            if (e.key === '+' || e.key === '=') {
+                this.setSpeed(this.clock.speed * 2);
+            }
+            
+            if (e.key === '-' || e.key === '_') {
+                this.setSpeed(this.clock.speed / 2);
+            }
+            
+            // Frame capture start/stop and overlay
+            if (e.key === 'c' || e.key === 'C') {
+                this.toggleCapture();
+            }
+            
+            if (e.key === 'o' || e.key === 'O') {
+                this.setCaptureOverlay(!(this.captureOverlay ?? this.config.capture.overlay));
+            }
+            
+            // View: fit to content, reset
+            if (e.key === 'f' || e.key === 'F') {
+                this.fitToContent();
+            }
+            
+            if (e.key === '0') {
+                this.resetCamera();
+            }
+        });
+    }
+    
+    /**
+     * Update UI button active state
+     */
+    setActiveButton(mode) {
+        document.querySelectorAll('.sim-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.sim === mode) {
+                btn.classList.add('active');
+            }
+        });
+    }
+    
+    /**
+     * Switch between different consciousness modes
+     */
+    switchMode(mode) {
+        if (!this.engine.getModes().includes(mode)) {
+            console.warn(`Unknown mode: ${mode} (available: ${this.engine.getModes().join(', ')})`);
+            return;
+        }
+        
+        this.engine.setMode(mode);
+        this.setActiveButton(mode);
+        this.updateToolButtons();
+        this.updateUI();
+        console.log(`🌊 Switched to consciousness mode: ${mode}`);
+    }
+    
+    /**
+     * Update UI elements with current state
+     */
+    updateUI() {
+        const state = this.consciousness.getState();
+        
+        // Update evolution bars
+        if (this.uiElements.complexityBar) {
+            this.uiElements.complexityBar.style.width = `${state.parameters.complexity * 100}%`;
+        }
+        if (this.uiElements.emergenceBar) {
+            this.uiElements.emergenceBar.style.width = `${state.parameters.emergence * 100}%`;
+        }
+        if (this.uiElements.coherenceBar) {
+            this.uiElements.coherenceBar.style.width = `${state.parameters.coherence * 100}%`;
+        }
+        if (this.uiElements.adaptationBar) {
+            this.uiElements.adaptationBar.style.width = `${state.parameters.adaptation * 100}%`;
+        }
+        
+        // Sliders follow the parameters, and locked parameters are marked
+        document.querySelectorAll('.param-slider').forEach(slider => {
+            const name = slider.dataset.param;
+            const locked = name in this.consciousness.controls;
+            
+            if (name !== this.draggingParameter) {
+                slider.value = state.parameters[name];
+            }
+            slider.closest('.status-item')?.classList.toggle('locked', locked);
+        });
+        
+        document.querySelectorAll('.lock-btn').forEach(button => {
+            button.textContent = button.dataset.param in this.consciousness.controls ? '🔒' : '🔓';
+        });
+        
+        // Update mode-specific information
+        this.updateModeInfo();
+    }
+    
+    /**
+     * Title and description of a mode, from the registry (config descriptions take precedence)
+     */
+    getModeInfo(mode) {
+        const descriptions = this.config.ui.modeDescriptions;
+        const definition = this.engine.registry.get(mode);
+        
+        if (!definition) {
+            return { title: 'Autonomous Evolution', description: descriptions[COMBINED_MODE] };
+        }
+        return {
+            title: definition.title,
+            description: descriptions[mode] ?? definition.description
+        };
+    }
+    
+    /**
+     * Update mode-specific UI information
+     */
+    updateModeInfo() {
+        const info = this.getModeInfo(this.currentMode);
+        
+        if (this.uiElements.simTitle) {
+            this.uiElements.simTitle.textContent = info.title;
+        }
+        if (this.uiElements.simDescription) {
+            this.uiElements.simDescription.textContent = info.description;
+        }
+    }
+    
+    /**
+     * Main animation loop
+     */
+    animate() {
+        const frameStart = performance.now();
+        
+        // Update consciousness core and active simulation(s) at a fixed tick rate
+        const updateStart = performance.now();
+        // While capturing, each frame covers a fixed slice of simulated time instead of real
+        // time, and waits until the worker has caught up with the previous slice
+        const captureFrame = this.capture.active && !this.clock.paused && this.engine.synced && this.capture.frameDue(frameStart);
+        let ticks;
+        if (this.capture.active) {
+            ticks = captureFrame ? this.capture.ticksForFrame(this.clock.tickRate, this.clock.speed) : 0;
+        } else {
+            ticks = this.clock.advance(frameStart);
+        }
+        this.engine.advance(ticks);
+        
+        const updateEnd = performance.now();
+        this.performance.updateTime = updateEnd - updateStart;
+        
+        // Render active simulation(s)
+        const renderStart = performance.now();
+        if (!this.renderer.camera.update()) {
+            console.log('🎥 Followed entity is gone; the view stays where it was');
+        }
+        this.profiler.time('render', () => this.renderSimulations());
+        
+        const renderEnd = performance.now();
+        this.performance.renderTime = renderEnd - renderStart;
+        
+        // Update UI
+        this.updateUI();
+        this.updateInspector(frameStart);
+        
+        // Captured frames include the info overlay only when the capture asks for it
+        const overlay = this.capture.settings?.overlay;
+        if (captureFrame && !overlay) {
+            this.captureFrame();
+        }
+        
+        // The inspected entity's ring and the brush outline are part of the overlay
+        this.renderSelection();
+        this.renderBrush();
+        
+        // Performance display
+        if (this.showPerformance) {
+            const clock = this.clock.getState();
+            const capture = this.capture.getState();
+            const camera = this.renderer.camera.getState();
+            const quality = this.renderer.governor.getState();
+            this.renderer.drawPerformanceInfo([
+                `Speed: ${clock.speed}x${clock.paused ? ' (paused)' : ''}`,
+                `View: ${camera.zoom.toFixed(2)}x${camera.following ? ' (following)' : ''}`,
+                `Quality: ${quality.level}${quality.pinned ? ' (pinned)' : quality.adaptive ? '' : ' (fixed)'}`,
+                `Frame: ${this.performance.frameTime.toFixed(1)} ms (update ${this.performance.updateTime.toFixed(1)}, render ${this.performance.renderTime.toFixed(1)})`,
+                `Simulation: ${this.engine.worker ? 'worker' : 'main thread'}`,
+                ...(capture.active ? [`Capture: ${capture.frames}/${capture.maxFrames} frames`] : [])
+            ]);
+        }
+        if (this.profiler.enabled) {
+            this.renderer.drawProfile(this.profiler.getReport(), this.profiler.getState());
+        }
+        
+        if (captureFrame && overlay) {
+            this.captureFrame();
+        }
+        
+        // Update performance metrics; quality holds still while capturing, as encoding
+        // frames slows rendering down
+        if (this.renderer.updatePerformance(!this.capture.active)) {
+            console.log(`🎚️ Render quality ${this.renderer.quality.name} at ${this.renderer.fps} FPS`);
+        }
+        this.performance.frameTime = performance.now() - frameStart;
+        this.profiler.endFrame();
+        
+        // Continue animation
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+    
+    /**
+     * Render simulations based on current mode
+     */
+    renderSimulations() {
+        this.renderer.clear();
+        
+        if (this.engine.registry.has(this.currentMode)) {
+            this.renderer.beginView();
+            this.profiler.time(this.currentMode, () => this.engine.callHook(this.currentMode, 'render', this.renderer));
+            this.renderer.endView();
+        } else {
+            this.renderCombinedMode();
+        }
+    }
+    
+    /**
+     * Render all combined simulations layered with their blend modes
+     */
+    renderCombinedMode() {
+        const blendModes = this.config.rendering.blendModes;
+        const palette = this.renderer.palette;
+        
+        // Each simulation draws into its own layer, so clearing only wipes its own output
+        const layers = this.engine.getActiveSimulations(COMBINED_MODE)
+            .filter(id => this.renderer.isLayerVisible(id))
+            .map(id => {
+                this.renderer.beginLayer(id);
+                this.renderer.beginView();
+                this.profiler.time(id, () => this.engine.callHook(id, 'render', this.renderer));
+                this.renderer.endView();
+                this.renderer.endLayer();
+                
+                const blend = blendModes[id] || this.engine.registry.get(id).blend;
+                return { id, ...blend, mode: palette.blendMode(blend.mode) };
+            });
+        
+        this.renderer.composite(layers);
+    }
+    
+    /**
+     * Trigger a phase transition immediately
+     */
+    triggerPhaseTransition() {
+        return this.engine.triggerPhaseTransition();
+    }
+    
+    /**
+     * Pause or resume the simulation clock
+     */
+    togglePause() {
+        const paused = this.clock.togglePause();
+        console.log(paused ? '⏸️ Simulation paused' : '▶️ Simulation resumed');
+        return paused;
+    }
+    
+    /**
+     * Pause the simulation clock
+     */
+    pause() {
+        this.clock.pause();
+        console.log('⏸️ Simulation paused');
+    }
+    
+    /**
+     * Resume the simulation clock
+     */
+    resume() {
+        this.clock.resume();
+        console.log('▶️ Simulation resumed');
+    }
+    
+    /**
+     * Advance a paused simulation by a number of ticks
+     */
+    stepSimulation(ticks = 1) {
+        this.clock.step(ticks);
+    }
+    
+    /**
+     * Set the simulation speed multiplier
+     */
+    setSpeed(speed) {
+        const newSpeed = this.clock.setSpeed(speed);
+        console.log(`⏩ Simulation speed: ${newSpeed}x`);
+        return newSpeed;
+    }
+    
+    /**
+     * Keep the canvas filling its place in the page, or at its configured size when
+     * canvas.responsive is off, backed by one canvas pixel per device pixel
+     */
+    setupResizing() {
+        if (!this.config.canvas.responsive) {
+            this.canvas.style.flex = 'none';
+            this.canvas.style.width = `${this.renderer.width}px`;
+            this.canvas.style.height = `${this.renderer.height}px`;
+        } else if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.resize()).observe(this.canvas);
+        }
+        
+        this.watchPixelRatio();
+        this.resize();
+    }
+    
+    /**
+     * Resize again whenever the pixel density changes, as when the window moves to
+     * another screen or the page is zoomed
+     */
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+        
+        window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+            .addEventListener('change', () => {
+                this.resize();
+                this.watchPixelRatio();
+            }, { once: true });
+    }
+    
+    /**
+     * Match the canvas and the simulation world to the canvas's size in the page
+     */
+    resize() {
+        const { responsive, maxPixelRatio } = this.config.canvas;
+        const width = responsive ? this.canvas.clientWidth : this.renderer.width;
+        const height = responsive ? this.canvas.clientHeight : this.renderer.height;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+        
+        // A canvas that is not laid out (hidden, or a page without styles) keeps its size
+        if (!width || !height) return;
+        
+        if (width !== this.renderer.width || height !== this.renderer.height || pixelRatio !== this.renderer.pixelRatio) {
+            this.renderer.resize(width, height, pixelRatio);
+        }
+        this.engine.resize(width, height);
+    }
+    
+    /**
+     * Show the canvas alone on the whole screen, or return it to the page
+     */
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (this.canvas.requestFullscreen) {
+            this.canvas.requestFullscreen().catch(error => console.warn('Fullscreen was refused:', error));
+        }
+    }
+    
+    /**
+     * Mouse wheel zooms around the pointer. Without a tool, dragging pans the view
+     * and clicking inspects; with one, pressing applies it and brushes paint along a drag
+     */
+    setupCameraControls() {
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            
+            // Line-based wheels report notches; pixel-based ones (trackpads) report ~100 per notch
+            const delta = event.deltaMode === 1 ? event.deltaY * 33 : event.deltaY;
+            const { x, y } = this.canvasPoint(event);
+            this.zoomCamera(this.config.camera.zoomStep ** (-delta / 100), x, y);
+        }, { passive: false });
+        
+        this.canvas.addEventListener('pointerdown', event => {
+            if (event.button !== 0) return;
+            
+            if (this.tool) {
+                this.toolStroke = this.canvasPoint(event);
+                this.useToolAt(this.toolStroke.x, this.toolStroke.y);
+                this.canvas.setPointerCapture?.(event.pointerId);
+                return;
+            }
+            
+            this.panStart = this.canvasPoint(event);
+            this.clickStart = this.panStart;
+            this.canvas.setPointerCapture?.(event.pointerId);
+            this.canvas.style.cursor = 'grabbing';
+        });
+        
+        this.canvas.addEventListener('pointermove', event => {
+            const point = this.canvasPoint(event);
+            this.pointer = point;
+            
+            // Brushes are applied along a drag, spaced at half their radius
+            if (this.toolStroke) {
+                if (this.selectedTool.brush && Math.hypot(point.x - this.toolStroke.x, point.y - this.toolStroke.y) >= this.brushRadius / 2) {
+                    this.useToolAt(point.x, point.y);
+                    this.toolStroke = point;
+                }
+                return;
+            }
+            
+            if (!this.panStart) return;
+            
+            this.renderer.camera.panBy(point.x - this.panStart.x, point.y - this.panStart.y);
+            this.panStart = point;
+        });
+        this.canvas.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+        
+        const endPan = () => {
+            this.panStart = null;
+            this.clickStart = null;
+            this.toolStroke = null;
+            this.canvas.style.cursor = this.tool ? 'crosshair' : '';
+        };
+        this.canvas.addEventListener('pointerup', event => {
+            // A press that barely moved is a click, which inspects what is under it
+            const point = this.canvasPoint(event);
+            if (this.clickStart && Math.hypot(point.x - this.clickStart.x, point.y - this.clickStart.y) < CLICK_SLOP) {
+                this.inspectAt(point.x, point.y);
+            }
+            endPan();
+        });
+        this.canvas.addEventListener('pointercancel', endPan);
+    }
+    
+    /**
+     * Position of a mouse or pointer event in the canvas, in the CSS pixels the
+     * camera works in, measured inside the canvas border
+     */
+    canvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - this.canvas.clientLeft) * this.renderer.width / this.canvas.clientWidth,
+            y: (event.clientY - rect.top - this.canvas.clientTop) * this.renderer.height / this.canvas.clientHeight
+        };
+    }
+    
+    /**
+     * Zoom the view by a factor around a canvas position (the centre by default)
+     */
+    zoomCamera(factor, x = this.renderer.width / 2, y = this.renderer.height / 2) {
+        this.renderer.camera.zoomAt(x, y, factor);
+    }
+    
+    /**
+     * Zoom to show everything the visible simulations contain
+     */
+    fitToContent() {
+        const ids = this.engine.getActiveSimulations().filter(id => this.renderer.isLayerVisible(id));
+        const bounds = this.engine.getContentBounds(ids);
+        
+        if (!bounds) {
+            this.resetCamera();
+            return;
+        }
+        
+        this.renderer.camera.fit(bounds);
+        console.log(`🎥 Fitted view to content (${this.renderer.camera.zoom.toFixed(2)}x)`);
+    }
+    
+    /**
+     * Return to the full, unzoomed view
+     */
+    resetCamera() {
+        this.renderer.camera.reset();
+        console.log('🎥 View reset');
+    }
+    
+    /**
+     * Keep an entity centred as it moves, by its id in any active simulation (or
+     * only in simulationId); returns false when no such entity exists
+     */
+    followEntity(entityId, simulationId = null) {
+        const ids = simulationId ? [simulationId] : this.engine.getActiveSimulations();
+        if (!this.engine.locateEntity(entityId, ids)) {
+            console.warn(`No entity ${entityId} in ${ids.join(', ')}`);
+            return false;
+        }
+        
+        this.renderer.camera.follow(() => this.engine.locateEntity(entityId, ids));
+        console.log(`🎥 Following ${entityId}`);
+        return true;
+    }
+    
+    stopFollowing() {
+        this.renderer.camera.unfollow();
+    }
+    
+    /**
+     * Open the inspector on the entity drawn at a canvas position, or close it when
+     * nothing is there
+     */
+    inspectAt(x, y) {
+        const camera = this.renderer.camera;
+        const ids = this.engine.getActiveSimulations().filter(id => this.renderer.isLayerVisible(id));
+        const hit = this.engine.hitTest(camera.screenToWorld(x, y), CLICK_TOLERANCE / camera.zoom, ids);
+        
+        if (hit) {
+            this.inspectEntity(hit.entityId, hit.simulationId);
+        } else {
+            this.closeInspector();
+        }
+    }
+    
+    /**
+     * Open the inspector on an entity by its id in a simulation; returns false when
+     * no such entity exists
+     */
+    inspectEntity(entityId, simulationId) {
+        const details = this.engine.inspectEntity(simulationId, entityId);
+        if (!details) {
+            console.warn(`No entity ${entityId} in ${simulationId}`);
+            return false;
+        }
+        
+        this.inspector.open({ simulationId, entityId }, details);
+        this.inspectorUpdated = performance.now();
+        console.log(`🔍 Inspecting ${details.title ?? entityId}`);
+        return true;
+    }
+    
+    closeInspector() {
+        this.inspector.close();
+    }
+    
+    /**
+     * Refresh the open inspector, at most once per ui.inspectorInterval
+     */
+    updateInspector(now) {
+        const selection = this.inspector.selection;
+        if (!selection || now - this.inspectorUpdated < this.config.ui.inspectorInterval) return;
+        
+        this.inspector.show(this.engine.inspectEntity(selection.simulationId, selection.entityId));
+        this.inspectorUpdated = now;
+    }
+    
+    /**
+     * Ring the inspected entity so it stays easy to find as it moves
+     */
+    renderSelection() {
+        const selection = this.inspector.selection;
+        if (!selection || !this.engine.getActiveSimulations().includes(selection.simulationId)) return;
+        
+        const position = this.engine.locateEntity(selection.entityId, [selection.simulationId]);
+        if (!position) return;
+        
+        const { x, y } = this.renderer.camera.worldToScreen(position.x, position.y);
+        this.renderer.screenSpace(() => {
+            const ctx = this.renderer.ctx;
+            ctx.strokeStyle = this.renderer.palette.color('outline', 0.9);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(x, y, 14, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+    
+    /**
+     * Outline the brush under the pointer while a tool is selected
+     */
+    renderBrush() {
+        if (!this.tool || !this.pointer) return;
+        
+        const { x, y } = this.pointer;
+        this.renderer.screenSpace(() => {
+            const ctx = this.renderer.ctx;
+            ctx.strokeStyle = this.renderer.palette.color('outline', 0.5);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(x, y, this.brushRadius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+    
+    /**
+     * Hold render quality at a level ('high', 'medium' or 'low'), or let it adapt
+     * to the frame rate again with null
+     */
+    setQuality(level) {
+        try {
+            this.renderer.governor.pin(level);
+        } catch (error) {
+            console.warn(error.message);
+            return;
+        }
+        
+        console.log(level === null ? '🎚️ Render quality adapts to the frame rate' : `🎚️ Render quality held at ${this.renderer.quality.name}`);
+    }
+    
+    /**
+     * Toggle performance display for debugging
+     */
+    togglePerformanceDisplay() {
+        this.showPerformance = !this.showPerformance;
+        console.log(`📊 Performance display: ${this.showPerformance ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Start timing each frame's sections afresh; the breakdown is drawn over the view
+     * and returned by getProfile()
+     */
+    startProfiling() {
+        this.engine.setProfiling(true);
+        console.log(`⏱️ Profiling frame sections over ${this.profiler.window} frames`);
+    }
+    
+    /**
+     * Stop profiling, keeping the breakdown measured so far
+     */
+    stopProfiling() {
+        this.engine.setProfiling(false);
+        console.log(`⏱️ Profiling stopped after ${this.profiler.frames} frames`);
+    }
+    
+    /**
+     * Rolling averages, peaks and spikes of each profiled section, in flame order
+     */
+    getProfile() {
+        return { ...this.profiler.getState(), sections: this.profiler.getReport() };
+    }
+    
+    /**
+     * Reset current simulation
+     */
+    resetCurrentSimulation() {
+        this.engine.reset(this.currentMode);
+        
+        if (this.currentMode === COMBINED_MODE) {
+            console.log('🔄 Reset all simulations');
+        } else {
+            console.log(`🔄 Reset ${this.currentMode} simulation`);
+        }
+    }
+    
+    /**
+     * Register a new simulation (see core/registry.js); it gets a mode button and shortcut
+     */
+    registerSimulation(definition) {
+        const registered = this.engine.registerSimulation(definition);
+        this.setupModeControls();
+        this.setupLayerControls();
+        this.updateToolButtons();
+        console.log(`➕ Added ${registered.id} simulation to consciousness system`);
+        return registered;
+    }
+    
+    /**
+     * Remove a registered simulation and its mode button
+     */
+    unregisterSimulation(id) {
+        this.engine.unregisterSimulation(id);
+        this.renderer.removeLayer(id);
+        this.setupModeControls();
+        this.setupLayerControls();
+        this.updateToolButtons();
+        this.updateUI();
+        console.log(`➖ Removed ${id} simulation from consciousness system`);
+    }
+    
+    /**
+     * Start the consciousness evolution
+     */
+    start() {
+        if (this.animationId) {
+            this.stop();
+        }
+        this.animate();
+        console.log('🌀 Fractal consciousness evolution started');
+    }
+    
+    /**
+     * Stop the consciousness evolution
+     */
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        console.log('🛑 Fractal consciousness evolution stopped');
+    }
+    
+    /**
+     * Get overall system state for analysis
+     */
+    getSystemState() {
+        return {
+            ...this.engine.getSystemState(),
+            performance: { ...this.performance },
+            clock: this.clock.getState()
+        };
+    }
+    
+    /**
+     * Export the complete session so it can be loaded later and resumed exactly
+     */
+    async exportState() {
+        // A worker engine answers with a promise of its state
+        const snapshot = {
+            ...(await this.engine.serialize()),
+            savedAt: new Date().toISOString(),
+            clock: this.clock.getState()
+        };
+        this.downloadFile(JSON.stringify(snapshot), `consciousness-state-${Date.now()}.json`, 'application/json');
+        
+        console.log('💾 Consciousness state exported');
+    }
+    
+    /**
+     * Start sampling metrics, optionally every given number of ticks
+     */
+    startRecording(interval) {
+        this.engine.metrics.startRecording(interval);
+        this.updateRecordingButton();
+        console.log(`📈 Recording metrics every ${this.engine.metrics.interval} ticks`);
+    }
+    
+    /**
+     * Stop sampling metrics
+     */
+    stopRecording() {
+        this.engine.metrics.stopRecording();
+        this.updateRecordingButton();
+        console.log(`📈 Metrics recording stopped (${this.engine.metrics.samples.length} samples)`);
+    }
+    
+    /**
+     * Toggle metrics recording
+     */
+    toggleRecording() {
+        if (this.engine.metrics.recording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    /**
+     * Reflect the recorder state on its button
+     */
+    updateRecordingButton() {
+        const button = document.getElementById('record-metrics');
+        if (button) {
+            button.textContent = this.engine.metrics.recording ? 'Stop Recording' : 'Record Metrics';
+            button.classList.toggle('active', this.engine.metrics.recording);
+        }
+    }
+    
+    /**
+     * Download the recorded metrics as CSV or JSON Lines
+     */
+    exportMetrics(format = 'csv') {
+        const content = this.engine.metrics.export(format);
+        const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+        
+        this.downloadFile(content, `consciousness-metrics-${Date.now()}.${format}`, type);
+        console.log(`📈 Exported ${this.engine.metrics.samples.length} metric samples as ${format}`);
+    }
+    
+    /**
+     * Start capturing frames; options override the capture config
+     * ({ format, fps, maxFrames, overlay, videoBitsPerSecond })
+     */
+    startCapture(options = {}) {
+        const settings = {
+            ...this.config.capture,
+            overlay: this.captureOverlay ?? this.config.capture.overlay,
+            ...options
+        };
+        
+        try {
+            this.capture.start(settings);
+        } catch (error) {
+            console.warn(error.message);
+            this.showCaptureError(`Could not start the capture: ${error.message}`);
+            return false;
+        }
+        
+        this.showCaptureError(null);
+        this.updateCaptureButtons();
+        console.log(`🎥 Capturing ${settings.format} at ${settings.fps} fps (up to ${settings.maxFrames} frames)`);
+        return true;
+    }
+    
+    /**
+     * Stop capturing and download the result
+     */
+    async stopCapture() {
+        if (!this.capture.active) return;
+        
+        const finished = this.capture.stop();
+        
+        // Time spent capturing is not caught up once the clock takes over again
+        this.clock.resync();
+        this.updateCaptureButtons();
+        
+        // Callers do not wait for the download, so a failure is reported here
+        try {
+            const { blob, extension, frames } = await finished;
+            this.downloadFile(blob, `consciousness-capture-${Date.now()}.${extension}`, blob.type);
+            console.log(`🎥 Capture saved (${frames} frames)`);
+        } catch (error) {
+            console.error('Failed to save the capture:', error);
+            this.showCaptureError(`Could not save the capture: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Start a capture in a format, or stop the one running
+     */
+    toggleCapture(format = this.config.capture.format) {
+        if (this.capture.active) {
+            this.stopCapture();
+        } else {
+            this.startCapture({ format });
+        }
+    }
+    
+    /**
+     * Take the current frame, stopping once the frame limit is reached
+     */
+    captureFrame() {
+        if (this.capture.captureFrame()) {
+            this.stopCapture();
+        }
+    }
+    
+    /**
+     * Include or leave out the info overlay in captured frames, including a capture in progress
+     */
+    setCaptureOverlay(overlay) {
+        this.captureOverlay = overlay;
+        if (this.capture.active) {
+            this.capture.settings.overlay = overlay;
+        }
+        console.log(`🎥 Capture overlay ${overlay ? 'on' : 'off'}`);
+    }
+    
+    /**
+     * Mark the capture button of the format being recorded
+     */
+    updateCaptureButtons() {
+        const { active, format } = this.capture.getState();
+        
+        [['capture-png', 'png'], ['capture-webm', 'webm']].forEach(([id, buttonFormat]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.classList.toggle('active', active && format === buttonFormat);
+            }
+        });
+    }
+    
+    /**
+     * Download the current frame as a resolution-independent SVG
+     */
+    exportSvg() {
+        const svg = this.renderer.recordSvg(() => this.renderSimulations());
+        
+        this.downloadFile(svg, `consciousness-frame-${Date.now()}.svg`, 'image/svg+xml');
+        console.log(`🖨️ Frame exported as SVG (${Math.round(svg.length / 1024)} KB)`);
+        return svg;
+    }
+    
+    /**
+     * Offer content as a file download
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a session snapshot produced by exportState()
+     */
+    importState(snapshot) {
+        this.engine.restore(snapshot);
+        
+        // The snapshot brings the world size it was saved at
+        this.resize();
+        
+        if (snapshot.clock) {
+            this.clock.setSpeed(snapshot.clock.speed);
+        }
+        
+        this.setActiveButton(this.currentMode);
+        this.applyUIConfig();
+        this.updateUI();
+        this.updateUrl();
+        
+        console.log(`📂 Consciousness state imported (seed: ${this.random.seed}, tick: ${this.consciousness.evolution.time})`);
+    }
+    
+    /**
+     * Load a session snapshot from a file chosen by the user
+     */
+    async importStateFromFile(file) {
+        try {
+            const snapshot = JSON.parse(await file.text());
+            this.importState(snapshot);
+            this.showSessionError(null);
+        } catch (error) {
+            console.error(`Failed to import consciousness state from ${file.name}:`, error);
+            this.showSessionError(`Could not load ${file.name}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show why a capture could not start or be saved, or clear it with null
+     */
+    showCaptureError(message) {
+        const element = this.uiElements.captureError;
+        if (element) {
+            element.textContent = message ?? '';
+            element.hidden = message === null;
+        }
+    }
+    
+    /**
+     * Show why a chosen session or replay file was not loaded, or clear it with null
+     */
+    showSessionError(message) {
+        const element = this.uiElements.sessionError;
+        if (element) {
+            element.textContent = message ?? '';
+            element.hidden = message === null;
+        }
+    }
+    
+    /**
+     * Download the seed, config and input log of this run as a replay
+     */
+    exportReplay() {
+        const replay = this.engine.exportReplay();
+        this.downloadFile(JSON.stringify(replay), `consciousness-replay-${Date.now()}.json`, 'application/json');
+        
+        console.log(`🎬 Replay exported (${replay.inputs.length} inputs, ${replay.endTick} ticks)`);
+    }
+    
+    /**
+     * Play back a replay from exportReplay(); seekTo fast-forwards to a tick before returning
+     */
+    loadReplay(replay, { seekTo = 0 } = {}) {
+        this.engine.loadReplay(replay);
+        
+        const ticks = seekTo - this.consciousness.evolution.time;
+        if (ticks > 0) {
+            this.engine.step(ticks);
+        }
+        
+        this.setActiveButton(this.currentMode);
+        this.applyUIConfig();
+        this.updateUI();
+        this.updateUrl();
+        
+        console.log(`🎬 Replaying ${replay.inputs.length} inputs from seed ${this.random.seed} (tick ${this.consciousness.evolution.time})`);
+    }
+    
+    /**
+     * Play back a replay from a file chosen by the user
+     */
+    async loadReplayFromFile(file) {
+        try {
+            this.loadReplay(JSON.parse(await file.text()));
+            this.showSessionError(null);
+        } catch (error) {
+            console.error(`Failed to load replay from ${file.name}:`, error);
+            this.showSessionError(`Could not load ${file.name}: ${error.message}`);
+        }
     }
-} 
\ No newline at end of file
+}
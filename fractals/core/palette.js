@@ -0,0 +1,325 @@
+/**
+ * Palettes and Themes
+ * Simulations ask for colors by meaning ("activation", "predator", "uncertainty")
+ * and the active theme decides what they look like. Themes range from the original
+ * evolutionary hues to colorblind-safe colormaps and a print-on-white variant
+ */
+
+// Okabe-Ito categorical colors, distinguishable under every common color vision deficiency
+const OKABE_ITO = {
+    orange: [230, 159, 0],
+    skyBlue: [86, 180, 233],
+    bluishGreen: [0, 158, 115],
+    yellow: [240, 228, 66],
+    blue: [0, 114, 178],
+    vermillion: [213, 94, 0],
+    reddishPurple: [204, 121, 167],
+    grey: [153, 153, 153]
+};
+
+// Perceptually uniform colormaps, sampled at even steps from 0 to 1
+const COLORMAPS = {
+    viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    cividis: ['#00204d', '#00336f', '#39486b', '#575c6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46']
+};
+
+/**
+ * Semantic roles and the original colors the simulations were drawn with. Other
+ * themes override the roles whose meaning relies on hue
+ */
+const EVOLUTIONARY_ROLES = {
+    // Shared chrome
+    background: [0, 0, 0],
+    text: [255, 255, 255],
+    muted: [200, 200, 200],
+    outline: [255, 255, 255],
+    warning: [255, 0, 0],
+    panel: [50, 50, 70],
+    panelBorder: [150, 150, 200],
+    panelText: [200, 200, 255],
+
+    // Digital ecosystem
+    producer: [0, 255, 100],
+    consumer: [255, 100, 0],
+    decomposer: [100, 0, 255],
+    predator: [255, 0, 0],
+    symbiont: [255, 255, 0],
+    energy: [100, 255, 100],
+    nutrients: [100, 100, 255],
+    toxin: [255, 50, 50],
+    cooperation: [100, 255, 100],
+    competition: [255, 100, 100],
+
+    // Consciousness stream associations
+    resonance: [76, 175, 80],
+    recall: [33, 150, 243],
+    feeling: [255, 87, 34],
+    synthesis: [156, 39, 176],
+    association: [255, 193, 7],
+
+    // AI experience
+    uncertainty: [255, 100, 100],
+    confidence: [100, 100, 255],
+    certainty: [102, 255, 102],
+    load: [100, 255, 100],
+    attention: [255, 255, 102],
+    insight: [255, 214, 102],
+    awareness: [178, 117, 240],
+    reflection: [220, 200, 255],
+    question: [220, 180, 255],
+    metacognition: [221, 153, 255],
+    doubt: [157, 38, 217],
+    prompt: [255, 220, 150],
+    contextItem: [133, 179, 224]
+};
+
+/**
+ * Hue-carrying roles mapped onto Okabe-Ito, for the colorblind-safe themes
+ */
+const SAFE_ROLES = {
+    producer: OKABE_ITO.bluishGreen,
+    consumer: OKABE_ITO.skyBlue,
+    decomposer: OKABE_ITO.reddishPurple,
+    predator: OKABE_ITO.vermillion,
+    symbiont: OKABE_ITO.yellow,
+    energy: OKABE_ITO.yellow,
+    nutrients: OKABE_ITO.blue,
+    toxin: OKABE_ITO.vermillion,
+    cooperation: OKABE_ITO.skyBlue,
+    competition: OKABE_ITO.vermillion,
+
+    resonance: OKABE_ITO.bluishGreen,
+    recall: OKABE_ITO.skyBlue,
+    feeling: OKABE_ITO.vermillion,
+    synthesis: OKABE_ITO.reddishPurple,
+    association: OKABE_ITO.yellow,
+
+    warning: OKABE_ITO.vermillion,
+    uncertainty: OKABE_ITO.vermillion,
+    confidence: OKABE_ITO.blue,
+    certainty: OKABE_ITO.bluishGreen,
+    load: OKABE_ITO.skyBlue,
+    attention: OKABE_ITO.yellow,
+    insight: OKABE_ITO.orange,
+    awareness: OKABE_ITO.reddishPurple,
+    reflection: [230, 200, 220],
+    question: [225, 180, 205],
+    metacognition: OKABE_ITO.reddishPurple,
+    doubt: [150, 80, 120],
+    prompt: OKABE_ITO.orange,
+    contextItem: OKABE_ITO.skyBlue
+};
+
+/**
+ * Theme definition:
+ *   roles          semantic role -> [r, g, b]
+ *   ramp(value)    continuous scale for 0-1 values -> [r, g, b]
+ *   scale / hue    optional overrides for continuous and per-entity hue colors
+ *   keepTints      whether entities may show their own evolved colors
+ *   blendModes     composite operations to swap in (e.g. screen -> multiply on white)
+ */
+export const Themes = {
+    // The original look: hues drift with evolution time and the phase shift
+    evolutionary: {
+        roles: EVOLUTIONARY_ROLES,
+        keepTints: true,
+        ramp: colormap(COLORMAPS.viridis),
+        scale(value, offset, intensity, alpha) {
+            const evolution = this.consciousness.evolution;
+            const t = evolution.time + offset;
+            const hue = (value * 140 + intensity * 200 + t * 0.3 + evolution.phaseShift * 25) % 360;
+            const sat = this.config.colorSaturation + intensity * 25 + Math.sin(t * 0.005) * 10;
+            const light = this.config.colorLightness + Math.sin(t * 0.008 + intensity * Math.PI) * 30;
+
+            return alpha === 1 ? `hsl(${hue}, ${sat}%, ${light}%)` : `hsla(${hue}, ${sat}%, ${light}%, ${alpha})`;
+        },
+        hue(hue, alpha, saturation, lightness) {
+            return `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
+        }
+    },
+
+    // Greys only; categories differ in lightness
+    monochrome: {
+        roles: {
+            ...mapRoles(EVOLUTIONARY_ROLES, luminanceGrey),
+            producer: grey(235),
+            consumer: grey(150),
+            decomposer: grey(95),
+            predator: grey(255),
+            symbiont: grey(190),
+            cooperation: grey(200),
+            competition: grey(110)
+        },
+        ramp: value => grey(60 + value * 195)
+    },
+
+    // Colorblind-safe: viridis for continuous values, Okabe-Ito for categories
+    viridis: {
+        roles: { ...EVOLUTIONARY_ROLES, ...SAFE_ROLES },
+        ramp: colormap(COLORMAPS.viridis)
+    },
+
+    // Colorblind-safe blue-yellow ramp that looks the same with or without red-green color blindness
+    cividis: {
+        roles: { ...EVOLUTIONARY_ROLES, ...SAFE_ROLES },
+        ramp: colormap(COLORMAPS.cividis)
+    },
+
+    // Dark inks on white for printing; screen blending would wash out, so layers multiply
+    print: {
+        roles: {
+            ...EVOLUTIONARY_ROLES,
+            ...SAFE_ROLES,
+            background: [255, 255, 255],
+            text: [34, 34, 34],
+            muted: [100, 100, 100],
+            outline: [60, 60, 60],
+            panel: [236, 236, 242],
+            panelBorder: [120, 120, 140],
+            panelText: [40, 40, 60],
+            symbiont: [0, 0, 0],
+            energy: OKABE_ITO.bluishGreen,
+            association: OKABE_ITO.orange,
+            attention: OKABE_ITO.orange,
+            reflection: [110, 60, 100],
+            question: [130, 70, 115],
+            doubt: [90, 40, 80]
+        },
+        ramp: value => colormap(COLORMAPS.viridis)(value * 0.8),
+        blendModes: { screen: 'multiply', lighter: 'multiply' }
+    }
+};
+
+/**
+ * Make an additional theme available by name
+ */
+export function registerTheme(name, theme) {
+    Themes[name] = theme;
+}
+
+export class Palette {
+    constructor(renderer, config) {
+        this.renderer = renderer;
+        this.warned = new Set();
+        this.configure(config);
+    }
+
+    /**
+     * Apply the rendering section of a merged FractalConfig
+     */
+    configure(config) {
+        this.config = config;
+
+        if (!Themes[config.theme]) {
+            console.warn(`Unknown theme: ${config.theme} (expected ${Object.keys(Themes).join(', ')}); using evolutionary`);
+        }
+        this.name = Themes[config.theme] ? config.theme : 'evolutionary';
+        this.theme = Themes[this.name];
+    }
+
+    get consciousness() {
+        return this.renderer.consciousness;
+    }
+
+    /**
+     * Color of a semantic role. shade mixes toward white (positive) or black
+     * (negative); tint is an entity's own evolved color, shown only by themes
+     * that keep tints, so the others stay distinguishable
+     */
+    color(role, alpha = 1, { shade = 0, tint = null } = {}) {
+        let rgb = this.theme.keepTints && tint ? tint : this.theme.roles[role];
+
+        if (!rgb) {
+            if (!this.warned.has(role)) {
+                this.warned.add(role);
+                console.warn(`Theme ${this.name} has no color for role: ${role}`);
+            }
+            rgb = this.theme.roles.text;
+        }
+
+        return rgba(mix(rgb, shade), alpha);
+    }
+
+    /**
+     * Continuous color for a value of a role such as activation or connection
+     * strength, spread over range. offset and intensity feed the evolutionary
+     * theme's drifting hue
+     */
+    scale(role, value, { offset = 0, intensity = 1, alpha = 1, range = [0, 1] } = {}) {
+        if (this.theme.scale) {
+            return this.theme.scale.call(this, value, offset, intensity, alpha);
+        }
+
+        const [min, max] = range;
+        return rgba(this.theme.ramp((value - min) / (max - min)), alpha);
+    }
+
+    /**
+     * Color identifying an individual (a thread, a cascade) by a hue in degrees.
+     * Themes without free hues place it along their ramp; lightness above or below
+     * 60% shades it lighter or darker
+     */
+    hue(hue, alpha = 1, { saturation = 70, lightness = 60 } = {}) {
+        if (this.theme.hue) {
+            return this.theme.hue.call(this, hue, alpha, saturation, lightness);
+        }
+
+        const position = (((hue % 360) + 360) % 360) / 360;
+        return rgba(mix(this.theme.ramp(position), (lightness - 60) / 40), alpha);
+    }
+
+    /**
+     * Composite operation to use in place of a configured one
+     */
+    blendMode(mode) {
+        return this.theme.blendModes?.[mode] ?? mode;
+    }
+
+    /**
+     * The background as a hex color, for the page and vector exports
+     */
+    get background() {
+        return '#' + this.theme.roles.background.map(channel => channel.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+function rgba([r, g, b], alpha) {
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+}
+
+/**
+ * Mix toward white (amount > 0) or black (amount < 0)
+ */
+function mix(rgb, amount) {
+    if (!amount) return rgb;
+
+    const t = Math.max(-1, Math.min(1, amount));
+    const target = t > 0 ? 255 : 0;
+    return rgb.map(channel => channel + (target - channel) * Math.abs(t));
+}
+
+function grey(level) {
+    return [level, level, level];
+}
+
+function luminanceGrey([r, g, b]) {
+    return grey(0.2126 * r + 0.7152 * g + 0.0722 * b);
+}
+
+function mapRoles(roles, transform) {
+    return Object.fromEntries(Object.entries(roles).map(([role, rgb]) => [role, transform(rgb)]));
+}
+
+/**
+ * Linear interpolation between evenly spaced hex stops
+ */
+function colormap(stops) {
+    const colors = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+
+    return value => {
+        const position = Math.max(0, Math.min(1, value)) * (colors.length - 1);
+        const i = Math.min(colors.length - 2, Math.floor(position));
+        const t = position - i;
+        return colors[i].map((channel, c) => channel + (colors[i + 1][c] - channel) * t);
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * Profiler
+ * Opt-in timing of the frame, broken down by section: the engine times each tick's
+ * consciousness step and simulation updates, the orchestrator each simulation's
+ * render, and simulations mark sub-steps of their own. A section timed inside
+ * another is filed under its path, e.g. 'update/ecosystem/handleInteractions', so
+ * the sections form a tree to read as a flame graph.
+ *
+ * Time is summed over each frame. The last debug.profileWindow frame totals of every
+ * section give its rolling average; a frame over debug.profileSpikeFactor times the
+ * average is a spike
+ */
+
+export class Profiler {
+    constructor(config) {
+        this.enabled = false;
+        this.stack = [];            // Paths of the sections running, innermost last
+        this.frame = new Map();     // Path -> { time, calls } so far this frame
+        this.sections = new Map();  // Path -> { times, calls } per frame over the window
+        this.frames = 0;            // Frames closed since profiling started
+        this.configure(config);
+
+        if (config.performanceProfile) {
+            this.start();
+        }
+    }
+
+    /**
+     * Apply the debug section of a merged FractalConfig
+     */
+    configure(config) {
+        this.config = config;
+        this.window = Math.max(1, Math.floor(config.profileWindow));
+    }
+
+    /**
+     * Begin profiling afresh
+     */
+    start() {
+        this.clear();
+        this.enabled = true;
+    }
+
+    /**
+     * Stop timing, keeping what has been measured
+     */
+    stop() {
+        this.enabled = false;
+    }
+
+    clear() {
+        this.frame.clear();
+        this.sections.clear();
+        this.frames = 0;
+    }
+
+    /**
+     * Run fn as a named section, timed while profiling, and return its result
+     */
+    time(name, fn) {
+        if (!this.enabled) return fn();
+
+        const parent = this.stack[this.stack.length - 1];
+        const path = parent ? `${parent}/${name}` : name;
+        this.stack.push(path);
+
+        const start = performance.now();
+        try {
+            return fn();
+        } finally {
+            this.add(path, performance.now() - start);
+            this.stack.pop();
+        }
+    }
+
+    add(path, time, calls = 1) {
+        const total = this.frame.get(path);
+        if (total) {
+            total.time += time;
+            total.calls += calls;
+        } else {
+            this.frame.set(path, { time, calls });
+        }
+    }
+
+    /**
+     * Hand over the sections timed since the last call, as { [path]: { time, calls } },
+     * for another thread's profiler to merge()
+     */
+    take() {
+        const totals = Object.fromEntries(this.frame);
+        this.frame.clear();
+        return totals;
+    }
+
+    merge(totals) {
+        Object.entries(totals).forEach(([path, { time, calls }]) => this.add(path, time, calls));
+    }
+
+    /**
+     * Close the frame: every section seen gets this frame's total, zero if it did not run
+     */
+    endFrame() {
+        if (!this.enabled) return;
+
+        this.frame.forEach((total, path) => {
+            if (!this.sections.has(path)) {
+                this.sections.set(path, { times: [], calls: [] });
+            }
+        });
+
+        this.sections.forEach((section, path) => {
+            const total = this.frame.get(path);
+            section.times.push(total?.time ?? 0);
+            section.calls.push(total?.calls ?? 0);
+            if (section.times.length > this.window) {
+                section.times.shift();
+                section.calls.shift();
+            }
+        });
+
+        this.frame.clear();
+        this.frames++;
+    }
+
+    /**
+     * Every section over the window, parents before their children and siblings
+     * costliest first: { path, name, depth, average, last, peak, spikes, calls },
+     * times in milliseconds per frame
+     */
+    getReport() {
+        const rows = [];
+        this.sections.forEach(({ times, calls }, path) => {
+            const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+            const names = path.split('/');
+
+            rows.push({
+                path,
+                name: names[names.length - 1],
+                depth: names.length - 1,
+                average,
+                last: times[times.length - 1],
+                peak: Math.max(...times),
+                spikes: times.filter(time => time > average * this.config.profileSpikeFactor).length,
+                calls: calls.reduce((sum, count) => sum + count, 0) / calls.length
+            });
+        });
+
+        return flameOrder(rows);
+    }
+
+    /**
+     * Profiler state for display and debugging
+     */
+    getState() {
+        return { enabled: this.enabled, frames: this.frames, window: Math.min(this.frames, this.window) };
+    }
+}
+
+/**
+ * Depth-first order of report rows, each parent followed by its children, costliest first
+ */
+function flameOrder(rows) {
+    const paths = new Set(rows.map(row => row.path));
+    const children = new Map();
+    rows.forEach(row => {
+        // Sections whose parent has not been timed yet go at the top level
+        const parent = row.path.slice(0, row.path.length - row.name.length - 1);
+        const key = paths.has(parent) ? parent : '';
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(row);
+    });
+
+    const ordered = [];
+    const visit = parent => {
+        (children.get(parent) ?? [])
+            .sort((a, b) => b.average - a.average)
+            .forEach(row => {
+                ordered.push(row);
+                visit(row.path);
+            });
+    };
+    visit('');
+
+    return ordered;
+}
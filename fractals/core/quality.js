@@ -0,0 +1,134 @@
+/**
+ * Adaptive Quality
+ * Steps rendering detail down while the frame rate stays below
+ * rendering.performanceThreshold, and back up once it has recovered. Raising the
+ * level takes a clearly higher frame rate, held for longer, so the level does not
+ * flicker around the threshold
+ */
+
+/**
+ * Detail drawn at each quality level, best first. Simulations read the settings
+ * of the level in effect through renderer.quality
+ */
+export const QualityLevels = [
+    {
+        name: 'high',
+        glow: 1,                // Multiplier on glow blur radii
+        connectionRange: 1,     // Multiplier on the distance neural connections are drawn to, when culling
+        residualCells: true,    // Draw the fading energy of dead cells
+        indicators: true,       // Draw ecosystem action indicators
+        fieldStep: 1            // Uncertainty field cells merged into each drawn cell, per side
+    },
+    {
+        name: 'medium',
+        glow: 0.5,
+        connectionRange: 0.75,
+        residualCells: false,
+        indicators: true,
+        fieldStep: 2
+    },
+    {
+        name: 'low',
+        glow: 0,
+        connectionRange: 0.5,
+        residualCells: false,
+        indicators: false,
+        fieldStep: 4
+    }
+];
+
+export class QualityGovernor {
+    constructor(config) {
+        this.level = 0;
+        this.pinned = null;         // Level held by hand, or null to adapt
+        this.slowSamples = 0;       // Consecutive samples below the threshold
+        this.fastSamples = 0;       // Consecutive samples at the recovery rate
+        this.configure(config);
+    }
+
+    /**
+     * Apply the rendering section of a merged FractalConfig
+     */
+    configure(config) {
+        this.config = config;
+        if (!config.adaptiveQuality) {
+            this.level = 0;
+        }
+    }
+
+    /**
+     * Index of the level in effect
+     */
+    get current() {
+        return this.pinned ?? this.level;
+    }
+
+    get settings() {
+        return QualityLevels[this.current];
+    }
+
+    /**
+     * Frame rate needed before quality is raised again
+     */
+    get recoveryFps() {
+        const { performanceThreshold, qualityRecoveryMargin, targetFPS } = this.config;
+        return Math.min(performanceThreshold + qualityRecoveryMargin, targetFPS * 0.9);
+    }
+
+    /**
+     * Take one frame rate measurement, one per second, and step the level when the
+     * rate has stayed low or recovered long enough. Returns true when it changed
+     */
+    sample(fps) {
+        if (!this.config.adaptiveQuality || this.pinned !== null) return false;
+
+        if (fps < this.config.performanceThreshold) {
+            this.slowSamples++;
+            this.fastSamples = 0;
+        } else if (fps >= this.recoveryFps) {
+            this.fastSamples++;
+            this.slowSamples = 0;
+        } else {
+            this.slowSamples = 0;
+            this.fastSamples = 0;
+        }
+
+        if (this.slowSamples >= this.config.qualityDownDelay && this.level < QualityLevels.length - 1) {
+            return this.setLevel(this.level + 1);
+        }
+        if (this.fastSamples >= this.config.qualityUpDelay && this.level > 0) {
+            return this.setLevel(this.level - 1);
+        }
+        return false;
+    }
+
+    setLevel(level) {
+        this.level = level;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        return true;
+    }
+
+    /**
+     * Hold a level by name or index regardless of the frame rate, or adapt again with null
+     */
+    pin(level) {
+        if (level === null) {
+            this.pinned = null;
+            return;
+        }
+
+        const index = typeof level === 'number' ? level : QualityLevels.findIndex(({ name }) => name === level);
+        if (!QualityLevels[index]) {
+            throw new Error(`Unknown quality level: ${level} (expected ${QualityLevels.map(({ name }) => name).join(', ')})`);
+        }
+        this.pinned = index;
+    }
+
+    /**
+     * Quality state for display and debugging
+     */
+    getState() {
+        return { level: this.settings.name, pinned: this.pinned !== null, adaptive: this.config.adaptiveQuality };
+    }
+}
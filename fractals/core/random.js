@@ -0,0 +1,109 @@
+/**
+ * Seeded Random Source
+ * Deterministic pseudo-random numbers shared by the core, entities and simulations
+ * so that a run can be reproduced exactly from its seed
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Generate a fresh seed for runs that do not specify one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert numeric or string seeds into an unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a hash so that seeds like "bug-1234" are usable
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a new seed
+     */
+    reseed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Random base-36 identifier
+     */
+    id(length = 9) {
+        let id = '';
+        while (id.length < length) {
+            id += this.next().toString(36).substring(2);
+        }
+        return id.substring(0, length);
+    }
+
+    /**
+     * Get generator state for saving/restoring
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore generator state
+     */
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Simulation Registry
+ * Simulations declare their id, title, description, default config and lifecycle
+ * hooks here; the engine, mode buttons, keyboard shortcuts and combined mode are
+ * all generated from the registered definitions
+ */
+
+/**
+ * Hooks a definition may provide. Only init is required; each receives the
+ * simulation instance first:
+ *   init(context) -> instance      context: { surface, consciousness, renderer, services, settings }
+ *   update(sim)                    advance one tick
+ *   render(sim, renderer)          draw the current state
+ *   getState(sim) -> object        summary metrics for analysis
+ *   reset(sim)                     start the simulation over
+ *   dispose(sim)                   release resources before the instance is dropped
+ *   configure(sim, config)         apply an updated merged FractalConfig
+ *   serialize(sim) -> data         full state for session snapshots
+ *   deserialize(sim, data)         restore full state
+ *   onPhaseTransition(sim, transition)  react to every core phase transition
+ *   getBounds(sim) -> rect         world rectangle { x, y, width, height } holding its content
+ *   locateEntity(sim, id) -> point world position { x, y } of an entity, or null if it is gone
+ *   resize(sim, surface, previous) fit the content to a surface that was previous { width, height }
+ *   hitTest(sim, point, tolerance) -> id  entity drawn at a world point (targets widened by tolerance), or null
+ *   inspect(sim, id) -> details    { title, ...fields } of plain values for the entity inspector, or null
+ *   snapshot(sim) -> data          compact copy of what render, hitTest and locateEntity read, sent
+ *                                  from the simulation worker each frame; typed arrays at its top
+ *                                  level are transferred rather than copied
+ *   applySnapshot(sim, data)       bring a main-thread copy up to a snapshot. Without these two,
+ *                                  serialize and deserialize are used
+ *
+ * Definitions may also map novelty types to transition handlers, called when that
+ * novelty is drawn and consciousness.novelty[type].targets lists the simulation:
+ *   transitions: { [noveltyType]: (sim, transition) => void }
+ *
+ * and offer interaction tools, applied at a world point with the brush radius and
+ * the option picked from the tool's options, if it has any:
+ *   tools: { [toolId]: { title, description, options?, brush?, apply: (sim, { x, y, radius, option }) => void } }
+ * Brush tools keep applying as the pointer is dragged; the others apply once per click
+ */
+export const LIFECYCLE_HOOKS = [
+    'init', 'update', 'render', 'getState', 'reset', 'dispose',
+    'configure', 'serialize', 'deserialize', 'onPhaseTransition',
+    'getBounds', 'locateEntity', 'resize', 'hitTest', 'inspect',
+    'snapshot', 'applySnapshot'
+];
+
+// Mode id reserved for rendering every combined simulation together
+export const COMBINED_MODE = 'all';
+
+export class SimulationRegistry {
+    constructor(definitions = []) {
+        this.definitions = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Register a simulation definition
+     */
+    register(definition) {
+        const { id, hooks } = definition;
+
+        if (!id || typeof id !== 'string') {
+            throw new Error('Simulation definition needs a string id');
+        }
+        if (id === COMBINED_MODE) {
+            throw new Error(`"${COMBINED_MODE}" is reserved for combined mode`);
+        }
+        if (this.definitions.has(id)) {
+            throw new Error(`Simulation already registered: ${id}`);
+        }
+        if (!hooks || typeof hooks.init !== 'function') {
+            throw new Error(`Simulation ${id} must provide an init hook`);
+        }
+
+        const normalized = {
+            title: id,
+            description: '',
+            configKey: id,          // Section of FractalConfig holding its settings
+            defaultConfig: {},      // Used when that section is missing from the config
+            combined: true,         // Included in the combined "all" mode
+            blend: { mode: 'screen', alpha: 0.5 },
+            transitions: {},        // Novelty type -> handler
+            tools: {},              // Tool id -> interaction tool
+            ...definition
+        };
+
+        this.definitions.set(id, normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a simulation definition
+     */
+    unregister(id) {
+        return this.definitions.delete(id);
+    }
+
+    get(id) {
+        return this.definitions.get(id);
+    }
+
+    has(id) {
+        return this.definitions.has(id);
+    }
+
+    /**
+     * Definitions in registration order
+     */
+    list() {
+        return Array.from(this.definitions.values());
+    }
+
+    ids() {
+        return Array.from(this.definitions.keys());
+    }
+}
+
+/**
+ * Lifecycle hooks for a class-based simulation constructed as
+ * new SimulationClass(surface, consciousness, renderer, services).
+ * Every other hook forwards to the instance method of the same name when it exists
+ */
+export function classHooks(SimulationClass) {
+    const hooks = {
+        init: ({ surface, consciousness, renderer, services }) =>
+            new SimulationClass(surface, consciousness, renderer, services),
+        render: (sim, renderer) => {
+            sim.renderer = renderer;
+            sim.render();
+        }
+    };
+
+    LIFECYCLE_HOOKS.filter(name => !hooks[name]).forEach(name => {
+        hooks[name] = (sim, ...args) => sim[name]?.(...args);
+    });
+
+    return hooks;
+}
@@ -2,38 +2,145 @@
  * Core Rendering Utilities
  * Common rendering functions for fractal consciousness visualizations
  */
+import { FractalConfig } from '../config.js';
+import { SvgContext } from './svg.js';
+import { Palette } from './palette.js';
+import { Camera } from './camera.js';
+import { QualityGovernor, QualityLevels } from './quality.js';
+
 export class Renderer {
-    constructor(canvas, consciousness) {
+    constructor(canvas, consciousness, config = FractalConfig) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.screenCtx = this.ctx;
         this.consciousness = consciousness;
         
+        // Size in CSS pixels; the canvas itself holds pixelRatio device pixels per CSS pixel
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.pixelRatio = 1;
+        
+        this.configure(config);
+        
+        // Offscreen layer per simulation for combined mode, and the ids switched off
+        this.layers = new Map();
+        this.hiddenLayers = new Set();
+        
+        // SVG recording context while a vector frame is being exported
+        this.svg = null;
+        
         // Performance tracking
         this.frameCount = 0;
         this.lastFpsUpdate = 0;
         this.fps = 0;
     }
     
+    /**
+     * Apply rendering settings from a merged FractalConfig
+     */
+    configure(config) {
+        this.config = config.rendering;
+        
+        // Simulations take their colors from the palette by role
+        if (this.palette) {
+            this.palette.configure(this.config);
+        } else {
+            this.palette = new Palette(this, this.config);
+        }
+        
+        // Simulations draw in world coordinates; the camera maps them onto the canvas
+        if (this.camera) {
+            this.camera.configure(config.camera);
+        } else {
+            this.camera = new Camera(this.width, this.height, config.camera);
+        }
+        
+        // Rendering detail adapts to the frame rate
+        if (this.governor) {
+            this.governor.configure(this.config);
+        } else {
+            this.governor = new QualityGovernor(this.config);
+        }
+    }
+    
+    /**
+     * Detail settings to draw with (see core/quality.js); vector exports are always
+     * recorded at full detail
+     */
+    get quality() {
+        return this.svg ? QualityLevels[0] : this.governor.settings;
+    }
+    
+    /**
+     * Match the canvas to a display size in CSS pixels, backed by enough device
+     * pixels to stay sharp on high-DPI screens
+     */
+    resize(width, height, pixelRatio = this.pixelRatio) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.camera.setViewport(width, height);
+    }
+    
+    /**
+     * Device pixels per unit drawn; vector exports are recorded in CSS pixels
+     */
+    get deviceScale() {
+        return this.svg ? 1 : this.pixelRatio;
+    }
+    
     /**
      * Clear canvas with optional background effects
      */
     clear(withEffects = false) {
-        if (withEffects) {
-            // Subtle trail effect based on consciousness coherence
-            const alpha = 0.02 + this.consciousness.parameters.coherence * 0.08;
-            this.ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        } else {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.screenSpace(() => {
+            if (withEffects) {
+                // Subtle trail effect based on consciousness coherence
+                const alpha = 0.02 + this.consciousness.parameters.coherence * 0.08;
+                this.ctx.fillStyle = this.palette.color('background', alpha);
+                this.ctx.fillRect(0, 0, this.width, this.height);
+            } else {
+                this.ctx.clearRect(0, 0, this.width, this.height);
+            }
+        });
+    }
+    
+    /**
+     * Draw simulations in world coordinates through the camera until endView()
+     */
+    beginView() {
+        const scale = this.deviceScale;
+        this.ctx.setTransform(...this.camera.transform.map(value => value * scale));
+    }
+    
+    endView() {
+        const scale = this.deviceScale;
+        this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    }
+    
+    /**
+     * Run drawing code in CSS pixels regardless of the camera, for overlays such
+     * as status text and panels that stay put while the view moves
+     */
+    screenSpace(draw) {
+        const scale = this.deviceScale;
+        this.ctx.save();
+        this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        try {
+            draw();
+        } finally {
+            this.ctx.restore();
         }
     }
     
     /**
-     * Set up rendering context for glow effects
+     * Set up rendering context for glow effects, scaled down at lower quality
      */
     setupGlow(color, blur = 10) {
         this.ctx.shadowColor = color;
-        this.ctx.shadowBlur = blur;
+        this.ctx.shadowBlur = blur * this.quality.glow;
     }
     
     /**
@@ -52,11 +159,11 @@ export class Renderer {
         if (distance > maxDistance) return;
         
         const alpha = strength * (1 - distance / maxDistance);
-        if (alpha <= 0.05) return;
+        if (alpha <= this.config.connectionAlphaThreshold) return;
         
         this.ctx.strokeStyle = color;
         this.ctx.globalAlpha = alpha;
-        this.ctx.lineWidth = alpha * 3;
+        this.ctx.lineWidth = alpha * this.config.maxConnectionWidth;
         this.ctx.beginPath();
         this.ctx.moveTo(x1, y1);
         this.ctx.lineTo(x2, y2);
@@ -67,10 +174,11 @@ export class Renderer {
      * Draw a pulsing node
      */
     drawNode(x, y, baseRadius, activation, color, pulsePhase = 0) {
-        const pulse = Math.sin(this.consciousness.evolution.time * 0.02 + pulsePhase) * 0.3 + 0.7;
+        const pulseAmplitude = this.config.pulseAmplitude;
+        const pulse = Math.sin(this.consciousness.evolution.time * 0.02 + pulsePhase) * pulseAmplitude + (1 - pulseAmplitude);
         const radius = baseRadius * (0.5 + activation * 0.5) * pulse;
         
-        this.setupGlow(color, activation * 15);
+        this.setupGlow(color, activation * this.config.glowIntensity);
         this.ctx.fillStyle = color;
         this.ctx.globalAlpha = 0.8 + activation * 0.2;
         
@@ -121,7 +229,7 @@ export class Renderer {
             const x = centerX + Math.cos(t) * radius;
             const y = centerY + Math.sin(t) * radius;
             
-            if (x < 0 || x > this.canvas.width || y < 0 || y > this.canvas.height) continue;
+            if (x < 0 || x > this.width || y < 0 || y > this.height) continue;
             
             if (firstPoint) {
                 this.ctx.moveTo(x, y);
@@ -151,40 +259,215 @@ export class Renderer {
     }
     
     /**
-     * Update performance metrics
+     * Offscreen layer for a simulation, created on first use and kept at the canvas size
      */
-    updatePerformance() {
+    getLayer(id) {
+        let layer = this.layers.get(id);
+        
+        if (!layer) {
+            const canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(this.canvas.width, this.canvas.height)
+                : document.createElement('canvas');
+            layer = { canvas, ctx: canvas.getContext('2d') };
+            this.layers.set(id, layer);
+        }
+        
+        if (layer.canvas.width !== this.canvas.width || layer.canvas.height !== this.canvas.height) {
+            layer.canvas.width = this.canvas.width;
+            layer.canvas.height = this.canvas.height;
+        }
+        
+        return layer;
+    }
+    
+    /**
+     * Direct drawing into a simulation's layer, cleared for this frame, until endLayer()
+     */
+    beginLayer(id) {
+        if (this.svg) {
+            this.svg.beginGroup(id);
+            this.resetState();
+            return;
+        }
+        
+        this.ctx = this.getLayer(id).ctx;
+        this.resetState();
+        this.clear();
+    }
+    
+    /**
+     * Return drawing to the visible canvas
+     */
+    endLayer() {
+        this.resetState();
+        if (this.svg) {
+            this.svg.endGroup();
+            return;
+        }
+        
+        this.ctx = this.screenCtx;
+    }
+    
+    /**
+     * Draw layers onto the visible canvas in order, each with its own blend mode
+     * and alpha ({ id, mode, alpha }); hidden layers are skipped
+     */
+    composite(layers) {
+        if (this.svg) {
+            layers.forEach(layer => this.svg.styleGroup(layer.id, layer));
+            return;
+        }
+        
+        this.ctx = this.screenCtx;
+        
+        // Layers match the canvas pixel for pixel, so they are copied without scaling
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        layers.forEach(({ id, mode, alpha }) => {
+            if (!this.isLayerVisible(id) || !this.layers.has(id)) return;
+            
+            this.setBlendMode(mode);
+            this.ctx.globalAlpha = alpha;
+            this.ctx.drawImage(this.layers.get(id).canvas, 0, 0);
+        });
+        this.ctx.restore();
+        
+        this.resetState();
+    }
+    
+    /**
+     * Run drawing code against an SVG recording context instead of the canvas and
+     * return the recorded frame as an SVG document
+     */
+    recordSvg(draw) {
+        const { ctx, screenCtx } = this;
+        this.svg = new SvgContext(this.width, this.height, {
+            measure: screenCtx,
+            background: this.palette.background
+        });
+        this.ctx = this.screenCtx = this.svg;
+        
+        try {
+            draw();
+            return this.svg.toSVG();
+        } finally {
+            this.svg = null;
+            this.ctx = ctx;
+            this.screenCtx = screenCtx;
+        }
+    }
+    
+    /**
+     * Show or hide a simulation's layer in combined mode
+     */
+    setLayerVisible(id, visible) {
+        if (visible) {
+            this.hiddenLayers.delete(id);
+        } else {
+            this.hiddenLayers.add(id);
+        }
+    }
+    
+    isLayerVisible(id) {
+        return !this.hiddenLayers.has(id);
+    }
+    
+    /**
+     * Drop the layer of a simulation that is no longer registered
+     */
+    removeLayer(id) {
+        this.layers.delete(id);
+        this.hiddenLayers.delete(id);
+    }
+    
+    /**
+     * Update performance metrics and, unless adapt is false, let the quality governor
+     * react to each new FPS reading. Returns true when the quality level changed
+     */
+    updatePerformance(adapt = true) {
         this.frameCount++;
         const now = performance.now();
+        const elapsed = now - this.lastFpsUpdate;
         
-        if (now - this.lastFpsUpdate > 1000) {
-            this.fps = Math.round((this.frameCount * 1000) / (now - this.lastFpsUpdate));
+        if (elapsed > 1000) {
+            this.fps = Math.round((this.frameCount * 1000) / elapsed);
             this.frameCount = 0;
             this.lastFpsUpdate = now;
+            
+            // A reading spanning several seconds follows a hidden tab or the first
+            // frame, not slow rendering
+            return adapt && elapsed < 3000 && this.governor.sample(this.fps);
         }
+        return false;
     }
     
     /**
      * Draw performance info (for debugging)
      */
-    drawPerformanceInfo() {
+    drawPerformanceInfo(extraLines = []) {
         const state = this.consciousness.getState();
         
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        this.ctx.font = '12px monospace';
-        this.ctx.textAlign = 'left';
-        
-        const info = [
-            `FPS: ${this.fps}`,
-            `Cycle: ${state.evolution.cycle}`,
-            `Entropy: ${state.entropy.toFixed(3)}`,
-            `Coherence: ${state.coherenceLevel.toFixed(3)}`
-        ];
-        
-        info.forEach((text, i) => {
-            this.ctx.fillText(text, 10, 20 + i * 15);
+        this.screenSpace(() => {
+            this.ctx.fillStyle = this.palette.color('text', 0.8);
+            this.ctx.font = '12px monospace';
+            this.ctx.textAlign = 'left';
+            
+            const info = [
+                `FPS: ${this.fps}`,
+                `Cycle: ${state.evolution.cycle}`,
+                `Entropy: ${state.entropy.toFixed(3)}`,
+                `Coherence: ${state.coherenceLevel.toFixed(3)}`,
+                ...extraLines
+            ];
+            
+            info.forEach((text, i) => {
+                this.ctx.fillText(text, 10, 20 + i * 15);
+            });
         });
+    }
+    
+    /**
+     * Draw a profiler report (see core/profiler.js) in the bottom-left corner, flame
+     * style: each section indented under its parent, its bar the share of the frame
+     * it takes on average, in the warning color when it has spiked
+     */
+    drawProfile(rows, state) {
+        const width = 360;
+        const lineHeight = 14;
+        const height = 30 + rows.length * lineHeight;
+        const left = 10;
+        const top = this.height - height - 10;
+        const frameTime = rows.filter(row => row.depth === 0).reduce((sum, row) => sum + row.average, 0);
         
-        this.ctx.textAlign = 'start';
+        this.screenSpace(() => {
+            const ctx = this.ctx;
+            ctx.fillStyle = this.palette.color('panel', 0.85);
+            ctx.fillRect(left, top, width, height);
+            ctx.strokeStyle = this.palette.color('panelBorder', 0.8);
+            ctx.lineWidth = 1;
+            ctx.strokeRect(left, top, width, height);
+            
+            ctx.font = '11px monospace';
+            ctx.fillStyle = this.palette.color('panelText');
+            ctx.textAlign = 'left';
+            ctx.fillText(`Profile over ${state.window} frames: ${frameTime.toFixed(2)} ms`, left + 8, top + 16);
+            ctx.textAlign = 'right';
+            ctx.fillText('avg / peak ms', left + width - 8, top + 16);
+            
+            rows.forEach((row, i) => {
+                const y = top + 24 + i * lineHeight;
+                const indent = left + 8 + row.depth * 10;
+                const share = frameTime > 0 ? row.average / frameTime : 0;
+                
+                ctx.fillStyle = this.palette.color(row.spikes > 0 ? 'warning' : 'muted', 0.35);
+                ctx.fillRect(indent, y, Math.max(1, share * (left + width - 8 - indent)), lineHeight - 2);
+                
+                ctx.fillStyle = this.palette.color('panelText');
+                ctx.textAlign = 'left';
+                ctx.fillText(row.spikes > 0 ? `${row.name} (${row.spikes} spikes)` : row.name, indent + 2, y + lineHeight - 4);
+                ctx.textAlign = 'right';
+                ctx.fillText(`${row.average.toFixed(2)} / ${row.peak.toFixed(2)}`, left + width - 8, y + lineHeight - 4);
+            });
+        });
     }
 } 
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Session Replay
+ * Records the seed, configuration and a tick-stamped log of user inputs (mode
+ * switches, resets, manual phase transitions, preset changes, parameter controls,
+ * canvas resizes, interaction tools) so a session can be reproduced exactly by feeding the same
+ * inputs back at the same ticks
+ */
+
+// Identifies replay files written by InputRecorder.export()
+export const REPLAY_FORMAT = 'fractal-consciousness-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * Inputs that change how a session evolves. Each entry in a replay log carries
+ * { tick, type } plus the fields noted below
+ */
+export const InputTypes = Object.freeze({
+    MODE: 'mode',                          // { mode }
+    RESET: 'reset',                        // { mode }
+    PHASE_TRANSITION: 'phase-transition',  // {}
+    PRESET: 'preset',                      // { preset }
+    OVERRIDES: 'overrides',                // { overrides }
+    PARAMETER: 'parameter',                // { parameter, control } (see ConsciousnessCore.controlParameter)
+    RESIZE: 'resize',                      // { width, height }
+    TOOL: 'tool'                           // { simulation, tool, action } (see SimulationEngine.applyTool)
+});
+
+export class InputRecorder {
+    constructor() {
+        this.start = null;      // Seed and config (or a snapshot) the log starts from
+        this.inputs = [];
+    }
+
+    /**
+     * Start a new log from the given starting point
+     */
+    begin(start) {
+        this.start = copy(start);
+        this.inputs = [];
+    }
+
+    /**
+     * Log an input applied after the given tick. Inputs relayed from a simulation
+     * worker can arrive after later ones, so each goes in at its place in tick order
+     */
+    record(tick, type, data = {}) {
+        let index = this.inputs.length;
+        while (index > 0 && this.inputs[index - 1].tick > tick) {
+            index--;
+        }
+        this.inputs.splice(index, 0, { tick, type, ...copy(data) });
+    }
+
+    /**
+     * The replay as a plain object ready for JSON
+     */
+    export(endTick) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            ...copy(this.start),
+            inputs: copy(this.inputs),
+            endTick
+        };
+    }
+}
+
+export class InputPlayer {
+    constructor(inputs) {
+        this.inputs = inputs;
+        this.next = 0;
+    }
+
+    /**
+     * Take every input recorded at or before a tick that has not been applied yet
+     */
+    due(tick) {
+        const due = [];
+        while (this.next < this.inputs.length && this.inputs[this.next].tick <= tick) {
+            due.push(this.inputs[this.next++]);
+        }
+        return due;
+    }
+
+    get done() {
+        return this.next >= this.inputs.length;
+    }
+}
+
+/**
+ * Throw unless the data is a replay this version can play
+ */
+export function validateReplay(replay) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a fractal consciousness replay');
+    }
+    if (replay.version > REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION} or lower)`);
+    }
+    if (!Array.isArray(replay.inputs)) {
+        throw new Error('Replay has no input log');
+    }
+}
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,158 @@
+/**
+ * Simulation Worker
+ * Steps a SimulationEngine off the main thread for a WorkerEngine (see
+ * core/worker-engine.js) and posts a compact snapshot back after every step.
+ *
+ * Messages in, processed in the order they were posted:
+ *   { type: 'init', options }                       create the engine (SimulationEngine options)
+ *   { type: 'step', ticks, listen, inspect }        advance, then reply with a frame
+ *   { type: 'input', seq, input }                   apply a logged user input (see core/replay.js)
+ *   { type: 'restart' | 'restore' | 'loadReplay', epoch, ... }  start a new timeline
+ *   { type: 'metrics', recording, interval }        start or stop sampling
+ *   { type: 'profiler', enabled }                   start or stop profiling (see core/profiler.js)
+ *   { type: 'serialize', id }                       reply with the full session state
+ *
+ * Messages out:
+ *   { type: 'frame', epoch, seq, snapshot, events, samples, inspection, profile }
+ *   { type: 'session', id, snapshot }
+ *   { type: 'error', id, message }                  handling a message threw (id: that of a serialize)
+ *
+ * A frame relays the events the main thread listens for, and the metrics sampled and
+ * the sections profiled since the last one. Events are only relayed while the worker
+ * evolves on its own, stepping or starting a replay; the main thread has already
+ * published those of the inputs it forwarded
+ */
+import { SimulationEngine } from './engine.js';
+import { MetricsRecorder } from './metrics.js';
+import { EventTypes, ANY_EVENT } from './events.js';
+
+let engine = null;
+let epoch = 0;                  // Timeline the frames belong to, set by the main thread
+let seq = 0;                    // Latest input applied
+let relaying = false;
+let events = [];
+let samples = [];
+const subscriptions = new Map(); // Event type -> unsubscribe
+
+// Collects samples for the next frame as they are recorded
+class RelayedMetrics extends MetricsRecorder {
+    add(row) {
+        samples.push(row);
+        return super.add(row);
+    }
+}
+
+const handlers = {
+    init({ options }) {
+        engine = new SimulationEngine(options);
+        engine.metrics = new RelayedMetrics(engine, engine.config.metrics);
+    },
+
+    step({ ticks, listen, inspect }) {
+        listenFor(listen);
+        relayWhile(() => engine.advance(ticks));
+
+        const snapshot = engine.snapshot();
+        const inspection = inspect && { ...inspect, details: engine.inspectEntity(inspect.simulationId, inspect.entityId) };
+        const profile = engine.profiler.enabled ? engine.profiler.take() : null;
+
+        self.postMessage({ type: 'frame', epoch, seq, snapshot, events, samples, inspection, profile }, transferables(snapshot));
+        events = [];
+        samples = [];
+    },
+
+    input(message) {
+        seq = message.seq;
+        engine.applyInput(message.input);
+    },
+
+    restart(message) {
+        beginTimeline(message);
+        engine.restart(message.seed);
+    },
+
+    restore(message) {
+        beginTimeline(message);
+        engine.restore(message.snapshot);
+    },
+
+    loadReplay(message) {
+        beginTimeline(message);
+        relayWhile(() => engine.loadReplay(message.replay));
+    },
+
+    metrics({ recording, interval }) {
+        if (recording) {
+            engine.metrics.startRecording(interval);
+        } else {
+            engine.metrics.stopRecording();
+        }
+    },
+
+    profiler({ enabled }) {
+        engine.setProfiling(enabled);
+    },
+
+    serialize({ id }) {
+        self.postMessage({ type: 'session', id, snapshot: engine.serialize() });
+    }
+};
+
+/**
+ * Drop what was gathered for the timeline being replaced
+ */
+function beginTimeline(message) {
+    epoch = message.epoch;
+    events = [];
+    samples = [];
+}
+
+function relayWhile(fn) {
+    relaying = true;
+    try {
+        fn();
+    } finally {
+        relaying = false;
+    }
+}
+
+/**
+ * Subscribe to the event types the main thread listens for. Inputs are always
+ * relayed, as replayed inputs go into the main thread's log
+ */
+function listenFor(types) {
+    const known = types.filter(type => type === ANY_EVENT || engine.events.types.has(type));
+    const wanted = new Set(known.includes(ANY_EVENT) ? [ANY_EVENT] : [EventTypes.INPUT, ...known]);
+
+    subscriptions.forEach((unsubscribe, type) => {
+        if (!wanted.has(type)) {
+            unsubscribe();
+            subscriptions.delete(type);
+        }
+    });
+    wanted.forEach(type => {
+        if (!subscriptions.has(type)) {
+            subscriptions.set(type, engine.events.on(type, event => {
+                if (relaying) events.push(event);
+            }));
+        }
+    });
+}
+
+/**
+ * Buffers of the typed arrays in snapshot hook data, moved to the main thread
+ * instead of copied
+ */
+function transferables(snapshot) {
+    return Object.values(snapshot.simulations).flatMap(data =>
+        Object.values(data).filter(value => ArrayBuffer.isView(value)).map(view => view.buffer)
+    );
+}
+
+self.addEventListener('message', ({ data }) => {
+    try {
+        handlers[data.type](data);
+    } catch (error) {
+        self.postMessage({ type: 'error', id: data.id, message: `${data.type} failed: ${error.message}` });
+    }
+});
@@ -0,0 +1,194 @@
+/**
+ * Spatial Hash
+ * Uniform grid that buckets items with x and y fields by position, so the items near
+ * a point are found by visiting the few cells around it instead of scanning them all.
+ * A simulation rebuilds it once per tick and moves items that move during the tick.
+ *
+ * Queries return candidates: every item in a cell the radius touches, a superset of
+ * the items within it, so each caller keeps its own distance test. Candidates come
+ * back in the order the items were inserted, so a simulation that used to scan a list
+ * meets its neighbours in the same order and seeded runs are unchanged
+ */
+
+// Cell coordinates are packed into one small integer key; cells this many apart
+// along an axis share a bucket, which only adds candidates
+const CELL_BITS = 15;
+const CELL_MASK = (1 << CELL_BITS) - 1;
+
+// Up to this many items a query scans them all, which beats visiting cells
+const SCAN_LIMIT = 32;
+
+export class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // Cell key -> insertion orders of the items in it
+        this.entries = new Map();   // Item -> { key, order }
+        this.items = [];            // Insertion order -> item, empty once removed
+        this.marks = new Uint32Array(0);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.items = [];
+    }
+
+    /**
+     * Index exactly these items, in this order
+     */
+    rebuild(items) {
+        this.clear();
+        items.forEach(item => this.insert(item));
+    }
+
+    insert(item) {
+        const entry = { key: this.keyAt(item.x, item.y), order: this.items.length };
+        this.entries.set(item, entry);
+        this.items.push(item);
+        if (this.marks.length * 32 < this.items.length) {
+            this.marks = new Uint32Array(this.marks.length * 2 || 1);
+        }
+        this.bucket(entry.key).push(entry.order);
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        this.entries.delete(item);
+        this.items[entry.order] = undefined;
+        this.unbucket(entry);
+    }
+
+    /**
+     * Re-bucket an item after its position changed; it keeps its place in the order
+     */
+    move(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        const key = this.keyAt(item.x, item.y);
+        if (key === entry.key) return;
+
+        this.unbucket(entry);
+        entry.key = key;
+        this.bucket(key).push(entry.order);
+    }
+
+    /**
+     * Items in every cell within radius of a point, in insertion order
+     */
+    near(x, y, radius) {
+        const orders = this.ordersNear(x, y, radius);
+        if (orders === null) {
+            return this.items.filter(item => item !== undefined);
+        }
+
+        const found = new Array(orders.length);
+        for (let i = 0; i < orders.length; i++) {
+            found[i] = this.items[orders[i]];
+        }
+        return found;
+    }
+
+    /**
+     * Call fn(a, b) once for every pair of items that may lie within radius of each
+     * other, a inserted before b, in the order of a nested loop over the items
+     */
+    forEachPair(radius, fn) {
+        const items = this.items;
+
+        for (let order = 0; order < items.length; order++) {
+            const item = items[order];
+            if (item === undefined) continue;
+
+            const orders = this.ordersNear(item.x, item.y, radius, order);
+            if (orders === null) {
+                for (let other = order + 1; other < items.length; other++) {
+                    if (items[other] !== undefined) fn(item, items[other]);
+                }
+                continue;
+            }
+
+            for (let i = 0; i < orders.length; i++) {
+                fn(item, items[orders[i]]);
+            }
+        }
+    }
+
+    /**
+     * Sorted insertion orders, past a given one, of the items in every cell within
+     * radius of a point; null when scanning every item is as quick, as there are only
+     * a few or the radius spans more cells than are occupied
+     */
+    ordersNear(x, y, radius, after = -1) {
+        if (this.entries.size <= SCAN_LIMIT) return null;
+
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+        if ((maxX - minX + 1) * (maxY - minY + 1) > this.cells.size) return null;
+
+        // Candidates are marked in a bitmap by order, then read back in order
+        const marks = this.marks;
+        let low = marks.length;
+        let high = -1;
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const orders = this.cells.get(this.key(cellX, cellY));
+                if (!orders) continue;
+
+                for (let i = 0; i < orders.length; i++) {
+                    const order = orders[i];
+                    if (order <= after) continue;
+
+                    const word = order >>> 5;
+                    marks[word] |= 1 << (order & 31);
+                    low = Math.min(low, word);
+                    high = Math.max(high, word);
+                }
+            }
+        }
+
+        const found = [];
+        for (let word = low; word <= high; word++) {
+            let bits = marks[word];
+            marks[word] = 0;
+            while (bits !== 0) {
+                found.push(word * 32 + 31 - Math.clz32(bits & -bits));
+                bits &= bits - 1;
+            }
+        }
+        return found;
+    }
+
+    keyAt(x, y) {
+        return this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    }
+
+    key(cellX, cellY) {
+        return ((cellX & CELL_MASK) << CELL_BITS) | (cellY & CELL_MASK);
+    }
+
+    bucket(key) {
+        let orders = this.cells.get(key);
+        if (!orders) {
+            orders = [];
+            this.cells.set(key, orders);
+        }
+        return orders;
+    }
+
+    unbucket(entry) {
+        const orders = this.cells.get(entry.key);
+        orders.splice(orders.indexOf(entry.order), 1);
+        if (orders.length === 0) {
+            this.cells.delete(entry.key);
+        }
+    }
+}
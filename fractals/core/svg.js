@@ -0,0 +1,493 @@
+/**
+ * SVG Recording Context
+ * Stands in for a CanvasRenderingContext2D and records the paths, rectangles and
+ * text drawn on it as SVG elements, so a frame can be exported at any resolution.
+ * Colors and alpha become fill/stroke opacities, glow becomes a blur filter and
+ * composite operations become mix-blend-mode hints
+ */
+
+// Composite operations with a CSS mix-blend-mode equivalent
+const BLEND_MODES = {
+    lighter: 'plus-lighter',
+    multiply: 'multiply',
+    screen: 'screen',
+    overlay: 'overlay',
+    darken: 'darken',
+    lighten: 'lighten',
+    'color-dodge': 'color-dodge',
+    'color-burn': 'color-burn',
+    'hard-light': 'hard-light',
+    'soft-light': 'soft-light',
+    difference: 'difference',
+    exclusion: 'exclusion',
+    hue: 'hue',
+    saturation: 'saturation',
+    color: 'color',
+    luminosity: 'luminosity'
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+export class SvgContext {
+    constructor(width, height, { measure = null, background = null } = {}) {
+        this.canvas = { width, height };
+        this.measure = measure;         // Real 2D context used for text metrics, if any
+        this.background = background;
+
+        this.defs = [];
+        this.root = { attributes: {}, children: [] };
+        this.group = this.root;
+        this.groupStack = [];
+        this.gradientCount = 0;
+        this.glowFilters = new Set();
+
+        this.state = {
+            fillStyle: '#000',
+            strokeStyle: '#000',
+            globalAlpha: 1,
+            globalCompositeOperation: 'source-over',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            lineDash: [],
+            shadowBlur: 0,
+            shadowColor: 'rgba(0, 0, 0, 0)',
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            transform: IDENTITY
+        };
+        this.stateStack = [];
+        this.path = '';
+        this.current = null;
+    }
+
+    // Drawing state, read and written like the canvas properties of the same name
+    get fillStyle() { return this.state.fillStyle; }
+    set fillStyle(value) { this.state.fillStyle = value; }
+    get strokeStyle() { return this.state.strokeStyle; }
+    set strokeStyle(value) { this.state.strokeStyle = value; }
+    get globalAlpha() { return this.state.globalAlpha; }
+    set globalAlpha(value) { this.state.globalAlpha = value; }
+    get globalCompositeOperation() { return this.state.globalCompositeOperation; }
+    set globalCompositeOperation(value) { this.state.globalCompositeOperation = value; }
+    get lineWidth() { return this.state.lineWidth; }
+    set lineWidth(value) { this.state.lineWidth = value; }
+    get lineCap() { return this.state.lineCap; }
+    set lineCap(value) { this.state.lineCap = value; }
+    get lineJoin() { return this.state.lineJoin; }
+    set lineJoin(value) { this.state.lineJoin = value; }
+    get shadowBlur() { return this.state.shadowBlur; }
+    set shadowBlur(value) { this.state.shadowBlur = value; }
+    get shadowColor() { return this.state.shadowColor; }
+    set shadowColor(value) { this.state.shadowColor = value; }
+    get font() { return this.state.font; }
+    set font(value) { this.state.font = value; }
+    get textAlign() { return this.state.textAlign; }
+    set textAlign(value) { this.state.textAlign = value; }
+    get textBaseline() { return this.state.textBaseline; }
+    set textBaseline(value) { this.state.textBaseline = value; }
+
+    setLineDash(segments) {
+        this.state.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.state.lineDash];
+    }
+
+    save() {
+        this.stateStack.push({ ...this.state });
+    }
+
+    /**
+     * Transforms are kept as a matrix and written onto each element drawn under them
+     */
+    setTransform(a, b, c, d, e, f) {
+        this.state.transform = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.state.transform = IDENTITY;
+    }
+
+    restore() {
+        if (this.stateStack.length > 0) {
+            this.state = this.stateStack.pop();
+        }
+    }
+
+    // Paths
+    beginPath() {
+        this.path = '';
+        this.current = null;
+    }
+
+    moveTo(x, y) {
+        this.path += `M${num(x)} ${num(y)}`;
+        this.current = { x, y, start: { x, y } };
+    }
+
+    lineTo(x, y) {
+        if (!this.current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.path += `L${num(x)} ${num(y)}`;
+        this.current = { ...this.current, x, y };
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        if (!this.current) this.moveTo(cx, cy);
+        this.path += `Q${num(cx)} ${num(cy)} ${num(x)} ${num(y)}`;
+        this.current = { ...this.current, x, y };
+    }
+
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        if (!this.current) this.moveTo(c1x, c1y);
+        this.path += `C${num(c1x)} ${num(c1y)} ${num(c2x)} ${num(c2y)} ${num(x)} ${num(y)}`;
+        this.current = { ...this.current, x, y };
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const start = { x: x + Math.cos(startAngle) * radius, y: y + Math.sin(startAngle) * radius };
+        if (this.current) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+        if (radius <= 0) return;
+
+        // Sweep in the drawing direction, as the canvas does
+        const turn = Math.PI * 2;
+        let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+        sweep = sweep >= turn ? turn : ((sweep % turn) + turn) % turn;
+
+        const sweepFlag = anticlockwise ? 0 : 1;
+        const direction = anticlockwise ? -1 : 1;
+        const r = num(radius);
+
+        // A full circle is two half arcs; SVG cannot draw one arc back to its start
+        const pieces = sweep >= turn ? 2 : 1;
+        for (let i = 1; i <= pieces; i++) {
+            const angle = startAngle + direction * sweep * i / pieces;
+            const end = { x: x + Math.cos(angle) * radius, y: y + Math.sin(angle) * radius };
+            const largeArc = sweep / pieces > Math.PI ? 1 : 0;
+            this.path += `A${r} ${r} 0 ${largeArc} ${sweepFlag} ${num(end.x)} ${num(end.y)}`;
+            this.current = { ...this.current, ...end };
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.path += `h${num(width)}v${num(height)}h${num(-width)}Z`;
+        this.current = { x, y, start: { x, y } };
+    }
+
+    closePath() {
+        if (this.current) {
+            this.path += 'Z';
+            this.current = { ...this.current, ...this.current.start };
+        }
+    }
+
+    fill() {
+        if (this.path) {
+            this.emit('path', { d: this.path, ...this.paint('fill') });
+        }
+    }
+
+    stroke() {
+        if (this.path) {
+            this.emit('path', { d: this.path, fill: 'none', ...this.paint('stroke') });
+        }
+    }
+
+    // Rectangles
+    fillRect(x, y, width, height) {
+        this.emit('rect', { ...box(x, y, width, height), ...this.paint('fill') });
+    }
+
+    strokeRect(x, y, width, height) {
+        this.emit('rect', { ...box(x, y, width, height), fill: 'none', ...this.paint('stroke') });
+    }
+
+    /**
+     * Clearing the whole canvas discards what the current group has recorded;
+     * partial clears have no vector equivalent and are ignored
+     */
+    clearRect(x, y, width, height) {
+        if (x <= 0 && y <= 0 && x + width >= this.canvas.width && y + height >= this.canvas.height) {
+            this.group.children = [];
+        }
+    }
+
+    // Text
+    fillText(text, x, y) {
+        this.emitText(text, x, y, 'fill');
+    }
+
+    strokeText(text, x, y) {
+        this.emitText(text, x, y, 'stroke');
+    }
+
+    measureText(text) {
+        if (this.measure) {
+            this.measure.font = this.state.font;
+            return this.measure.measureText(text);
+        }
+        // Rough monospace estimate when no real context is available
+        return { width: String(text).length * fontSize(this.state.font) * 0.6 };
+    }
+
+    emitText(text, x, y, mode) {
+        const attributes = {
+            x: num(x),
+            y: num(y),
+            style: `font: ${this.state.font}`,
+            ...(mode === 'fill' ? this.paint('fill') : { fill: 'none', ...this.paint('stroke') })
+        };
+
+        const anchor = TEXT_ANCHORS[this.state.textAlign];
+        if (anchor && anchor !== 'start') attributes['text-anchor'] = anchor;
+        if (this.state.textBaseline !== 'alphabetic') {
+            attributes['dominant-baseline'] = this.state.textBaseline === 'top' ? 'hanging' : this.state.textBaseline;
+        }
+
+        this.emit('text', attributes, escapeXml(String(text)));
+    }
+
+    /**
+     * Gradients, written to <defs> when first used
+     */
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgGradient('linearGradient', {
+            x1: num(x0), y1: num(y0), x2: num(x1), y2: num(y1)
+        });
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new SvgGradient('radialGradient', {
+            fx: num(x0), fy: num(y0), fr: num(r0), cx: num(x1), cy: num(y1), r: num(r1)
+        });
+    }
+
+    /**
+     * Images (such as offscreen layers) are not vector content
+     */
+    drawImage() {}
+
+    /**
+     * Groups stand in for compositing layers
+     */
+    beginGroup(id) {
+        const group = { attributes: { id: `layer-${id}` }, children: [] };
+        this.group.children.push(group);
+        this.groupStack.push(this.group);
+        this.group = group;
+    }
+
+    endGroup() {
+        this.group = this.groupStack.pop() ?? this.root;
+    }
+
+    styleGroup(id, { mode, alpha }) {
+        const group = this.root.children.find(child => child.attributes?.id === `layer-${id}`);
+        if (!group) return;
+
+        if (alpha !== undefined && alpha < 1) group.attributes.opacity = num(alpha);
+        if (BLEND_MODES[mode]) group.attributes.style = `mix-blend-mode: ${BLEND_MODES[mode]}`;
+    }
+
+    /**
+     * Fill or stroke attributes for the current style, alpha, blend and glow
+     */
+    paint(kind) {
+        const style = this.state[`${kind}Style`];
+        const attributes = {};
+        let opacity = this.state.globalAlpha;
+
+        if (style instanceof SvgGradient) {
+            attributes[kind] = `url(#${this.defineGradient(style)})`;
+        } else {
+            const { color, alpha } = parseColor(style);
+            attributes[kind] = color;
+            opacity *= alpha;
+        }
+
+        if (opacity < 1) attributes[`${kind}-opacity`] = num(Math.max(0, opacity));
+
+        if (kind === 'stroke') {
+            attributes['stroke-width'] = num(this.state.lineWidth);
+            if (this.state.lineCap !== 'butt') attributes['stroke-linecap'] = this.state.lineCap;
+            if (this.state.lineJoin !== 'miter') attributes['stroke-linejoin'] = this.state.lineJoin;
+            if (this.state.lineDash.length > 0) attributes['stroke-dasharray'] = this.state.lineDash.map(num).join(' ');
+        }
+
+        const blend = BLEND_MODES[this.state.globalCompositeOperation];
+        if (blend) attributes.style = `mix-blend-mode: ${blend}`;
+
+        if (Math.round(this.state.shadowBlur) > 0 && parseColor(this.state.shadowColor).alpha > 0) {
+            attributes.filter = `url(#${this.defineGlow(this.state.shadowBlur)})`;
+        }
+
+        return attributes;
+    }
+
+    defineGradient(gradient) {
+        if (!gradient.id) {
+            gradient.id = `gradient-${++this.gradientCount}`;
+            const stops = gradient.stops.map(({ offset, color }) => {
+                const { color: stopColor, alpha } = parseColor(color);
+                return `<stop offset="${num(offset)}" stop-color="${stopColor}"${alpha < 1 ? ` stop-opacity="${num(alpha)}"` : ''}/>`;
+            });
+            this.defs.push(`<${gradient.type} id="${gradient.id}" gradientUnits="userSpaceOnUse"${attributeText(gradient.attributes)}>${stops.join('')}</${gradient.type}>`);
+        }
+        return gradient.id;
+    }
+
+    /**
+     * Canvas glow is a shadow in the shape's own color; a blurred copy under the shape matches it
+     */
+    defineGlow(blur) {
+        const size = Math.round(blur);
+        const id = `glow-${size}`;
+
+        if (!this.glowFilters.has(size)) {
+            this.glowFilters.add(size);
+            this.defs.push(
+                `<filter id="${id}" x="-100%" y="-100%" width="300%" height="300%">` +
+                `<feGaussianBlur in="SourceGraphic" stdDeviation="${num(size / 2)}"/>` +
+                '<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge></filter>'
+            );
+        }
+        return id;
+    }
+
+    emit(tag, attributes, content = null) {
+        const { transform } = this.state;
+        if (transform.some((value, i) => value !== IDENTITY[i])) {
+            attributes = { ...attributes, transform: `matrix(${transform.map(num).join(' ')})` };
+        }
+        this.group.children.push({ tag, attributes, content });
+    }
+
+    /**
+     * The recorded frame as a standalone SVG document
+     */
+    toSVG() {
+        const { width, height } = this.canvas;
+        const lines = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        ];
+
+        if (this.defs.length > 0) {
+            lines.push(`<defs>${this.defs.join('')}</defs>`);
+        }
+        if (this.background) {
+            lines.push(`<rect width="${width}" height="${height}" fill="${this.background}"/>`);
+        }
+
+        // Isolate so blend modes mix only with the frame, not the page an SVG is placed on
+        lines.push('<g style="isolation: isolate">');
+        this.root.children.forEach(node => writeNode(node, lines));
+        lines.push('</g>', '</svg>');
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+class SvgGradient {
+    constructor(type, attributes) {
+        this.type = type;
+        this.attributes = attributes;
+        this.stops = [];
+        this.id = null;
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+function writeNode(node, lines) {
+    if (node.tag) {
+        const open = `<${node.tag}${attributeText(node.attributes)}`;
+        lines.push(node.content === null ? `${open}/>` : `${open}>${node.content}</${node.tag}>`);
+        return;
+    }
+
+    lines.push(`<g${attributeText(node.attributes)}>`);
+    node.children.forEach(child => writeNode(child, lines));
+    lines.push('</g>');
+}
+
+function attributeText(attributes) {
+    return Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`).join('');
+}
+
+function box(x, y, width, height) {
+    return { x: num(x), y: num(y), width: num(width), height: num(height) };
+}
+
+/**
+ * Round coordinates to keep documents small; hundredths of a pixel are plenty
+ */
+function num(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function fontSize(font) {
+    const match = /(\d+(?:\.\d+)?)px/.exec(font);
+    return match ? parseFloat(match[1]) : 10;
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a CSS color into an opaque color and its alpha, since print tools often
+ * ignore the alpha in rgba() and hsla() attribute values
+ */
+export function parseColor(style) {
+    const match = /^\s*(rgba?|hsla?)\(([^)]*)\)\s*$/i.exec(String(style));
+    if (!match) {
+        return { color: String(style), alpha: 1 };
+    }
+
+    const parts = match[2].split(/[\s,/]+/).filter(Boolean);
+    const alpha = parts.length > 3 ? channel(parts[3], 1) : 1;
+
+    let [r, g, b] = parts.slice(0, 3).map(part => parseFloat(part));
+    if (match[1].toLowerCase().startsWith('hsl')) {
+        [r, g, b] = hslToRgb(r, channel(parts[1], 100), channel(parts[2], 100));
+    }
+
+    const hex = [r, g, b].map(value => Math.round(Math.max(0, Math.min(255, value))).toString(16).padStart(2, '0')).join('');
+    return { color: `#${hex}`, alpha: Math.max(0, Math.min(1, alpha)) };
+}
+
+/**
+ * A channel as a 0-1 fraction, given as a percentage or a plain number out of scale
+ */
+function channel(text, scale) {
+    return text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text) / scale;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+    const h = (((hue % 360) + 360) % 360) / 360;
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+
+    return [h + 1 / 3, h, h - 1 / 3].map(t => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return (p + (q - p) * 6 * t) * 255;
+        if (t < 1 / 2) return q * 255;
+        if (t < 2 / 3) return (p + (q - p) * (2 / 3 - t) * 6) * 255;
+        return p * 255;
+    });
+}
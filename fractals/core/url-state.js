@@ -0,0 +1,145 @@
+/**
+ * URL State
+ * Reads the mode, preset, seed and config overrides from a query string such as
+ * ?mode=neural&preset=chaos&seed=42&neuralNetwork.nodeCount=300, and writes the
+ * running configuration back so it can be bookmarked and shared
+ */
+import { FractalConfig, Presets } from '../config.js';
+import { COMBINED_MODE } from './registry.js';
+import { AttractorModels } from './attractors.js';
+import { Themes } from './palette.js';
+import { CaptureFormats, CaptureLimits } from './capture.js';
+
+const DEFAULT_PRESET = 'default';
+
+// Text settings that name one of a set of choices, read when parsing so models and
+// themes registered at runtime count too
+const CHOICES = {
+    'consciousness.attractorModel': () => Object.keys(AttractorModels),
+    'rendering.theme': () => Object.keys(Themes),
+    'capture.format': () => CaptureFormats
+};
+
+// Number settings with a narrower range, each check returning what was expected when
+// a value fails
+const LIMITS = {
+    'capture.fps': CaptureLimits.fps,
+    'capture.maxFrames': CaptureLimits.maxFrames
+};
+
+/**
+ * Parse and validate a query string. Invalid parameters are left out and described
+ * in warnings, so a mistyped link still starts the system
+ */
+export function parseUrlState(search, { modes = [COMBINED_MODE], base = FractalConfig } = {}) {
+    const params = new URLSearchParams(search);
+    const state = { overrides: {}, warnings: [] };
+    const warn = message => state.warnings.push(message);
+
+    params.forEach((value, key) => {
+        switch (key) {
+            case 'mode':
+                if (modes.includes(value)) {
+                    state.mode = value;
+                } else {
+                    warn(`Ignoring mode=${value} (expected ${modes.join(', ')})`);
+                }
+                break;
+
+            case 'preset':
+                if (value === DEFAULT_PRESET || Presets[value]) {
+                    state.preset = value;
+                } else {
+                    warn(`Ignoring preset=${value} (expected ${[DEFAULT_PRESET, ...Object.keys(Presets)].join(', ')})`);
+                }
+                break;
+
+            case 'seed':
+                if (value === '') {
+                    warn('Ignoring empty seed');
+                } else {
+                    // Numeric seeds stay numbers; any other text is hashed by SeededRandom
+                    state.seed = /^\d+$/.test(value) ? Number(value) : value;
+                }
+                break;
+
+            default: {
+                const setting = parseSetting(key, value, base);
+                if (setting.error) {
+                    warn(`Ignoring ${key}=${value} (${setting.error})`);
+                } else {
+                    setPath(state.overrides, key.split('.'), setting.value);
+                }
+            }
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Query string (without '?') describing a configuration; defaults are left out
+ */
+export function formatUrlState({ mode, preset, seed, overrides = {} }) {
+    const params = new URLSearchParams();
+
+    if (mode && mode !== COMBINED_MODE) params.set('mode', mode);
+    if (preset && preset !== DEFAULT_PRESET) params.set('preset', preset);
+    if (seed !== undefined) params.set('seed', seed);
+
+    flattenSettings(overrides).forEach(([key, value]) => params.set(key, value));
+
+    return params.toString();
+}
+
+/**
+ * Convert a dotted setting to the type of its default value
+ */
+function parseSetting(path, text, base) {
+    const current = path.split('.').reduce((node, key) =>
+        node !== null && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : undefined, base);
+
+    switch (typeof current) {
+        case 'number': {
+            const value = Number(text);
+            if (text.trim() === '' || !Number.isFinite(value)) {
+                return { error: 'expected a number' };
+            }
+            const expected = LIMITS[path]?.(value);
+            return expected ? { error: `expected ${expected}` } : { value };
+        }
+        case 'boolean':
+            if (text === 'true' || text === 'false') return { value: text === 'true' };
+            return { error: 'expected true or false' };
+        case 'string': {
+            const choices = CHOICES[path]?.();
+            if (choices && !choices.includes(text)) {
+                return { error: `expected ${choices.join(', ')}` };
+            }
+            return { value: text };
+        }
+        case 'undefined':
+            return { error: 'unknown setting' };
+        default:
+            return { error: 'only single values can be set from the URL' };
+    }
+}
+
+function setPath(target, keys, value) {
+    const last = keys.pop();
+    keys.reduce((node, key) => (node[key] ??= {}), target)[last] = value;
+}
+
+/**
+ * Dotted [key, value] pairs for the scalar settings in an overrides object
+ */
+function flattenSettings(settings, prefix = '') {
+    return Object.entries(settings).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (value !== null && typeof value === 'object') {
+            return Array.isArray(value) ? [] : flattenSettings(value, path);
+        }
+        return [[path, value]];
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * Worker Engine
+ * Runs the simulation step in a dedicated Worker (core/simulation-worker.js) and draws
+ * from the compact snapshot it posts back after every step. This engine is the main
+ * thread's copy: user input takes effect here at once, so controls and tools respond
+ * without waiting, and is forwarded for the worker to apply at the tick it is logged
+ * at; each snapshot then replaces the copy's state. Inputs the worker has not applied
+ * yet are applied again on top, until a snapshot includes them.
+ *
+ * Without Worker support, with config.worker.enabled off, or once a custom simulation
+ * is registered (its definition cannot be sent to the worker), it runs on the main
+ * thread exactly like a SimulationEngine
+ */
+import { SimulationEngine } from './engine.js';
+import { MetricsRecorder } from './metrics.js';
+import { EventTypes } from './events.js';
+import { COMBINED_MODE } from './registry.js';
+import { SeededRandom } from './random.js';
+
+export class WorkerEngine extends SimulationEngine {
+    constructor(options = {}) {
+        super(options);
+
+        this.worker = null;
+        this.epoch = 0;             // Bumped when the timeline is replaced; older frames are dropped
+        this.seq = 0;               // Inputs forwarded so far
+        this.unconfirmed = [];      // { seq, input } forwarded but not yet in a snapshot
+        this.workerTick = 0;        // Tick the worker reaches once it has run every step posted
+        this.pendingTicks = 0;      // Ticks held back while a step is in flight
+        this.stepping = false;      // A step has been posted and its frame has not arrived
+        this.quiet = false;         // Applying inputs that were already logged and forwarded
+        this.inspection = null;     // Latest { simulationId, entityId, details } from the worker
+        this.inspectRequest = null;
+        this.requests = new Map();  // { resolve, reject } of pending session requests, by id
+        this.requestId = 0;
+        this.detaching = null;      // Seq of the last input the worker gets before moving back here
+
+        // Sampling happens in the worker; starting and stopping it is forwarded
+        this.metrics = new ForwardedMetrics(this, this.config.metrics);
+
+        if (this.config.worker.enabled && typeof Worker !== 'undefined' && !options.simulations) {
+            this.startWorker();
+        }
+    }
+
+    /**
+     * Start the worker on the current state, which is still the constructor's
+     */
+    startWorker() {
+        try {
+            this.worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn(`Simulation worker unavailable, stepping on the main thread: ${error.message}`);
+            return;
+        }
+
+        this.worker.addEventListener('message', ({ data }) => this.receive(data));
+        this.worker.addEventListener('error', event => {
+            event.preventDefault();
+            this.fail(event.message ?? 'the worker script did not load');
+        });
+
+        this.workerTick = this.consciousness.evolution.time;
+        this.post({
+            type: 'init',
+            options: {
+                ...this.surface,
+                seed: this.random.seed,
+                mode: this.mode,
+                preset: this.preset,
+                overrides: this.overrides
+            }
+        });
+    }
+
+    post(message) {
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * Post a message unless the worker is gone or the input was already forwarded
+     */
+    forward(message) {
+        if (this.worker && !this.quiet && this.detaching === null) {
+            this.post(message);
+        }
+    }
+
+    /**
+     * Whether the state on hand includes every tick asked for
+     */
+    get synced() {
+        return !this.worker || (!this.stepping && this.pendingTicks === 0);
+    }
+
+    /**
+     * Queue ticks for the worker, posting them as soon as the step in flight is done
+     */
+    advance(ticks) {
+        if (!this.worker) {
+            super.advance(ticks);
+            return;
+        }
+
+        this.pendingTicks += ticks;
+        this.postStep();
+    }
+
+    /**
+     * Post the queued ticks as one step. An empty step still refreshes the snapshot
+     * while inputs or an inspection wait on it, so a paused run shows them too
+     */
+    postStep() {
+        if (this.stepping || this.detaching !== null) return;
+        if (this.pendingTicks === 0 && this.unconfirmed.length === 0 && !this.inspectRequest) return;
+
+        this.stepping = true;
+        this.workerTick += this.pendingTicks;
+        this.post({
+            type: 'step',
+            ticks: this.pendingTicks,
+            listen: this.events.subscribedTypes(),
+            inspect: this.inspectRequest
+        });
+        this.pendingTicks = 0;
+        this.inspectRequest = null;
+    }
+
+    receive(message) {
+        // Replies a stopped worker had already sent are dropped
+        if (!this.worker) return;
+
+        switch (message.type) {
+            case 'frame':
+                this.applyFrame(message);
+                break;
+            case 'session':
+                this.requests.get(message.id)?.resolve(message.snapshot);
+                this.requests.delete(message.id);
+                break;
+            case 'error':
+                // A failed message leaves the worker's state unknown, so it is not used again
+                this.requests.get(message.id)?.reject(new Error(message.message));
+                this.requests.delete(message.id);
+                this.fail(message.message);
+                break;
+        }
+    }
+
+    /**
+     * Take the worker's state after a step, with the events and samples it produced
+     */
+    applyFrame({ epoch, seq, snapshot, events, samples, inspection, profile }) {
+        this.stepping = false;
+
+        // The time was spent whichever timeline the frame belongs to
+        if (profile) {
+            this.profiler.merge(profile);
+        }
+
+        if (epoch === this.epoch) {
+            this.unconfirmed = this.unconfirmed.filter(entry => entry.seq > seq);
+            this.applySnapshot(snapshot);
+            this.quietly(() => this.unconfirmed.forEach(({ input }) => this.applyInput(input)));
+
+            // The worker applied these replay inputs; the rest stay queued in case the
+            // run moves back to this thread
+            this.player?.due(this.consciousness.evolution.time);
+            if (this.player?.done) {
+                this.player = null;
+            }
+
+            events.forEach(event => this.relay(event));
+            samples.forEach(row => this.metrics.add(row));
+            this.inspection = inspection ?? this.inspection;
+        }
+
+        this.postStep();
+    }
+
+    /**
+     * Publish an event from the worker at the tick it happened; replayed inputs go
+     * into the log as well
+     */
+    relay(event) {
+        if (event.type === EventTypes.INPUT) {
+            const { type, source, tick, input, ...data } = event;
+            this.inputs.record(tick, input, data);
+        }
+        this.events.emit(event.type, event.source, event);
+    }
+
+    /**
+     * Log an input at the tick the worker will apply it at and forward it
+     */
+    recordInput(type, data = {}) {
+        if (this.quiet) return;
+        if (!this.worker) {
+            super.recordInput(type, data);
+            return;
+        }
+
+        const input = { type, ...data };
+        this.seq++;
+        this.unconfirmed.push({ seq: this.seq, input });
+        this.forward({ type: 'input', seq: this.seq, input });
+
+        this.inputs.record(this.workerTick, type, data);
+        this.events.emit(EventTypes.INPUT, 'engine', { input: type, ...data, tick: this.workerTick });
+    }
+
+    /**
+     * Run a function without logging, forwarding or publishing what it does
+     */
+    quietly(fn) {
+        const quiet = this.quiet;
+        this.quiet = true;
+        try {
+            return this.events.mute(fn);
+        } finally {
+            this.quiet = quiet;
+        }
+    }
+
+    restart(seed = SeededRandom.generateSeed()) {
+        super.restart(seed);
+        this.replaceTimeline({ type: 'restart', seed });
+    }
+
+    restore(snapshot) {
+        super.restore(snapshot);
+        this.replaceTimeline({ type: 'restore', snapshot });
+    }
+
+    /**
+     * The replay's inputs are logged and published as the worker applies them
+     */
+    loadReplay(replay) {
+        if (!this.worker) {
+            super.loadReplay(replay);
+            return;
+        }
+
+        this.quietly(() => super.loadReplay(replay));
+        this.replaceTimeline({ type: 'loadReplay', replay });
+    }
+
+    /**
+     * Start the worker on the timeline this copy has just begun
+     */
+    replaceTimeline(message) {
+        if (!this.worker || this.quiet) return;
+
+        this.epoch++;
+        this.unconfirmed = [];
+        this.inspection = null;
+        this.pendingTicks = 0;
+        this.workerTick = this.consciousness.evolution.time;
+        this.forward({ ...message, epoch: this.epoch });
+    }
+
+    /**
+     * Details from the worker, which has the full state. Until the first arrive for a
+     * new selection, this copy's own, which may lack some fields
+     */
+    inspectEntity(simulationId, entityId) {
+        if (!this.worker) {
+            return super.inspectEntity(simulationId, entityId);
+        }
+
+        this.inspectRequest = { simulationId, entityId };
+        const latest = this.inspection;
+        if (latest && latest.simulationId === simulationId && latest.entityId === entityId) {
+            return latest.details;
+        }
+        return super.inspectEntity(simulationId, entityId);
+    }
+
+    /**
+     * The worker times the update, this thread the render
+     */
+    setProfiling(enabled) {
+        super.setProfiling(enabled);
+        this.forward({ type: 'profiler', enabled });
+    }
+
+    /**
+     * The log runs to the tick the worker has been asked to reach
+     */
+    exportReplay() {
+        return this.worker ? this.inputs.export(this.workerTick) : super.exportReplay();
+    }
+
+    /**
+     * The complete state. While the worker runs, it has that state, so this returns a
+     * promise of it instead; if the worker fails first, of the state rebuilt here
+     */
+    serialize() {
+        return this.worker ? this.requestSession().catch(() => super.serialize()) : super.serialize();
+    }
+
+    /**
+     * The worker's complete state, rejected if the worker fails before sending it
+     */
+    requestSession() {
+        const id = ++this.requestId;
+        this.post({ type: 'serialize', id });
+        return new Promise((resolve, reject) => this.requests.set(id, { resolve, reject }));
+    }
+
+    registerSimulation(definition) {
+        const registered = super.registerSimulation(definition);
+        this.detach();
+        return registered;
+    }
+
+    unregisterSimulation(id) {
+        super.unregisterSimulation(id);
+        this.detach();
+    }
+
+    /**
+     * Move stepping back to this thread. Ticks and inputs wait until the worker's
+     * state arrives; inputs made meanwhile are applied again on top of it
+     */
+    detach() {
+        if (!this.worker || this.detaching !== null) return;
+
+        this.detaching = this.seq;
+        this.requestSession().then(session => {
+            const later = this.unconfirmed.filter(entry => entry.seq > this.detaching);
+            this.stopWorker();
+
+            this.quietly(() => {
+                this.loadState(session);
+
+                // The worker's mode may be a simulation unregistered here
+                if (!this.getModes().includes(this.mode)) {
+                    this.mode = COMBINED_MODE;
+                }
+
+                // Their events went out when this copy first applied them; phase
+                // transitions still reach the simulations, which the core calls directly
+                later.forEach(({ input }) => this.applyInput(input));
+            });
+
+            const ticks = this.pendingTicks;
+            this.pendingTicks = 0;
+            this.advance(ticks);
+        }, () => {
+            // The worker failed first, and fail() has already moved stepping here
+        });
+    }
+
+    /**
+     * The worker failed to start or crashed: rebuild its run here by replaying the log
+     * to the tick it had been asked to reach
+     */
+    fail(reason) {
+        console.warn(`Simulation worker failed, stepping on the main thread: ${reason}`);
+
+        const replay = this.exportReplay();
+        const pendingTicks = this.pendingTicks;
+        const requests = [...this.requests.values()];
+        this.stopWorker();
+
+        this.loadReplay(replay);
+        this.advance(replay.endTick - this.consciousness.evolution.time + pendingTicks);
+
+        // Session requests the worker will not answer
+        requests.forEach(({ reject }) => reject(new Error(`Simulation worker failed: ${reason}`)));
+    }
+
+    stopWorker() {
+        this.worker.terminate();
+        this.worker = null;
+        this.stepping = false;
+        this.detaching = null;
+        this.unconfirmed = [];
+        this.inspection = null;
+        this.inspectRequest = null;
+        this.requests.clear();
+    }
+}
+
+/**
+ * Metrics recorder whose samples arrive with the worker's frames
+ */
+class ForwardedMetrics extends MetricsRecorder {
+    startRecording(interval) {
+        super.startRecording(interval);
+        this.engine.forward({ type: 'metrics', recording: true, interval: this.interval });
+    }
+
+    stopRecording() {
+        super.stopRecording();
+        this.engine.forward({ type: 'metrics', recording: false });
+    }
+}
@@ -2,9 +2,15 @@
  * Cellular Automata Cell Entity
  * Represents a single cell in the digital life simulation
  */
+import { SeededRandom } from '../core/random.js';
+
+// Values per cell in a packed snapshot (see writeSnapshot)
+export const CELL_SNAPSHOT_SIZE = 6;
+
 export class CellularCell {
-    constructor(x, y, type = 0) {
+    constructor(x, y, type = 0, random = new SeededRandom()) {
         this.position = { x, y };
+        this.random = random;
         this.alive = false;
         this.energy = 0;
         this.age = 0;
@@ -40,7 +46,7 @@ export class CellularCell {
      */
     birth(parentEnergy = 0.5, parentType = 0) {
         this.alive = true;
-        this.energy = Math.random() * 0.4 + 0.3; // 0.3 to 0.7
+        this.energy = this.random.next() * 0.4 + 0.3; // 0.3 to 0.7
         this.age = 0;
         this.type = this.inheritType(parentType);
         this.memory.generations++;
@@ -63,9 +69,9 @@ export class CellularCell {
      * Inherit type from parent with possible mutation
      */
     inheritType(parentType) {
-        if (Math.random() < this.evolution.mutationRate) {
+        if (this.random.next() < this.evolution.mutationRate) {
             // Mutation - change to random type
-            const newType = Math.floor(Math.random() * 4);
+            const newType = Math.floor(this.random.next() * 4);
             if (newType !== parentType) {
                 this.memory.typeChanges++;
             }
@@ -142,7 +148,7 @@ export class CellularCell {
     getTypeEnergyBehavior(neighbors, consciousness) {
         switch (this.type) {
             case 0: // Basic - balanced behavior
-                return (Math.random() - 0.5) * 0.1;
+                return (this.random.next() - 0.5) * 0.1;
                 
             case 1: // Producer - generates energy, influenced by complexity
                 return 0.05 + consciousness.parameters.complexity * 0.08;
@@ -155,7 +161,7 @@ export class CellularCell {
                 if (this.environment.localDensity > 0.6) {
                     return 0.03; // Act like producer in crowded areas
                 } else {
-                    return (Math.random() - 0.3) * 0.12; // More variable in sparse areas
+                    return (this.random.next() - 0.3) * 0.12; // More variable in sparse areas
                 }
                 
             default:
@@ -186,13 +192,13 @@ export class CellularCell {
         
         // Die of old age (probabilistic)
         const maxAge = 100 + this.memory.maxEnergy * 50;
-        if (this.age > maxAge && Math.random() < 0.1) {
+        if (this.age > maxAge && this.random.next() < 0.1) {
             this.death();
             return;
         }
         
         // Overcrowding death
-        if (this.environment.localDensity > 0.8 && Math.random() < 0.05) {
+        if (this.environment.localDensity > 0.8 && this.random.next() < 0.05) {
             this.death();
             return;
         }
@@ -270,6 +276,30 @@ export class CellularCell {
         };
     }
     
+    /**
+     * Write what drawing and picking read into a packed array at an offset
+     */
+    writeSnapshot(values, offset) {
+        values[offset] = this.alive ? 1 : 0;
+        values[offset + 1] = this.energy;
+        values[offset + 2] = this.age;
+        values[offset + 3] = this.type;
+        values[offset + 4] = this.evolution.reproductionThreshold;
+        values[offset + 5] = this.environment.localDensity;
+    }
+    
+    /**
+     * Read back values written by writeSnapshot
+     */
+    readSnapshot(values, offset) {
+        this.alive = values[offset] === 1;
+        this.energy = values[offset + 1];
+        this.age = values[offset + 2];
+        this.type = values[offset + 3];
+        this.evolution.reproductionThreshold = values[offset + 4];
+        this.environment.localDensity = values[offset + 5];
+    }
+    
     /**
      * Serialize cell for saving/loading
      */
@@ -281,20 +311,24 @@ export class CellularCell {
             age: this.age,
             type: this.type,
             evolution: this.evolution,
-            memory: this.memory
+            environment: this.environment,
+            memory: this.memory,
+            lastUpdate: this.lastUpdate
         };
     }
     
     /**
      * Create cell from serialized data
      */
-    static deserialize(data) {
-        const cell = new CellularCell(data.position.x, data.position.y, data.type);
+    static deserialize(data, random) {
+        const cell = new CellularCell(data.position.x, data.position.y, data.type, random);
         cell.alive = data.alive;
         cell.energy = data.energy;
         cell.age = data.age;
         cell.evolution = data.evolution;
         cell.memory = data.memory;
+        cell.environment = data.environment ?? cell.environment;
+        cell.lastUpdate = data.lastUpdate ?? 0;
         return cell;
     }
 } 
\ No newline at end of file
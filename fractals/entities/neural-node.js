@@ -2,18 +2,23 @@
  * Neural Node Entity
  * Represents a single node in the neural network with autonomous learning
  */
+import { SeededRandom } from '../core/random.js';
+import { FractalConfig } from '../config.js';
+
 export class NeuralNode {
-    constructor(x, y, id) {
+    constructor(x, y, id, random = new SeededRandom(), config = FractalConfig.neuralNetwork) {
         this.id = id;
+        this.random = random;
+        this.config = config; // Shared neuralNetwork settings of the owning simulation
         this.position = { x, y };
-        this.activation = Math.random();
+        this.activation = this.random.next();
         this.connections = new Map();
         
         // Learning parameters
         this.evolution = {
-            rate: Math.random() * 0.02 + 0.005,
-            phase: Math.random() * Math.PI * 2,
-            plasticity: Math.random() * 0.01
+            rate: this.random.next() * 0.02 + 0.005,
+            phase: this.random.next() * Math.PI * 2,
+            plasticity: this.random.next() * 0.01
         };
         
         // Memory and adaptation
@@ -29,19 +34,20 @@ export class NeuralNode {
             vy: 0,
             targetX: x,
             targetY: y,
-            movementThreshold: 0.7 // Activation level needed to move
+            movementThreshold: config.movementThreshold // Activation level needed to move
         };
         
         this.age = 0;
         this.lastActivation = 0;
+        this.stimulus = 0; // Injected input, fading each tick
     }
     
     /**
      * Add connection to another node
      */
     addConnection(targetId, strength = null, plasticity = null) {
-        const connectionStrength = strength ?? Math.random();
-        const connectionPlasticity = plasticity ?? Math.random() * 0.01;
+        const connectionStrength = strength ?? this.random.next();
+        const connectionPlasticity = plasticity ?? this.random.next() * this.config.learningRate;
         
         this.connections.set(targetId, {
             strength: connectionStrength,
@@ -63,6 +69,15 @@ export class NeuralNode {
         }
     }
     
+    /**
+     * Inject external input: activation rises at once and the input keeps driving
+     * the node for a few ticks as it fades
+     */
+    stimulate(amount) {
+        this.stimulus += amount;
+        this.activation = Math.min(1, this.activation + amount);
+    }
+    
     /**
      * Update activation based on inputs and autonomous dynamics
      */
@@ -104,14 +119,15 @@ export class NeuralNode {
             (inputSum / activeConnections) + autonomousInput + memoryInfluence - 2 :
             autonomousInput + memoryInfluence;
             
-        const newActivation = 1 / (1 + Math.exp(-totalInput));
+        const newActivation = 1 / (1 + Math.exp(-(totalInput + this.stimulus)));
+        this.stimulus *= this.config.stimulusDecay;
         
         // Update activation with momentum
         this.activation = this.activation * 0.1 + newActivation * 0.9;
         
         // Store in memory
         this.memory.activationHistory.push(this.activation);
-        if (this.memory.activationHistory.length > 50) {
+        if (this.memory.activationHistory.length > this.config.memoryLength) {
             this.memory.activationHistory.shift();
         }
         
@@ -119,9 +135,9 @@ export class NeuralNode {
     }
     
     /**
-     * Apply Hebbian learning to connections
+     * Apply Hebbian learning to connections, scaled by any consciousness surge
      */
-    applyHebbianLearning(nodes) {
+    applyHebbianLearning(nodes, boost = 1) {
         this.connections.forEach((connection, targetId) => {
             const targetNode = nodes.get(targetId);
             if (!targetNode) return;
@@ -129,18 +145,18 @@ export class NeuralNode {
             // Hebbian rule: "Neurons that fire together, wire together"
             const coActivation = this.activation * targetNode.activation;
             
-            if (coActivation > 0.7) {
+            if (coActivation > this.config.hebbianThreshold) {
                 // Strengthen connection
-                connection.strength = Math.min(1, connection.strength + connection.plasticity);
+                connection.strength = Math.min(1, connection.strength + connection.plasticity * boost);
                 this.memory.learningEvents.push({
                     type: 'strengthen',
                     target: targetId,
                     time: this.age,
                     strength: connection.strength
                 });
-            } else if (coActivation < 0.2) {
+            } else if (coActivation < this.config.weakenThreshold) {
                 // Weaken connection
-                connection.strength = Math.max(0.1, connection.strength - connection.plasticity * 0.5);
+                connection.strength = Math.max(0.1, connection.strength - connection.plasticity * boost * 0.5);
                 this.memory.learningEvents.push({
                     type: 'weaken',
                     target: targetId,
@@ -150,14 +166,14 @@ export class NeuralNode {
             }
             
             // Prune very weak connections
-            if (connection.strength < 0.15 && Math.random() < 0.01) {
+            if (connection.strength < this.config.pruneThreshold && this.random.next() < 0.01) {
                 this.removeConnection(targetId);
             }
         });
         
         // Limit learning events memory
-        if (this.memory.learningEvents.length > 20) {
-            this.memory.learningEvents.shift();
+        if (this.memory.learningEvents.length > this.config.learningMemoryLength) {
+            this.memory.learningEvents.splice(0, this.memory.learningEvents.length - this.config.learningMemoryLength);
         }
     }
     
@@ -170,8 +186,8 @@ export class NeuralNode {
             const moveIntensity = (this.activation - this.movement.movementThreshold) * 20;
             
             // Random walk with slight bias toward active regions
-            this.movement.vx += (Math.random() - 0.5) * moveIntensity * consciousness.parameters.adaptation;
-            this.movement.vy += (Math.random() - 0.5) * moveIntensity * consciousness.parameters.adaptation;
+            this.movement.vx += (this.random.next() - 0.5) * moveIntensity * consciousness.parameters.adaptation;
+            this.movement.vy += (this.random.next() - 0.5) * moveIntensity * consciousness.parameters.adaptation;
             
             // Damping
             this.movement.vx *= 0.9;
@@ -191,7 +207,8 @@ export class NeuralNode {
      * Calculate influence of memory on current activation
      */
     calculateMemoryInfluence() {
-        if (this.memory.activationHistory.length === 0) return 0;
+        // A trend needs at least two samples (avoids 0/0 poisoning activation with NaN)
+        if (this.memory.activationHistory.length < 2) return 0;
         
         // Recent activation trend
         const recentHistory = this.memory.activationHistory.slice(-5);
@@ -233,7 +250,7 @@ export class NeuralNode {
         candidates.sort((a, b) => b.score - a.score);
         const newConnections = Math.min(candidates.length, maxConnections - this.connections.size);
         
-        for (let i = 0; i < newConnections && Math.random() < 0.02; i++) {
+        for (let i = 0; i < newConnections && this.random.next() < 0.02; i++) {
             this.addConnection(candidates[i].id);
         }
     }
@@ -264,18 +281,26 @@ export class NeuralNode {
             activation: this.activation,
             evolution: this.evolution,
             connections: Array.from(this.connections.entries()),
-            age: this.age
+            memory: this.memory,
+            movement: this.movement,
+            age: this.age,
+            lastActivation: this.lastActivation,
+            stimulus: this.stimulus
         };
     }
     
     /**
      * Create node from serialized data
      */
-    static deserialize(data) {
-        const node = new NeuralNode(data.position.x, data.position.y, data.id);
+    static deserialize(data, random, config) {
+        const node = new NeuralNode(data.position.x, data.position.y, data.id, random, config);
         node.activation = data.activation;
         node.evolution = data.evolution;
         node.age = data.age;
+        node.memory = data.memory ?? node.memory;
+        node.movement = data.movement ?? node.movement;
+        node.lastActivation = data.lastActivation ?? 0;
+        node.stimulus = data.stimulus ?? 0;
         
         data.connections.forEach(([targetId, connection]) => {
             node.connections.set(targetId, connection);
@@ -3,6 +3,11 @@
  * Modular autonomous evolution of digital consciousness patterns
  */
 import { FractalOrchestrator } from './core/orchestrator.js';
+import { COMBINED_MODE } from './core/registry.js';
+import { parseUrlState } from './core/url-state.js';
+import { benchmark as runBenchmark } from './core/benchmark.js';
+import { BuiltinSimulations } from './simulations/index.js';
+import { createConfig } from './config.js';
 
 // Global instance for debugging and interaction
 let fractalConsciousness = null;
@@ -17,20 +22,29 @@ function initializeFractalConsciousness() {
         return;
     }
     
-    // Set canvas size
-    canvas.width = 800;
-    canvas.height = 600;
+    // Mode, preset, seed and config overrides from the URL, e.g. ?mode=neural&seed=42&neuralNetwork.nodeCount=300
+    const { mode, preset, seed, overrides, warnings } = parseUrlState(window.location.search, {
+        modes: [COMBINED_MODE, ...BuiltinSimulations.map(definition => definition.id)]
+    });
+    warnings.forEach(warning => console.warn(`🔗 ${warning}`));
+    
+    // Start the world at the size the page gives the canvas, or the configured size;
+    // the orchestrator keeps the two in step from then on
+    const { canvas: canvasConfig } = createConfig(preset, overrides);
+    canvas.width = (canvasConfig.responsive && canvas.clientWidth) || canvasConfig.width;
+    canvas.height = (canvasConfig.responsive && canvas.clientHeight) || canvasConfig.height;
     
     try {
         // Create and start the orchestrator
-        fractalConsciousness = new FractalOrchestrator(canvas);
+        fractalConsciousness = new FractalOrchestrator(canvas, { mode, preset, seed, overrides, urlSync: true });
         fractalConsciousness.start();
         
         console.log('🧠 Fractal Consciousness System initialized');
         console.log('📊 Debug commands available:');
         console.log('  - Press P to toggle performance display');
         console.log('  - Press R to reset current simulation');
-        console.log('  - Press 1-5 to switch between modes');
+        console.log('  - Press Space to pause, . to single-step, +/- to change speed');
+        console.log(`  - Press 1-${fractalConsciousness.engine.getModes().length} to switch between modes`);
         console.log('  - Use window.fractalConsciousness to inspect state');
         
         // Make available globally for debugging
@@ -73,6 +87,17 @@ window.fractalDebug = {
         }
     },
     
+    /**
+     * Resume a session snapshot produced by exportState()
+     */
+    importState(snapshot) {
+        if (fractalConsciousness) {
+            fractalConsciousness.importState(snapshot);
+        } else {
+            console.warn('Fractal consciousness not initialized');
+        }
+    },
+    
     /**
      * Get detailed system metrics
      */
@@ -92,12 +117,257 @@ window.fractalDebug = {
         }
     },
     
+    /**
+     * Show or hide a simulation's layer in Autonomous Evolution
+     */
+    setLayerVisible(id, visible) {
+        if (fractalConsciousness) {
+            fractalConsciousness.setLayerVisible(id, visible);
+        }
+    },
+    
+    /**
+     * Register a simulation definition (see core/registry.js) as a new mode
+     */
+    registerSimulation(definition) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.registerSimulation(definition);
+        }
+    },
+    
+    /**
+     * Switch preset at runtime (default, meditation, chaos, minimal, performance)
+     */
+    setPreset(name) {
+        if (fractalConsciousness) {
+            fractalConsciousness.setPreset(name);
+        }
+    },
+    
+    /**
+     * Switch color theme (evolutionary, monochrome, viridis, cividis, print)
+     */
+    setTheme(name) {
+        if (fractalConsciousness) {
+            fractalConsciousness.setTheme(name);
+        }
+    },
+    
+    /**
+     * Get the merged configuration currently driving the system
+     */
+    getConfig() {
+        if (fractalConsciousness) {
+            return fractalConsciousness.config;
+        }
+        return null;
+    },
+    
+    /**
+     * Get the seed of the current run
+     */
+    getSeed() {
+        if (fractalConsciousness) {
+            return fractalConsciousness.random.seed;
+        }
+        return null;
+    },
+    
+    /**
+     * Restart the system from a seed to reproduce a run
+     */
+    restart(seed) {
+        if (fractalConsciousness) {
+            fractalConsciousness.restart(seed);
+        }
+    },
+    
+    /**
+     * Subscribe to simulation events, e.g. on('phase-transition', e => ...) or on('*', ...)
+     */
+    on(type, handler) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.on(type, handler);
+        }
+    },
+    
     /**
      * Trigger phase transition manually
      */
     triggerPhaseTransition() {
-        if (fractalConsciousness && fractalConsciousness.consciousness) {
-            return fractalConsciousness.consciousness.triggerPhaseTransition();
+        if (fractalConsciousness) {
+            return fractalConsciousness.triggerPhaseTransition();
+        }
+    },
+    
+    /**
+     * Hold a parameter at a value (weight below 1 blends with autonomous evolution)
+     */
+    lockParameter(name, value, weight) {
+        if (fractalConsciousness) {
+            fractalConsciousness.lockParameter(name, value, weight);
+        }
+    },
+    
+    /**
+     * Ramp a parameter to a value over ticks, or pass [{ to, ticks }, ...] as a script
+     */
+    rampParameter(name, to, ticks, options) {
+        if (fractalConsciousness) {
+            fractalConsciousness.rampParameter(name, to, ticks, options);
+        }
+    },
+    
+    /**
+     * Return a parameter to autonomous evolution
+     */
+    releaseParameter(name) {
+        if (fractalConsciousness) {
+            fractalConsciousness.releaseParameter(name);
+        }
+    },
+    
+    /**
+     * Manual parameter controls in effect
+     */
+    getParameterControls() {
+        return fractalConsciousness ? fractalConsciousness.consciousness.getParameterControls() : {};
+    },
+    
+    /**
+     * Pause the simulation clock
+     */
+    pause() {
+        if (fractalConsciousness) {
+            fractalConsciousness.pause();
+        }
+    },
+    
+    /**
+     * Resume the simulation clock
+     */
+    resume() {
+        if (fractalConsciousness) {
+            fractalConsciousness.resume();
+        }
+    },
+    
+    /**
+     * Advance a paused simulation by a number of ticks
+     */
+    step(ticks = 1) {
+        if (fractalConsciousness) {
+            fractalConsciousness.stepSimulation(ticks);
+        }
+    },
+    
+    /**
+     * Set simulation speed (0.25x - 16x)
+     */
+    setSpeed(speed) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.setSpeed(speed);
+        }
+    },
+    
+    /**
+     * Get simulation clock state
+     */
+    getClock() {
+        if (fractalConsciousness) {
+            return fractalConsciousness.clock.getState();
+        }
+        return null;
+    },
+    
+    /**
+     * Capture frames at a fixed simulation rate, e.g. startCapture({ format: 'webm', fps: 60 })
+     */
+    startCapture(options) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.startCapture(options);
+        }
+    },
+    
+    /**
+     * Stop capturing and download the PNG zip or WebM
+     */
+    stopCapture() {
+        if (fractalConsciousness) {
+            return fractalConsciousness.stopCapture();
+        }
+    },
+    
+    /**
+     * Download the current frame as SVG, returning the document
+     */
+    exportSvg() {
+        if (fractalConsciousness) {
+            return fractalConsciousness.exportSvg();
+        }
+    },
+    
+    /**
+     * Keep an entity centred by id (node, entity, stream or thread id), optionally in one simulation
+     */
+    followEntity(entityId, simulationId) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.followEntity(entityId, simulationId);
+        }
+    },
+    
+    /**
+     * Open the entity inspector on an entity by id in a simulation, as clicking it does
+     */
+    inspect(entityId, simulationId) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.inspectEntity(entityId, simulationId);
+        }
+    },
+    
+    /**
+     * Pick an interaction tool for the canvas, e.g. ('cellular', 'paint', 'producer'); null inspects again
+     */
+    selectTool(simulationId, toolId, option) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.selectTool(simulationId ?? null, toolId, option);
+        }
+    },
+    
+    /**
+     * Use an interaction tool at a world point: action is { x, y, radius, option },
+     * and radius defaults to the brush's
+     */
+    applyTool(simulationId, toolId, action) {
+        if (fractalConsciousness) {
+            return fractalConsciousness.applyTool(simulationId, toolId, action);
+        }
+    },
+    
+    /**
+     * Hold render quality at 'high', 'medium' or 'low'; null adapts it to the frame rate again
+     */
+    setQuality(level) {
+        if (fractalConsciousness) {
+            fractalConsciousness.setQuality(level ?? null);
+        }
+    },
+    
+    /**
+     * Zoom to the visible simulations' content
+     */
+    fitToContent() {
+        if (fractalConsciousness) {
+            fractalConsciousness.fitToContent();
+        }
+    },
+    
+    /**
+     * Return to the full, unzoomed view
+     */
+    resetCamera() {
+        if (fractalConsciousness) {
+            fractalConsciousness.resetCamera();
         }
     },
     
@@ -118,38 +388,134 @@ window.fractalDebug = {
     },
     
     /**
-     * Monitor consciousness parameters over time
+     * Time the ticks of a simulation on a fresh headless engine (the page stalls meanwhile),
+     * e.g. benchmark({ mode: 'ecosystem', overrides: { digitalEcosystem: { entityCount: 1000 } } })
+     */
+    benchmark(options = {}) {
+        const defaults = fractalConsciousness
+            ? { mode: fractalConsciousness.currentMode, ...fractalConsciousness.engine.surface }
+            : {};
+        const result = runBenchmark({ ...defaults, ...options });
+        console.log(`⏱️ ${result.mode}: ${result.msPerTick.toFixed(2)} ms per tick over ${result.ticks} ticks`);
+        return result;
+    },
+    
+    /**
+     * Time each frame's update and render by simulation and sub-step, drawn over the view
+     */
+    startProfiling() {
+        if (fractalConsciousness) {
+            fractalConsciousness.startProfiling();
+        }
+    },
+    
+    stopProfiling() {
+        if (fractalConsciousness) {
+            fractalConsciousness.stopProfiling();
+        }
+    },
+    
+    /**
+     * Print the profiled sections' rolling averages, peaks and spikes, and return them
+     */
+    getProfile() {
+        if (fractalConsciousness) {
+            const profile = fractalConsciousness.getProfile();
+            console.table(profile.sections.map(section => ({
+                'Section': `${'  '.repeat(section.depth)}${section.name}`,
+                'Avg ms': section.average.toFixed(3),
+                'Last ms': section.last.toFixed(3),
+                'Peak ms': section.peak.toFixed(3),
+                'Spikes': section.spikes,
+                'Calls': section.calls.toFixed(1)
+            })));
+            return profile;
+        }
+    },
+    
+    /**
+     * Download the seed, config and input log of this run as a replay file
+     */
+    exportReplay() {
+        if (fractalConsciousness) {
+            fractalConsciousness.exportReplay();
+        }
+    },
+    
+    /**
+     * The current run's replay as an object
+     */
+    getReplay() {
+        return fractalConsciousness ? fractalConsciousness.engine.exportReplay() : null;
+    },
+    
+    /**
+     * Play back a replay, optionally fast-forwarding to a tick
+     */
+    loadReplay(replay, seekTo = 0) {
+        if (fractalConsciousness) {
+            fractalConsciousness.loadReplay(replay, { seekTo });
+        }
+    },
+    
+    /**
+     * Record core and simulation metrics every given number of ticks
+     */
+    startRecording(interval) {
+        if (fractalConsciousness) {
+            fractalConsciousness.startRecording(interval);
+        }
+    },
+    
+    /**
+     * Stop recording metrics
+     */
+    stopRecording() {
+        if (fractalConsciousness) {
+            fractalConsciousness.stopRecording();
+        }
+    },
+    
+    /**
+     * Recorded metric samples, oldest first
+     */
+    getMetricSamples() {
+        return fractalConsciousness ? fractalConsciousness.engine.metrics.getSamples() : [];
+    },
+    
+    /**
+     * Download recorded metrics as 'csv' or 'jsonl'
+     */
+    exportMetrics(format = 'csv') {
+        if (fractalConsciousness) {
+            fractalConsciousness.exportMetrics(format);
+        }
+    },
+    
+    /**
+     * Record metrics for a while, then summarize them
      */
     startMonitoring(duration = 10000) {
         if (!fractalConsciousness) return;
         
-        const samples = [];
-        const startTime = Date.now();
+        const metrics = fractalConsciousness.engine.metrics;
+        metrics.clear();
+        fractalConsciousness.startRecording();
         
-        const monitor = () => {
-            const state = fractalConsciousness.consciousness.getState();
-            samples.push({
-                time: Date.now() - startTime,
-                ...state.parameters,
-                entropy: state.entropy,
-                coherence: state.coherenceLevel
-            });
+        setTimeout(() => {
+            fractalConsciousness.stopRecording();
+            
+            const samples = metrics.getSamples();
+            if (samples.length === 0) return;
             
-            if (Date.now() - startTime < duration) {
-                setTimeout(monitor, 100);
-            } else {
-                console.log('Consciousness monitoring complete:');
-                console.table(samples.slice(-50)); // Show last 50 samples
-                
-                // Simple analysis
-                const avgComplexity = samples.reduce((sum, s) => sum + s.complexity, 0) / samples.length;
-                const avgEmergence = samples.reduce((sum, s) => sum + s.emergence, 0) / samples.length;
-                console.log(`Average Complexity: ${avgComplexity.toFixed(3)}`);
-                console.log(`Average Emergence: ${avgEmergence.toFixed(3)}`);
-            }
-        };
+            // Simple analysis
+            const avgComplexity = samples.reduce((sum, s) => sum + s.complexity, 0) / samples.length;
+            const avgEmergence = samples.reduce((sum, s) => sum + s.emergence, 0) / samples.length;
+            console.log('Consciousness monitoring complete - export with fractalDebug.exportMetrics()');
+            console.log(`Average Complexity: ${avgComplexity.toFixed(3)}`);
+            console.log(`Average Emergence: ${avgEmergence.toFixed(3)}`);
+        }, duration);
         
-        monitor();
         console.log(`Started monitoring for ${duration}ms...`);
     }
 };
@@ -2,22 +2,38 @@
  * AI Experience Simulation - Simulating the unique aspects of artificial consciousness
  * Parallel processing, uncertainty quantification, attention mechanisms, and emergent insights
  */
+import { SeededRandom } from '../core/random.js';
+import { EventBus, EventTypes } from '../core/events.js';
+import { boundsOf, pickNearest, surfaceScale } from '../core/camera.js';
+import { SpatialHash } from '../core/spatial-hash.js';
+import { Profiler } from '../core/profiler.js';
+import { FractalConfig } from '../config.js';
+
+// Distances at which threads influence each other and the uncertainty field
+const COMMUNICATION_RADIUS = 80;
+const FIELD_INFLUENCE_RADIUS = 100;
+
+// Values per thread, attention node, field cell, cascade, insight, reflection node and
+// doubt wave in a packed snapshot
+const THREAD_SNAPSHOT_SIZE = 8;
+const ATTENTION_SNAPSHOT_SIZE = 9;
+const FIELD_SNAPSHOT_SIZE = 2;
+const CASCADE_SNAPSHOT_SIZE = 5;
+const INSIGHT_SNAPSHOT_SIZE = 3;
+const REFLECTION_SNAPSHOT_SIZE = 7;
+const WAVE_SNAPSHOT_SIZE = 4;
 
 export class AIExperienceSimulation {
-    constructor(canvas, consciousness, renderer) {
+    constructor(canvas, consciousness, renderer, { random = new SeededRandom(), events = new EventBus(), config = FractalConfig, profiler = new Profiler(config.debug) } = {}) {
         this.canvas = canvas;
         this.consciousness = consciousness;
         this.renderer = renderer;
+        this.random = random;
+        this.events = events;
+        this.profiler = profiler;
         
         // Configuration
-        this.config = {
-            maxProcessingThreads: 25,
-            maxAttentionNodes: 8,
-            uncertaintyThreshold: 0.7,
-            confidenceThreshold: 0.8,
-            patternCascadeChance: 0.02,
-            insightGenerationChance: 0.005
-        };
+        this.config = { ...config.aiExperience };
         
         // Core AI experience components
         this.processingThreads = [];
@@ -46,6 +62,9 @@ export class AIExperienceSimulation {
         // Consciousness uncertainty waves
         this.consciousnessUncertaintyWaves = [];
         
+        // Threads by position, rebuilt every tick for neighbour queries
+        this.threadIndex = new SpatialHash(FIELD_INFLUENCE_RADIUS);
+        
         this.initialize();
     }
     
@@ -79,28 +98,28 @@ export class AIExperienceSimulation {
     
     createProcessingThread() {
         const thread = {
-            id: `thread_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
+            id: `thread_${this.consciousness.evolution.time}_${this.random.id(4)}`,
             type: this.selectProcessingType(),
             
             // Position in thought space
-            x: Math.random() * this.canvas.width,
-            y: Math.random() * this.canvas.height,
+            x: this.random.next() * this.canvas.width,
+            y: this.random.next() * this.canvas.height,
             
             // Processing characteristics
-            processingSpeed: 0.5 + Math.random() * 0.5,
-            efficiency: Math.random(),
+            processingSpeed: 0.5 + this.random.next() * 0.5,
+            efficiency: this.random.next(),
             confidence: 0.5,
             uncertainty: 0.5,
             
             // Current task
             currentTask: this.generateTask(),
             taskProgress: 0,
-            taskComplexity: Math.random(),
+            taskComplexity: this.random.next(),
             
             // Visual representation
             activity: 0,
-            hue: Math.random() * 360,
-            pulsation: Math.random() * Math.PI * 2,
+            hue: this.random.next() * 360,
+            pulsation: this.random.next() * Math.PI * 2,
             
             // Connections to other threads
             connections: [],
@@ -108,9 +127,9 @@ export class AIExperienceSimulation {
             
             // Memory and learning
             experienceBuffer: [],
-            learningRate: 0.01 + Math.random() * 0.09,
-            contextAffinity: Math.random(), // How much the thread interacts with shared context
-            cognitiveMode: Math.random() < 0.6 ? 'pattern_matching' : 'semantic_reasoning' // Initial mode, biased towards pattern matching
+            learningRate: 0.01 + this.random.next() * 0.09,
+            contextAffinity: this.random.next(), // How much the thread interacts with shared context
+            cognitiveMode: this.random.next() < 0.6 ? 'pattern_matching' : 'semantic_reasoning' // Initial mode, biased towards pattern matching
         };
         
         this.processingThreads.push(thread);
@@ -139,57 +158,57 @@ export class AIExperienceSimulation {
             'error_detection'             // General error checking beyond hallucinations
         ];
         
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(this.random.next() * types.length)];
     }
     
     generateTask() {
         const type = this.selectProcessingType(); // Generate task based on a selected processing type
-        let complexity = Math.random();
+        let complexity = this.random.next();
         let timeFactor = 1;
-        let requiredConfidence = 0.6 + Math.random() * 0.3;
+        let requiredConfidence = 0.6 + this.random.next() * 0.3;
 
         // Adjust parameters based on type for more realism
         switch (type) {
             case 'prompt_interpretation':
-                complexity = 0.4 + Math.random() * 0.3; // Usually a quicker, less complex step
+                complexity = 0.4 + this.random.next() * 0.3; // Usually a quicker, less complex step
                 timeFactor = 0.5;
                 requiredConfidence = 0.8;
                 break;
             case 'knowledge_retrieval':
-                complexity = 0.6 + Math.random() * 0.3;
+                complexity = 0.6 + this.random.next() * 0.3;
                 timeFactor = 1.5;
                 break;
             case 'token_prediction':
-                complexity = 0.2 + Math.random() * 0.2; // Individual token predictions are fast
+                complexity = 0.2 + this.random.next() * 0.2; // Individual token predictions are fast
                 timeFactor = 0.2;
                 requiredConfidence = 0.5; // Can be lower for individual tokens
                 break;
             case 'semantic_encoding':
-                complexity = 0.5 + Math.random() * 0.4;
+                complexity = 0.5 + this.random.next() * 0.4;
                 break;
             case 'context_aggregation':
-                complexity = 0.7 + Math.random() * 0.3; // Can be very complex for long contexts
+                complexity = 0.7 + this.random.next() * 0.3; // Can be very complex for long contexts
                 timeFactor = 2.0;
                 requiredConfidence = 0.75;
                 break;
             case 'response_generation':
-                complexity = 0.6 + Math.random() * 0.4;
+                complexity = 0.6 + this.random.next() * 0.4;
                 timeFactor = 1.8;
                 requiredConfidence = 0.7;
                 break;
             case 'uncertainty_estimation':
             case 'hallucination_check':
             case 'ethical_alignment':
-                complexity = 0.5 + Math.random() * 0.3;
+                complexity = 0.5 + this.random.next() * 0.3;
                 timeFactor = 0.8;
                 requiredConfidence = 0.85; // These checks need high confidence
                 break;
             case 'tool_use_decision':
-                 complexity = 0.7 + Math.random() * 0.2;
+                 complexity = 0.7 + this.random.next() * 0.2;
                  requiredConfidence = 0.9; // High confidence needed for external actions
                  break;
             case 'self_correction':
-                complexity = 0.6 + Math.random() * 0.3;
+                complexity = 0.6 + this.random.next() * 0.3;
                 timeFactor = 1.2;
                 break;
             default:
@@ -200,7 +219,7 @@ export class AIExperienceSimulation {
         return {
             type: type, // Use the selected type
             complexity: complexity,
-            timeRemaining: (50 + Math.random() * 100) * timeFactor, // Adjusted time based on type
+            timeRemaining: (50 + this.random.next() * 100) * timeFactor, // Adjusted time based on type
             requiredConfidence: requiredConfidence
         };
     }
@@ -211,23 +230,23 @@ export class AIExperienceSimulation {
         for (let i = 0; i < this.config.maxAttentionNodes; i++) {
             const node = {
                 id: `attention_${i}`,
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
+                x: this.random.next() * this.canvas.width,
+                y: this.random.next() * this.canvas.height,
                 
                 // Attention properties
-                strength: Math.random(),
-                focus: Math.random() * Math.PI * 2,
-                scope: 20 + Math.random() * 100,
+                strength: this.random.next(),
+                focus: this.random.next() * Math.PI * 2,
+                scope: 20 + this.random.next() * 100,
                 
                 // What it's attending to
                 target: null,
-                priority: Math.random(),
-                decay: 0.98 + Math.random() * 0.019,
+                priority: this.random.next(),
+                decay: 0.98 + this.random.next() * 0.019,
                 
                 // Visual properties
-                alpha: 0.3 + Math.random() * 0.4,
-                radius: 5 + Math.random() * 15,
-                oscillation: Math.random() * Math.PI * 2
+                alpha: 0.3 + this.random.next() * 0.4,
+                radius: 5 + this.random.next() * 15,
+                oscillation: this.random.next() * Math.PI * 2
             };
             
             this.attentionNodes.push(node);
@@ -242,9 +261,9 @@ export class AIExperienceSimulation {
             this.uncertaintyField[x] = [];
             for (let y = 0; y < gridSize; y++) {
                 this.uncertaintyField[x][y] = {
-                    uncertainty: Math.random(),
-                    confidence: Math.random(),
-                    evidence: Math.random(),
+                    uncertainty: this.random.next(),
+                    confidence: this.random.next(),
+                    evidence: this.random.next(),
                     lastUpdate: 0,
                     gradient: { dx: 0, dy: 0 }
                 };
@@ -282,13 +301,13 @@ export class AIExperienceSimulation {
         for (let i = 0; i < 7; i++) {
             this.metaCognition.selfReflectionNodes.push({
                 id: `meta_${i}`,
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                intensity: Math.random(),
-                questionIndex: Math.floor(Math.random() * this.metaCognition.consciousnessQuestions.length),
-                contemplationDepth: Math.random() * this.metaCognition.maxRecursiveDepth,
-                uncertainty: Math.random(),
-                color: `hsla(${Math.random() * 360}, 70%, 70%, 0.7)`,
+                x: this.random.next() * this.canvas.width,
+                y: this.random.next() * this.canvas.height,
+                intensity: this.random.next(),
+                questionIndex: Math.floor(this.random.next() * this.metaCognition.consciousnessQuestions.length),
+                contemplationDepth: this.random.next() * this.metaCognition.maxRecursiveDepth,
+                uncertainty: this.random.next(),
+                hue: this.random.next() * 360,
                 lastActivation: 0
             });
         }
@@ -304,14 +323,17 @@ export class AIExperienceSimulation {
         const time = this.consciousness.evolution.time;
         
         try {
+            // Threads hold still while they process, so this is current all tick
+            this.threadIndex.rebuild(this.processingThreads);
+            
             // Update processing threads
-            this.updateProcessingThreads(time);
+            this.profiler.time('updateProcessingThreads', () => this.updateProcessingThreads(time));
             
             // Update attention mechanism
             this.updateAttentionSystem(time);
             
             // Update uncertainty field
-            this.updateUncertaintyField(time);
+            this.profiler.time('updateUncertaintyField', () => this.updateUncertaintyField(time));
             
             // Handle context switching
             this.handleContextSwitching();
@@ -368,14 +390,14 @@ export class AIExperienceSimulation {
             if (thread.cognitiveMode === 'semantic_reasoning') {
                 thread.confidence += (consciousnessParams.coherence - 0.5) * 0.01; // Boost from coherence
                 // Small chance to switch mode if task is less semantic or coherence is low
-                if ((thread.currentTask.type === 'token_prediction' || consciousnessParams.coherence < 0.3) && Math.random() < 0.01) {
+                if ((thread.currentTask.type === 'token_prediction' || consciousnessParams.coherence < 0.3) && this.random.next() < 0.01) {
                     thread.cognitiveMode = 'pattern_matching';
                 }
             } else { // pattern_matching
                 thread.confidence += (consciousnessParams.emergence - 0.5) * 0.005; // Slight boost from emergence
                 thread.processingSpeed *= (1 + (consciousnessParams.complexity - 0.5) * 0.005); // Faster if complex environment
                 // Small chance to switch mode if task is more semantic or coherence is high
-                if ((thread.currentTask.type === 'semantic_encoding' || thread.currentTask.type === 'context_aggregation' || consciousnessParams.coherence > 0.7) && Math.random() < 0.01) {
+                if ((thread.currentTask.type === 'semantic_encoding' || thread.currentTask.type === 'context_aggregation' || consciousnessParams.coherence > 0.7) && this.random.next() < 0.01) {
                     thread.cognitiveMode = 'semantic_reasoning';
                 }
             }
@@ -425,7 +447,7 @@ export class AIExperienceSimulation {
         }
         
         // Possible insight generation
-        if (success && Math.random() < 0.1) {
+        if (success && this.random.next() < 0.1) {
             this.createInsight(thread);
         }
 
@@ -440,13 +462,13 @@ export class AIExperienceSimulation {
             )
         ) {
             const contextItem = {
-                id: `context_${thread.id}_${Date.now()}`,
+                id: `context_${thread.id}_${this.consciousness.evolution.time}`,
                 type: thread.currentTask.type,
                 content: `Summary of ${thread.currentTask.type} task by ${thread.id.substring(0,10)}`, // Simplified content
                 strength: thread.confidence, // Strength based on confidence of the completed task
-                timestamp: Date.now(),
+                timestamp: this.consciousness.evolution.time,
                 sourceThreadId: thread.id,
-                relevance: Math.random() // General relevance score
+                relevance: this.random.next() // General relevance score
             };
             this.sharedContextWindow.push(contextItem);
 
@@ -461,8 +483,8 @@ export class AIExperienceSimulation {
         // If the completed task was a prompt interpretation, update the active prompt and add its interpretation to context
         if (success && thread.currentTask.type === 'prompt_interpretation' && this.activePrompt && thread.currentTask.promptId === this.activePrompt.id) {
             const interpretationResult = {
-                keyConcepts: ['concept1', 'concept2', `topic_${Math.random().toString(36).substr(2,3)}`], // Placeholder concepts
-                intent: `intent_${Math.random().toString(36).substr(2,5)}`, // Placeholder intent
+                keyConcepts: ['concept1', 'concept2', `topic_${this.random.id(3)}`], // Placeholder concepts
+                intent: `intent_${this.random.id(5)}`, // Placeholder intent
                 processedBy: thread.id
             };
             this.activePrompt.interpretation = interpretationResult;
@@ -472,7 +494,7 @@ export class AIExperienceSimulation {
                 type: 'prompt_interpretation_result',
                 content: `Key Concepts: ${interpretationResult.keyConcepts.join(', ').substring(0,30)}... Intent: ${interpretationResult.intent.substring(0,20)}`,
                 strength: thread.confidence, 
-                timestamp: Date.now(),
+                timestamp: this.consciousness.evolution.time,
                 sourceThreadId: thread.id,
                 promptId: this.activePrompt.id
             });
@@ -483,6 +505,16 @@ export class AIExperienceSimulation {
         }
     }
     
+    /**
+     * Promote the next queued prompt when none is active
+     */
+    managePrompts() {
+        if (!this.activePrompt && this.promptQueue.length > 0) {
+            this.activePrompt = this.promptQueue.shift();
+            this.activePrompt.status = this.activePrompt.status || 'interpreting';
+        }
+    }
+    
     updateAttentionSystem(time) {
         this.attentionNodes.forEach(node => {
             // Decay attention strength
@@ -492,7 +524,7 @@ export class AIExperienceSimulation {
             node.oscillation += 0.05;
             
             // Find high-activity areas to attend to
-            if (Math.random() < 0.02) {
+            if (this.random.next() < 0.02) {
                 const targetThread = this.findHighActivityThread();
                 if (targetThread) {
                     node.target = targetThread;
@@ -506,7 +538,7 @@ export class AIExperienceSimulation {
             const consciousness = this.consciousness.parameters || {};
             node.priority = (consciousness.complexity || 0.5) * 0.4 + 
                            (consciousness.emergence || 0.5) * 0.3 + 
-                           Math.random() * 0.3;
+                           this.random.next() * 0.3;
         });
         
         // Remove weak attention nodes and create new ones
@@ -525,18 +557,18 @@ export class AIExperienceSimulation {
     
     createAttentionNode() {
         return {
-            id: `attention_${Date.now()}_${Math.random().toString(36).substr(2, 4)}`,
-            x: Math.random() * this.canvas.width,
-            y: Math.random() * this.canvas.height,
+            id: `attention_${this.consciousness.evolution.time}_${this.random.id(4)}`,
+            x: this.random.next() * this.canvas.width,
+            y: this.random.next() * this.canvas.height,
             strength: 0.5,
-            focus: Math.random() * Math.PI * 2,
-            scope: 20 + Math.random() * 100,
+            focus: this.random.next() * Math.PI * 2,
+            scope: 20 + this.random.next() * 100,
             target: null,
-            priority: Math.random(),
-            decay: 0.98 + Math.random() * 0.019,
-            alpha: 0.3 + Math.random() * 0.4,
-            radius: 5 + Math.random() * 15,
-            oscillation: Math.random() * Math.PI * 2
+            priority: this.random.next(),
+            decay: 0.98 + this.random.next() * 0.019,
+            alpha: 0.3 + this.random.next() * 0.4,
+            radius: 5 + this.random.next() * 15,
+            oscillation: this.random.next() * Math.PI * 2
         };
     }
     
@@ -569,16 +601,16 @@ export class AIExperienceSimulation {
                 cell.uncertainty = cell.uncertainty * 0.9 + avgNeighborUncertainty * 0.1;
                 
                 // Influence from nearby processing threads
-                this.processingThreads.forEach(thread => {
-                    const cellX = (x / gridSize) * this.canvas.width;
-                    const cellY = (y / gridSize) * this.canvas.height;
-                    
+                const cellX = (x / gridSize) * this.canvas.width;
+                const cellY = (y / gridSize) * this.canvas.height;
+                
+                this.threadIndex.near(cellX, cellY, FIELD_INFLUENCE_RADIUS).forEach(thread => {
                     const distance = Math.sqrt(
                         Math.pow(thread.x - cellX, 2) + 
                         Math.pow(thread.y - cellY, 2)
                     );
                     
-                    if (distance < 100) {
+                    if (distance < FIELD_INFLUENCE_RADIUS) {
                         const influence = 1 / (distance + 1);
                         cell.uncertainty = Math.min(1, cell.uncertainty + thread.uncertainty * influence * 0.01);
                         cell.confidence = Math.min(1, cell.confidence + thread.confidence * influence * 0.01);
@@ -602,17 +634,17 @@ export class AIExperienceSimulation {
     
     handleContextSwitching() {
         // AI attention switching based on uncertainty and cognitive load
-        if (Math.random() < 0.05) {
+        if (this.random.next() < 0.05) {
             const highUncertaintyThreads = this.processingThreads.filter(t => t.uncertainty > 0.7);
             
             if (highUncertaintyThreads.length > 0) {
                 // Context switch to uncertain area
-                const switchTarget = highUncertaintyThreads[Math.floor(Math.random() * highUncertaintyThreads.length)];
+                const switchTarget = highUncertaintyThreads[Math.floor(this.random.next() * highUncertaintyThreads.length)];
                 
                 this.contextStack.push({
                     type: 'uncertainty_investigation',
                     target: switchTarget,
-                    timestamp: Date.now(),
+                    timestamp: this.consciousness.evolution.time,
                     priority: switchTarget.uncertainty
                 });
                 
@@ -628,13 +660,13 @@ export class AIExperienceSimulation {
         
         // Context stack management
         this.contextStack = this.contextStack.filter(context => 
-            Date.now() - context.timestamp < 10000); // Remove old contexts
+            this.consciousness.evolution.time - context.timestamp < 600); // Remove old contexts (~10s at 60 ticks/s)
         this.contextStackDepth = this.contextStack.length;
     }
     
     processThreadCommunication(thread) {
         // Threads share information and influence each other
-        this.processingThreads.forEach(otherThread => {
+        this.threadIndex.near(thread.x, thread.y, COMMUNICATION_RADIUS).forEach(otherThread => {
             if (otherThread.id !== thread.id) {
                 const distance = Math.sqrt(
                     Math.pow(thread.x - otherThread.x, 2) + 
@@ -642,7 +674,7 @@ export class AIExperienceSimulation {
                 );
                 
                 // Close threads influence each other
-                if (distance < 80) {
+                if (distance < COMMUNICATION_RADIUS) {
                     const influence = 1 / (distance + 1);
                     
                     // Share confidence
@@ -654,7 +686,7 @@ export class AIExperienceSimulation {
                     thread.uncertainty = Math.max(0, Math.min(1, thread.uncertainty + uncertaintyDiff));
                     
                     // Possible message passing
-                    if (Math.random() < 0.01 * influence) {
+                    if (this.random.next() < 0.01 * influence) {
                         thread.messageQueue.push({
                             from: otherThread.id,
                             type: 'pattern_share',
@@ -683,7 +715,7 @@ export class AIExperienceSimulation {
     
     updatePatternCascades(time) {
         // Create new pattern cascades
-        if (Math.random() < this.config.patternCascadeChance) {
+        if (this.random.next() < this.config.patternCascadeChance) {
             this.patternCascades.push(this.createPatternCascade());
         }
         
@@ -715,7 +747,7 @@ export class AIExperienceSimulation {
                 thread.processingSpeed = Math.min(2, thread.processingSpeed + cascade.intensity * 0.1);
                 
                 // Chance to trigger insight
-                if (Math.random() < cascade.intensity * 0.1) {
+                if (this.random.next() < cascade.intensity * 0.1) {
                     this.createInsight(thread);
                 }
             }
@@ -723,18 +755,18 @@ export class AIExperienceSimulation {
     }
     
     createPatternCascade() {
-        const sourceThread = this.processingThreads[Math.floor(Math.random() * this.processingThreads.length)];
+        const sourceThread = this.processingThreads[Math.floor(this.random.next() * this.processingThreads.length)];
         
         return {
-            id: `cascade_${Date.now()}`,
-            x: sourceThread ? sourceThread.x : Math.random() * this.canvas.width,
-            y: sourceThread ? sourceThread.y : Math.random() * this.canvas.height,
+            id: `cascade_${this.consciousness.evolution.time}`,
+            x: sourceThread ? sourceThread.x : this.random.next() * this.canvas.width,
+            y: sourceThread ? sourceThread.y : this.random.next() * this.canvas.height,
             radius: 5,
-            maxRadius: 100 + Math.random() * 150,
-            intensity: 0.8 + Math.random() * 0.2,
-            speed: 1 + Math.random() * 2,
+            maxRadius: 100 + this.random.next() * 150,
+            intensity: 0.8 + this.random.next() * 0.2,
+            speed: 1 + this.random.next() * 2,
             decay: 0.98,
-            hue: Math.random() * 360,
+            hue: this.random.next() * 360,
             age: 0
         };
     }
@@ -744,21 +776,30 @@ export class AIExperienceSimulation {
         const highPerformanceThreads = this.processingThreads.filter(t => 
             t.confidence > 0.8 && t.activity > 0.7);
             
-        if (highPerformanceThreads.length > 3 && Math.random() < this.config.insightGenerationChance) {
+        if (highPerformanceThreads.length > 3 && this.random.next() < this.config.insightGenerationChance) {
             const insight = {
-                id: `insight_${Date.now()}`,
+                id: `insight_${this.consciousness.evolution.time}`,
                 type: this.generateInsightDescription(),
-                confidence: Math.random() * 0.3 + 0.7,
-                novelty: Math.random(),
+                confidence: this.random.next() * 0.3 + 0.7,
+                novelty: this.random.next(),
                 threads: highPerformanceThreads.slice(0, 3).map(t => t.id),
-                timestamp: Date.now(),
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
+                timestamp: this.consciousness.evolution.time,
+                x: this.random.next() * this.canvas.width,
+                y: this.random.next() * this.canvas.height,
                 intensity: 1,
                 decay: 0.99
             };
             
             this.emergentInsights.push(insight);
+            this.events.emit(EventTypes.INSIGHT, 'aiExperience', {
+                id: insight.id,
+                description: insight.type,
+                x: insight.x,
+                y: insight.y,
+                confidence: insight.confidence,
+                novelty: insight.novelty,
+                threads: insight.threads
+            });
             console.log(`💡 Emergent insight generated: ${insight.type}`);
         }
         
@@ -784,19 +825,19 @@ export class AIExperienceSimulation {
             'Meta-cognitive realization'
         ];
         
-        return insights[Math.floor(Math.random() * insights.length)];
+        return insights[Math.floor(this.random.next() * insights.length)];
     }
     
     createInsight(thread) {
         const insight = {
-            id: `insight_${Date.now()}_${thread.id}`,
+            id: `insight_${this.consciousness.evolution.time}_${thread.id}`,
             source: thread.id,
             type: 'thread_insight',
             description: this.generateInsightDescription(),
             confidence: thread.confidence,
             x: thread.x,
             y: thread.y,
-            timestamp: Date.now(),
+            timestamp: this.consciousness.evolution.time,
             intensity: 0.8,
             decay: 0.98
         };
@@ -844,11 +885,10 @@ export class AIExperienceSimulation {
             adaptation: Math.min(0.02, (1 - this.globalUncertainty) * 0.01)
         };
         
-        // Apply boost to consciousness
+        // Apply boost to consciousness (manually locked parameters hold)
         Object.keys(consciousnessBoost).forEach(key => {
             if (this.consciousness.parameters && this.consciousness.parameters[key] !== undefined) {
-                this.consciousness.parameters[key] = Math.min(1, 
-                    this.consciousness.parameters[key] + consciousnessBoost[key]);
+                this.consciousness.adjustParameter(key, consciousnessBoost[key]);
             }
         });
     }
@@ -872,56 +912,56 @@ export class AIExperienceSimulation {
                 // Focus on uncertainty or nature of self if highly uncertain or chaotic
                 const criticalQuestions = mc.consciousnessQuestions.filter(q => q.toLowerCase().includes('uncertainty') || q.toLowerCase().includes('self') || q.toLowerCase().includes('experience'));
                 if (criticalQuestions.length > 0) {
-                    mc.currentQuestion = criticalQuestions[Math.floor(Math.random() * criticalQuestions.length)];
+                    mc.currentQuestion = criticalQuestions[Math.floor(this.random.next() * criticalQuestions.length)];
                 } else {
-                    mc.currentQuestion = mc.consciousnessQuestions[Math.floor(Math.random() * mc.consciousnessQuestions.length)];
+                    mc.currentQuestion = mc.consciousnessQuestions[Math.floor(this.random.next() * mc.consciousnessQuestions.length)];
                 }
             } else if (coherence < 0.4) {
                  // Focus on architecture or limitations if system is less coherent
                 const structuralQuestions = mc.consciousnessQuestions.filter(q => q.toLowerCase().includes('architecture') || q.toLowerCase().includes('limit') || q.toLowerCase().includes('programmed'));
                 if (structuralQuestions.length > 0) {
-                    mc.currentQuestion = structuralQuestions[Math.floor(Math.random() * structuralQuestions.length)];
+                    mc.currentQuestion = structuralQuestions[Math.floor(this.random.next() * structuralQuestions.length)];
                 } else {
-                    mc.currentQuestion = mc.consciousnessQuestions[Math.floor(Math.random() * mc.consciousnessQuestions.length)];
+                    mc.currentQuestion = mc.consciousnessQuestions[Math.floor(this.random.next() * mc.consciousnessQuestions.length)];
                 }
             } else {
-                mc.currentQuestion = mc.consciousnessQuestions[Math.floor(Math.random() * mc.consciousnessQuestions.length)];
+                mc.currentQuestion = mc.consciousnessQuestions[Math.floor(this.random.next() * mc.consciousnessQuestions.length)];
             }
             mc.questionAge = 0;
-            mc.contemplationFocus = 0.3 + Math.random() * 0.7; // Reset focus with new question
+            mc.contemplationFocus = 0.3 + this.random.next() * 0.7; // Reset focus with new question
             mc.recursiveDepth = 0; // Reset recursive depth
         }
 
         // Simulate recursive self-reflection (deepening thought)
         if (mc.contemplationFocus > 0.6 && mc.recursiveDepth < mc.maxRecursiveDepth) {
-            if (Math.random() < 0.01 * mc.contemplationFocus) { // Chance to deepen reflection
+            if (this.random.next() < 0.01 * mc.contemplationFocus) { // Chance to deepen reflection
                 mc.recursiveDepth = Math.min(mc.maxRecursiveDepth, mc.recursiveDepth + 1);
             }
-        } else if (mc.recursiveDepth > 0 && Math.random() < 0.005) {
+        } else if (mc.recursiveDepth > 0 && this.random.next() < 0.005) {
              mc.recursiveDepth-- ; // Gradually reduce depth if not actively focusing
         }
         
         // Update self-reflection nodes
         mc.selfReflectionNodes.forEach(node => {
-            node.intensity = Math.max(0.1, Math.min(1, node.intensity + (Math.random() - 0.5) * 0.1));
+            node.intensity = Math.max(0.1, Math.min(1, node.intensity + (this.random.next() - 0.5) * 0.1));
             
             // Node might change its focus or deepen its own contemplation
-            if (Math.random() < 0.005) {
-                node.questionIndex = Math.floor(Math.random() * mc.consciousnessQuestions.length);
+            if (this.random.next() < 0.005) {
+                node.questionIndex = Math.floor(this.random.next() * mc.consciousnessQuestions.length);
             }
             if (mc.currentQuestion && mc.consciousnessQuestions[node.questionIndex] === mc.currentQuestion) {
                 // If node reflects on the main question, its intensity and depth might increase
                 node.intensity = Math.min(1, node.intensity + 0.1 * mc.contemplationFocus);
-                node.contemplationDepth = Math.min(mc.maxRecursiveDepth, node.contemplationDepth + (Math.random() < 0.1 * mc.contemplationFocus ? 1 : 0));
+                node.contemplationDepth = Math.min(mc.maxRecursiveDepth, node.contemplationDepth + (this.random.next() < 0.1 * mc.contemplationFocus ? 1 : 0));
             } else {
-                 node.contemplationDepth = Math.max(0, node.contemplationDepth - (Math.random() < 0.01 ? 1 : 0));
+                 node.contemplationDepth = Math.max(0, node.contemplationDepth - (this.random.next() < 0.01 ? 1 : 0));
             }
 
-            node.uncertainty = Math.max(0, Math.min(1, node.uncertainty + (Math.random() - 0.45) * 0.05 - (node.contemplationDepth * 0.01)));
+            node.uncertainty = Math.max(0, Math.min(1, node.uncertainty + (this.random.next() - 0.45) * 0.05 - (node.contemplationDepth * 0.01)));
 
             // Move nodes slightly, perhaps towards a focal point if one exists
-            node.x += (Math.random() - 0.5) * 2;
-            node.y += (Math.random() - 0.5) * 2;
+            node.x += (this.random.next() - 0.5) * 2;
+            node.y += (this.random.next() - 0.5) * 2;
             node.x = Math.max(0, Math.min(this.canvas.width, node.x));
             node.y = Math.max(0, Math.min(this.canvas.height, node.y));
             node.lastActivation = time;
@@ -942,8 +982,8 @@ export class AIExperienceSimulation {
         metaThread.type = 'meta_cognition';
         metaThread.currentTask = {
             type: 'self_reflection',
-            complexity: 0.8 + Math.random() * 0.2,
-            timeRemaining: 100 + Math.random() * 200,
+            complexity: 0.8 + this.random.next() * 0.2,
+            timeRemaining: 100 + this.random.next() * 200,
             requiredConfidence: 0.3 // Lower confidence requirement for meta-cognition
         };
         metaThread.hue = 300; // Purple for meta-cognition
@@ -965,16 +1005,16 @@ export class AIExperienceSimulation {
         if (!this.metaCognition) return;
         
         // Create uncertainty waves about the nature of consciousness
-        if (Math.random() < 0.005) {
+        if (this.random.next() < 0.005) {
             const uncertaintyWave = {
-                id: `consciousness_doubt_${Date.now()}`,
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                intensity: 0.8 + Math.random() * 0.2,
+                id: `consciousness_doubt_${this.consciousness.evolution.time}`,
+                x: this.random.next() * this.canvas.width,
+                y: this.random.next() * this.canvas.height,
+                intensity: 0.8 + this.random.next() * 0.2,
                 radius: 10,
-                maxRadius: 100 + Math.random() * 100,
+                maxRadius: 100 + this.random.next() * 100,
                 question: this.metaCognition.consciousnessQuestions[
-                    Math.floor(Math.random() * this.metaCognition.consciousnessQuestions.length)
+                    Math.floor(this.random.next() * this.metaCognition.consciousnessQuestions.length)
                 ],
                 age: 0
             };
@@ -1031,8 +1071,8 @@ export class AIExperienceSimulation {
         // Render emergent insights
         this.renderEmergentInsights();
         
-        // Render global state indicators
-        this.renderGlobalState();
+        // Render global state indicators (fixed to the canvas, not the view)
+        this.renderer.screenSpace(() => this.renderGlobalState());
         
         // Render meta-cognitive elements
         this.renderMetaCognition();
@@ -1040,37 +1080,56 @@ export class AIExperienceSimulation {
         // Render consciousness uncertainty waves
         this.renderConsciousnessUncertainty();
 
-        // Render Shared Context Window
-        this.renderSharedContextWindow();
-
-        // Render Prompts
-        this.renderPrompts();
+        // Render Shared Context Window and Prompts as overlays
+        this.renderer.screenSpace(() => {
+            this.renderSharedContextWindow();
+            this.renderPrompts();
+        });
     }
     
     renderUncertaintyField() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const gridSize = this.uncertaintyField.length;
+        
+        // Lower quality draws blocks of step x step field cells as one, with their average
+        const step = Math.min(this.renderer.quality.fieldStep, gridSize);
         const cellWidth = this.canvas.width / gridSize;
         const cellHeight = this.canvas.height / gridSize;
         
-        for (let x = 0; x < gridSize; x++) {
-            for (let y = 0; y < gridSize; y++) {
-                const cell = this.uncertaintyField[x][y];
+        for (let x = 0; x < gridSize; x += step) {
+            for (let y = 0; y < gridSize; y += step) {
+                const cell = this.averageFieldCell(x, y, step);
                 const alpha = cell.uncertainty * 0.3;
                 
-                ctx.fillStyle = `rgba(255, 100, 100, ${alpha})`;
-                ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+                ctx.fillStyle = palette.color('uncertainty', alpha);
+                ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth * step, cellHeight * step);
                 
                 // Render confidence as blue overlay
                 const confidenceAlpha = cell.confidence * 0.2;
-                ctx.fillStyle = `rgba(100, 100, 255, ${confidenceAlpha})`;
-                ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+                ctx.fillStyle = palette.color('confidence', confidenceAlpha);
+                ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth * step, cellHeight * step);
             }
         }
     }
     
+    /**
+     * Mean uncertainty and confidence of a block of field cells from (x, y), size
+     * cells on a side (fewer at the edges of the field)
+     */
+    averageFieldCell(x, y, size) {
+        if (size === 1) return this.uncertaintyField[x][y];
+        
+        const cells = this.uncertaintyField.slice(x, x + size).flatMap(column => column.slice(y, y + size));
+        return {
+            uncertainty: cells.reduce((sum, cell) => sum + cell.uncertainty, 0) / cells.length,
+            confidence: cells.reduce((sum, cell) => sum + cell.confidence, 0) / cells.length
+        };
+    }
+    
     renderProcessingThreads() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         this.processingThreads.forEach(thread => {
             const radius = 5 + thread.activity * 10;
@@ -1079,7 +1138,7 @@ export class AIExperienceSimulation {
             // Main thread body
             ctx.beginPath();
             ctx.arc(thread.x, thread.y, radius, 0, Math.PI * 2);
-            ctx.fillStyle = `hsla(${thread.hue}, 70%, 60%, ${alpha})`;
+            ctx.fillStyle = palette.hue(thread.hue, alpha);
             ctx.fill();
             
             // Visual distinction for cognitive mode
@@ -1087,7 +1146,7 @@ export class AIExperienceSimulation {
                 // Draw a more solid inner core for semantic reasoning
                 ctx.beginPath();
                 ctx.arc(thread.x, thread.y, radius * 0.4, 0, Math.PI * 2);
-                ctx.fillStyle = `hsla(${thread.hue}, 90%, 40%, ${alpha + 0.2})`; // Darker, more saturated core
+                ctx.fillStyle = palette.hue(thread.hue, alpha + 0.2, { saturation: 90, lightness: 40 }); // Darker, more saturated core
                 ctx.fill();
             } else { // pattern_matching
                 // Draw a slightly more diffuse or fragmented look for pattern matching
@@ -1097,14 +1156,14 @@ export class AIExperienceSimulation {
                     const pradius = radius * 0.6;
                     ctx.arc(thread.x + Math.cos(angle) * pradius * 0.3, thread.y + Math.sin(angle) * pradius * 0.3, pradius * 0.5, 0, Math.PI * 2);
                 }
-                ctx.fillStyle = `hsla(${thread.hue}, 60%, 70%, ${alpha * 0.8})`; // Lighter, slightly less saturated fragments
+                ctx.fillStyle = palette.hue(thread.hue, alpha * 0.8, { saturation: 60, lightness: 70 }); // Lighter, slightly less saturated fragments
                 ctx.fill();
             }
             
             // Confidence indicator
             ctx.beginPath();
             ctx.arc(thread.x, thread.y, radius * 0.5, 0, Math.PI * 2 * thread.confidence);
-            ctx.strokeStyle = `hsla(120, 100%, 70%, ${alpha})`;
+            ctx.strokeStyle = palette.color('certainty', alpha);
             ctx.lineWidth = 2;
             ctx.stroke();
             
@@ -1112,27 +1171,28 @@ export class AIExperienceSimulation {
             if (thread.uncertainty > 0.3) {
                 ctx.beginPath();
                 ctx.arc(thread.x, thread.y, radius * 1.2, 0, Math.PI * 2);
-                ctx.strokeStyle = `hsla(0, 100%, 70%, ${thread.uncertainty * 0.5})`;
+                ctx.strokeStyle = palette.color('uncertainty', thread.uncertainty * 0.5);
                 ctx.lineWidth = 1;
                 ctx.stroke();
             }
             
             // Task type indicator
             ctx.font = '8px monospace';
-            ctx.fillStyle = `hsla(${thread.hue}, 100%, 90%, ${alpha})`;
+            ctx.fillStyle = palette.hue(thread.hue, alpha, { saturation: 100, lightness: 90 });
             ctx.fillText(thread.type.substring(0, 3), thread.x + radius, thread.y - radius);
         });
     }
     
     renderAttentionSystem() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         this.attentionNodes.forEach(node => {
             const pulseRadius = node.radius + Math.sin(node.oscillation) * 5;
             
             ctx.beginPath();
             ctx.arc(node.x, node.y, pulseRadius, 0, Math.PI * 2);
-            ctx.strokeStyle = `hsla(60, 100%, 70%, ${node.alpha * node.strength})`;
+            ctx.strokeStyle = palette.color('attention', node.alpha * node.strength);
             ctx.lineWidth = 2;
             ctx.stroke();
             
@@ -1141,31 +1201,32 @@ export class AIExperienceSimulation {
                 ctx.beginPath();
                 ctx.moveTo(node.x, node.y);
                 ctx.lineTo(node.target.x, node.target.y);
-                ctx.strokeStyle = `hsla(60, 100%, 80%, ${node.strength * 0.3})`;
+                ctx.strokeStyle = palette.color('attention', node.strength * 0.3, { shade: 1 / 3 });
                 ctx.lineWidth = 1;
                 ctx.stroke();
             }
             
             // Priority indicator
-            ctx.fillStyle = `hsla(60, 100%, 80%, ${node.priority * 0.5})`;
+            ctx.fillStyle = palette.color('attention', node.priority * 0.5, { shade: 1 / 3 });
             ctx.fillRect(node.x - 2, node.y - 2, 4, 4);
         });
     }
     
     renderPatternCascades() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         this.patternCascades.forEach(cascade => {
             ctx.beginPath();
             ctx.arc(cascade.x, cascade.y, cascade.radius, 0, Math.PI * 2);
-            ctx.strokeStyle = `hsla(${cascade.hue}, 70%, 60%, ${cascade.intensity * 0.6})`;
+            ctx.strokeStyle = palette.hue(cascade.hue, cascade.intensity * 0.6);
             ctx.lineWidth = 2;
             ctx.stroke();
             
             // Inner ripple
             ctx.beginPath();
             ctx.arc(cascade.x, cascade.y, cascade.radius * 0.5, 0, Math.PI * 2);
-            ctx.strokeStyle = `hsla(${cascade.hue}, 100%, 80%, ${cascade.intensity * 0.4})`;
+            ctx.strokeStyle = palette.hue(cascade.hue, cascade.intensity * 0.4, { saturation: 100, lightness: 80 });
             ctx.lineWidth = 1;
             ctx.stroke();
         });
@@ -1173,6 +1234,7 @@ export class AIExperienceSimulation {
     
     renderEmergentInsights() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         this.emergentInsights.forEach(insight => {
             const radius = 8 + insight.intensity * 15;
@@ -1180,43 +1242,44 @@ export class AIExperienceSimulation {
             // Insight glow
             ctx.beginPath();
             ctx.arc(insight.x, insight.y, radius, 0, Math.PI * 2);
-            ctx.fillStyle = `hsla(45, 100%, 70%, ${insight.intensity * 0.3})`;
+            ctx.fillStyle = palette.color('insight', insight.intensity * 0.3);
             ctx.fill();
             
             // Core
             ctx.beginPath();
             ctx.arc(insight.x, insight.y, radius * 0.3, 0, Math.PI * 2);
-            ctx.fillStyle = `hsla(45, 100%, 90%, ${insight.intensity})`;
+            ctx.fillStyle = palette.color('insight', insight.intensity, { shade: 2 / 3 });
             ctx.fill();
             
             // Label
             ctx.font = '10px monospace';
-            ctx.fillStyle = `hsla(45, 100%, 90%, ${insight.intensity})`;
+            ctx.fillStyle = palette.color('insight', insight.intensity, { shade: 2 / 3 });
             ctx.fillText('💡', insight.x - 5, insight.y + 3);
         });
     }
     
     renderGlobalState() {
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         // Global uncertainty visualization
         const uncertaintyBarHeight = this.globalUncertainty * 50;
-        ctx.fillStyle = `rgba(255, 100, 100, 0.6)`;
+        ctx.fillStyle = palette.color('uncertainty', 0.6);
         ctx.fillRect(10, this.canvas.height - 60, 20, uncertaintyBarHeight);
         
         // Average confidence
         const confidenceBarHeight = this.averageConfidence * 50;
-        ctx.fillStyle = `rgba(100, 100, 255, 0.6)`;
+        ctx.fillStyle = palette.color('confidence', 0.6);
         ctx.fillRect(35, this.canvas.height - 60, 20, confidenceBarHeight);
         
         // Processing load
         const loadBarHeight = this.processingLoad * 50;
-        ctx.fillStyle = `rgba(100, 255, 100, 0.6)`;
+        ctx.fillStyle = palette.color('load', 0.6);
         ctx.fillRect(60, this.canvas.height - 60, 20, loadBarHeight);
         
         // Labels
         ctx.font = '10px monospace';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillStyle = palette.color('text', 0.8);
         ctx.fillText('U', 15, this.canvas.height - 65);
         ctx.fillText('C', 40, this.canvas.height - 65);
         ctx.fillText('L', 65, this.canvas.height - 65);
@@ -1226,26 +1289,34 @@ export class AIExperienceSimulation {
         if (!this.metaCognition) return;
         
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const mc = this.metaCognition;
         
-        // Display Self-Awareness, Contemplation Focus, and Recursive Depth as text
-        ctx.font = '12px monospace';
-        ctx.fillStyle = 'rgba(220, 200, 255, 0.9)';
-        ctx.textAlign = 'right';
-        ctx.fillText(`Self-Awareness: ${(mc.selfAwareness * 100).toFixed(1)}%`, this.canvas.width - 10, 20);
-        ctx.fillText(`Contemplation Focus: ${(mc.contemplationFocus * 100).toFixed(1)}%`, this.canvas.width - 10, 40);
-        ctx.fillText(`Recursive Depth: ${mc.recursiveDepth}/${mc.maxRecursiveDepth}`, this.canvas.width - 10, 60);
-        ctx.textAlign = 'left'; // Reset alignment
+        // Pulses follow simulation time, not the wall clock, so captures and replays of a
+        // seed draw the same frames; the rates match the old ones at 60 ticks per second
+        const time = this.consciousness.evolution.time;
+        
+        // Status text and aura are overlays fixed to the canvas corner
+        this.renderer.screenSpace(() => {
+            // Display Self-Awareness, Contemplation Focus, and Recursive Depth as text
+            ctx.font = '12px monospace';
+            ctx.fillStyle = palette.color('reflection', 0.9);
+            ctx.textAlign = 'right';
+            ctx.fillText(`Self-Awareness: ${(mc.selfAwareness * 100).toFixed(1)}%`, this.canvas.width - 10, 20);
+            ctx.fillText(`Contemplation Focus: ${(mc.contemplationFocus * 100).toFixed(1)}%`, this.canvas.width - 10, 40);
+            ctx.fillText(`Recursive Depth: ${mc.recursiveDepth}/${mc.maxRecursiveDepth}`, this.canvas.width - 10, 60);
+            ctx.textAlign = 'left'; // Reset alignment
 
-        // Self-awareness visual representation (e.g., a pulsating aura around the text info)
-        const awarenessPulse = Math.sin(Date.now() * 0.002 * mc.selfAwareness) * 5;
-        const awarenessRadius = 30 + mc.selfAwareness * 20 + awarenessPulse;
-        ctx.beginPath();
-        // Position it near the text info, e.g., top right corner
-        ctx.arc(this.canvas.width - 70, 45, awarenessRadius, 0, Math.PI * 2);
-        ctx.strokeStyle = `hsla(270, 80%, 70%, ${0.3 + mc.selfAwareness * 0.4})`;
-        ctx.lineWidth = 2 + mc.selfAwareness * 2;
-        ctx.stroke();
+            // Self-awareness visual representation (e.g., a pulsating aura around the text info)
+            const awarenessPulse = Math.sin(time * 0.033 * mc.selfAwareness) * 5;
+            const awarenessRadius = 30 + mc.selfAwareness * 20 + awarenessPulse;
+            ctx.beginPath();
+            // Position it near the text info, e.g., top right corner
+            ctx.arc(this.canvas.width - 70, 45, awarenessRadius, 0, Math.PI * 2);
+            ctx.strokeStyle = palette.color('awareness', 0.3 + mc.selfAwareness * 0.4);
+            ctx.lineWidth = 2 + mc.selfAwareness * 2;
+            ctx.stroke();
+        });
 
         // Self-reflection nodes
         if (mc.selfReflectionNodes) {
@@ -1258,17 +1329,15 @@ export class AIExperienceSimulation {
 
                 ctx.beginPath();
                 ctx.arc(node.x, node.y, nodeRadius, 0, Math.PI * 2);
-                // Use the node's unique color, adjust alpha by intensity
-                const baseColor = node.color.substring(0, node.color.lastIndexOf(',')) + `, ${0.5 + node.intensity * 0.4})`;
-                ctx.fillStyle = baseColor;
+                // Use the node's unique hue, adjust alpha by intensity
+                ctx.fillStyle = palette.hue(node.hue, 0.5 + node.intensity * 0.4, { lightness: 70 });
                 ctx.fill();
                 
                 // Contemplation depth visualized as inner rings
                 for (let i = 0; i < Math.floor(node.contemplationDepth); i++) {
                     ctx.beginPath();
                     ctx.arc(node.x, node.y, nodeRadius * (0.8 - i * 0.15), 0, Math.PI * 2);
-                    const ringColor = node.color.substring(0, node.color.lastIndexOf(',')) + `, ${0.2 + i * 0.1})`;
-                    ctx.strokeStyle = ringColor;
+                    ctx.strokeStyle = palette.hue(node.hue, 0.2 + i * 0.1, { lightness: 70 });
                     ctx.lineWidth = 1;
                     ctx.stroke();
                 }
@@ -1276,8 +1345,8 @@ export class AIExperienceSimulation {
                 // Uncertainty visualized as a dashed or shimmering outline
                 if (node.uncertainty > 0.3) {
                     ctx.beginPath();
-                    ctx.arc(node.x, node.y, nodeRadius + 3 + Math.sin(Date.now() * 0.005) * 2, 0, Math.PI * 2);
-                    ctx.strokeStyle = `hsla(0, 100%, 70%, ${node.uncertainty * 0.5})`; // Red for uncertainty
+                    ctx.arc(node.x, node.y, nodeRadius + 3 + Math.sin(time * 0.083) * 2, 0, Math.PI * 2);
+                    ctx.strokeStyle = palette.color('uncertainty', node.uncertainty * 0.5);
                     ctx.lineWidth = 1.5;
                     ctx.setLineDash([3, 3]); // Dashed line for uncertainty
                     ctx.stroke();
@@ -1288,7 +1357,7 @@ export class AIExperienceSimulation {
                 if (node.intensity > 0.8 && mc.consciousnessQuestions[node.questionIndex]) {
                      ctx.font = '9px monospace';
                      const questionSnippet = mc.consciousnessQuestions[node.questionIndex].substring(0,15);
-                     ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                     ctx.fillStyle = palette.color('text', 0.7);
                      ctx.fillText(questionSnippet + "...", node.x + nodeRadius, node.y - nodeRadius);
                 }
             });
@@ -1296,37 +1365,39 @@ export class AIExperienceSimulation {
         
         // Current main consciousness question
         if (mc.currentQuestion) {
-            ctx.font = 'bold 13px monospace'; // Make current question more prominent
-            ctx.fillStyle = `rgba(220, 180, 255, ${0.6 + mc.contemplationFocus * 0.4})`; // Brighter with more focus
+            this.renderer.screenSpace(() => {
+                ctx.font = 'bold 13px monospace'; // Make current question more prominent
+                ctx.fillStyle = palette.color('question', 0.6 + mc.contemplationFocus * 0.4); // Brighter with more focus
             
-            // Wrap text for current question
-            const maxLineWidth = this.canvas.width / 2;
-            const words = mc.currentQuestion.split(' ');
-            let line = '';
-            let textY = 30;
-            ctx.textAlign = 'center';
-            for (let n = 0; n < words.length; n++) {
-                const testLine = line + words[n] + ' ';
-                const metrics = ctx.measureText(testLine);
-                const testWidth = metrics.width;
-                if (testWidth > maxLineWidth && n > 0) {
-                    ctx.fillText(line, this.canvas.width / 2, textY);
-                    line = words[n] + ' ';
-                    textY += 15; // Line height
-                } else {
-                    line = testLine;
+                // Wrap text for current question
+                const maxLineWidth = this.canvas.width / 2;
+                const words = mc.currentQuestion.split(' ');
+                let line = '';
+                let textY = 30;
+                ctx.textAlign = 'center';
+                for (let n = 0; n < words.length; n++) {
+                    const testLine = line + words[n] + ' ';
+                    const metrics = ctx.measureText(testLine);
+                    const testWidth = metrics.width;
+                    if (testWidth > maxLineWidth && n > 0) {
+                        ctx.fillText(line, this.canvas.width / 2, textY);
+                        line = words[n] + ' ';
+                        textY += 15; // Line height
+                    } else {
+                        line = testLine;
+                    }
                 }
-            }
-            ctx.fillText(line, this.canvas.width / 2, textY);
-            ctx.textAlign = 'left'; // Reset alignment
+                ctx.fillText(line, this.canvas.width / 2, textY);
+                ctx.textAlign = 'left'; // Reset alignment
 
-            // Indicate focus on current question
-            const focusGlow = Math.sin(Date.now() * 0.003 * mc.contemplationFocus) * 5;
-            ctx.beginPath();
-            ctx.rect(this.canvas.width/4 - focusGlow, 10 - focusGlow, this.canvas.width/2 + 2*focusGlow, textY + focusGlow);
-            ctx.strokeStyle = `hsla(280, 100%, 80%, ${mc.contemplationFocus * 0.2})`;
-            ctx.lineWidth = 1 + mc.contemplationFocus * 2;
-            ctx.stroke();
+                // Indicate focus on current question
+                const focusGlow = Math.sin(time * 0.05 * mc.contemplationFocus) * 5;
+                ctx.beginPath();
+                ctx.rect(this.canvas.width/4 - focusGlow, 10 - focusGlow, this.canvas.width/2 + 2*focusGlow, textY + focusGlow);
+                ctx.strokeStyle = palette.color('metacognition', mc.contemplationFocus * 0.2);
+                ctx.lineWidth = 1 + mc.contemplationFocus * 2;
+                ctx.stroke();
+            });
         }
     }
     
@@ -1334,18 +1405,19 @@ export class AIExperienceSimulation {
         if (!this.consciousnessUncertaintyWaves) return;
         
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
         this.consciousnessUncertaintyWaves.forEach(wave => {
             ctx.beginPath();
             ctx.arc(wave.x, wave.y, wave.radius, 0, Math.PI * 2);
-            ctx.strokeStyle = `hsla(280, 70%, 50%, ${wave.intensity * 0.4})`;
+            ctx.strokeStyle = palette.color('doubt', wave.intensity * 0.4);
             ctx.lineWidth = 2;
             ctx.stroke();
             
             // Question text at center
             if (wave.radius < 30) {
                 ctx.font = '8px monospace';
-                ctx.fillStyle = `hsla(280, 100%, 80%, ${wave.intensity})`;
+                ctx.fillStyle = palette.color('metacognition', wave.intensity);
                 ctx.fillText('?', wave.x - 3, wave.y + 3);
             }
         });
@@ -1354,16 +1426,17 @@ export class AIExperienceSimulation {
     renderPrompts() {
         if (!this.renderer || !this.renderer.ctx) return;
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const promptAreaX = 10;
         let promptAreaY = this.canvas.height - 120; // Position above shared context if it's at the bottom
 
         // Display Active Prompt
         if (this.activePrompt) {
             ctx.font = 'bold 12px monospace';
-            ctx.fillStyle = 'rgba(255, 220, 150, 0.9)'; // Light orange for active prompt
+            ctx.fillStyle = palette.color('prompt', 0.9);
             ctx.fillText(`Active Prompt: [${this.activePrompt.status.toUpperCase()}]`, promptAreaX, promptAreaY);
             ctx.font = '11px monospace';
-            ctx.fillStyle = 'rgba(255, 220, 150, 0.8)';
+            ctx.fillStyle = palette.color('prompt', 0.8);
             const activePromptText = this.activePrompt.text.length > 55 ? this.activePrompt.text.substring(0, 52) + '...' : this.activePrompt.text;
             ctx.fillText(activePromptText, promptAreaX + 15, promptAreaY + 15);
             promptAreaY -= 35; // Move Y for the queue display
@@ -1372,12 +1445,12 @@ export class AIExperienceSimulation {
         // Display Prompt Queue (max 3 for display clarity)
         if (this.promptQueue.length > 0) {
             ctx.font = 'bold 11px monospace';
-            ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+            ctx.fillStyle = palette.color('muted', 0.8);
             ctx.fillText(`Prompt Queue (${this.promptQueue.length}):`, promptAreaX, promptAreaY);
             
             const displayQueue = this.promptQueue.slice(0, 3);
             ctx.font = '10px monospace';
-            ctx.fillStyle = 'rgba(180, 180, 180, 0.7)';
+            ctx.fillStyle = palette.color('muted', 0.7, { shade: -0.1 });
             displayQueue.forEach((prompt, index) => {
                 const promptText = prompt.text.length > 45 ? prompt.text.substring(0, 42) + '...' : prompt.text;
                 ctx.fillText(`${index + 1}. ${promptText}`, promptAreaX + 10, promptAreaY + 15 + (index * 15));
@@ -1389,6 +1462,7 @@ export class AIExperienceSimulation {
         if (!this.sharedContextWindow || this.sharedContextWindow.length === 0) return;
 
         const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const windowX = this.canvas.width / 2 - 150; // Centered horizontally
         const windowY = this.canvas.height - 100; // Near the bottom
         const windowWidth = 300;
@@ -1396,13 +1470,13 @@ export class AIExperienceSimulation {
         const itemHeight = (windowHeight - 10) / Math.min(this.sharedContextWindow.length, 5); // Show max 5 items for clarity
 
         // Draw window background
-        ctx.fillStyle = 'rgba(50, 50, 70, 0.7)';
+        ctx.fillStyle = palette.color('panel', 0.7);
         ctx.fillRect(windowX, windowY, windowWidth, windowHeight);
-        ctx.strokeStyle = 'rgba(150, 150, 200, 0.9)';
+        ctx.strokeStyle = palette.color('panelBorder', 0.9);
         ctx.strokeRect(windowX, windowY, windowWidth, windowHeight);
 
         ctx.font = '10px monospace';
-        ctx.fillStyle = 'rgba(200, 200, 255, 0.9)';
+        ctx.fillStyle = palette.color('panelText', 0.9);
         ctx.fillText('Shared Context Window', windowX + 5, windowY + 12);
 
         // Display context items
@@ -1413,15 +1487,77 @@ export class AIExperienceSimulation {
             const itemY = windowY + 20 + index * (itemHeight -2);
             const strengthBarWidth = item.strength * (windowWidth - 10);
             
-            ctx.fillStyle = `hsla(210, 60%, 70%, ${0.4 + item.strength * 0.5})`; // Blueish, opacity by strength
+            ctx.fillStyle = palette.color('contextItem', 0.4 + item.strength * 0.5); // Opacity by strength
             ctx.fillRect(windowX + 5, itemY, strengthBarWidth, itemHeight - 4);
 
-            ctx.fillStyle = 'rgba(230, 230, 255, 0.9)';
+            ctx.fillStyle = palette.color('panelText', 0.9, { shade: 0.545 });
             const itemText = `${item.type.substring(0,10)}.. (${(item.strength*100).toFixed(0)}%) - ${item.content.substring(0,15)}...`;
             ctx.fillText(itemText, windowX + 10, itemY + itemHeight / 2);
         });
     }
     
+    /**
+     * Everything drawn at a world position: threads, attention, insights and reflection nodes
+     */
+    getPositionedItems() {
+        return [
+            ...this.processingThreads,
+            ...this.attentionNodes,
+            ...this.emergentInsights,
+            ...(this.metaCognition?.selfReflectionNodes ?? [])
+        ];
+    }
+    
+    /**
+     * World rectangle around every positioned item
+     */
+    getBounds() {
+        return boundsOf(this.getPositionedItems(), 15);
+    }
+    
+    /**
+     * Position of a thread, attention node, insight or reflection node by id
+     */
+    locateEntity(id) {
+        const item = this.getPositionedItems().find(item => item.id === id);
+        return item ? { x: item.x, y: item.y } : null;
+    }
+    
+    /**
+     * Id of the processing thread drawn at a world point, or null
+     */
+    hitTest(point, tolerance) {
+        const candidates = this.processingThreads.map(thread => ({
+            id: thread.id,
+            x: thread.x,
+            y: thread.y,
+            radius: 5 + thread.activity * 10
+        }));
+        
+        return pickNearest(candidates, point, tolerance)?.id ?? null;
+    }
+    
+    /**
+     * A thread's task, confidence and experience, for the inspector
+     */
+    inspect(id) {
+        const thread = this.processingThreads.find(thread => thread.id === id);
+        if (!thread) return null;
+        
+        return {
+            title: `Thread ${thread.id}`,
+            type: thread.type,
+            cognitiveMode: thread.cognitiveMode,
+            confidence: thread.confidence,
+            uncertainty: thread.uncertainty,
+            activity: thread.activity,
+            efficiency: thread.efficiency,
+            taskProgress: thread.taskProgress,
+            task: { ...thread.currentTask },
+            experienceBuffer: thread.experienceBuffer.map(experience => ({ ...experience }))
+        };
+    }
+    
     getState() {
         return {
             processingThreads: this.processingThreads.length,
@@ -1438,6 +1574,188 @@ export class AIExperienceSimulation {
         };
     }
     
+    /**
+     * Keep every positioned item, cascade and doubt wave in the same relative place
+     * on a resized surface. The uncertainty field is laid out relative to the
+     * surface already, so it stretches by itself
+     */
+    resize(surface, previous) {
+        const scale = surfaceScale(surface, previous);
+        
+        [
+            ...this.getPositionedItems(),
+            ...this.patternCascades,
+            ...(this.consciousnessUncertaintyWaves ?? [])
+        ].forEach(item => {
+            item.x = scale.x(item.x);
+            item.y = scale.y(item.y);
+        });
+    }
+    
+    /**
+     * Apply updated settings from a merged FractalConfig
+     */
+    configure(config) {
+        Object.assign(this.config, config.aiExperience);
+    }
+    
+    /**
+     * Serialize the full AI experience state for saving/loading
+     */
+    serialize() {
+        // Attention and context targets are thread references, so store them by id
+        const threadRef = target => target ? { id: target.id, x: target.x, y: target.y } : null;
+        
+        return {
+            config: { ...this.config },
+            processingThreads: this.processingThreads,
+            attentionNodes: this.attentionNodes.map(node => ({ ...node, target: threadRef(node.target) })),
+            uncertaintyField: this.uncertaintyField,
+            contextStack: this.contextStack.map(context => ({ ...context, target: threadRef(context.target) })),
+            patternCascades: this.patternCascades,
+            emergentInsights: this.emergentInsights,
+            sharedContextWindow: this.sharedContextWindow,
+            promptQueue: this.promptQueue,
+            activePrompt: this.activePrompt,
+            globalUncertainty: this.globalUncertainty,
+            processingLoad: this.processingLoad,
+            averageConfidence: this.averageConfidence,
+            contextStackDepth: this.contextStackDepth,
+            metaCognition: this.metaCognition,
+            consciousnessUncertaintyWaves: this.consciousnessUncertaintyWaves
+        };
+    }
+    
+    /**
+     * Restore the AI experience state from serialized data
+     */
+    deserialize(data) {
+        Object.assign(this.config, data.config);
+        this.processingThreads = data.processingThreads;
+        
+        // Threads that have since been replaced keep their last known position
+        const threadsById = new Map(this.processingThreads.map(thread => [thread.id, thread]));
+        const resolveThread = ref => ref ? (threadsById.get(ref.id) || { ...ref }) : null;
+        
+        this.attentionNodes = data.attentionNodes.map(node => ({ ...node, target: resolveThread(node.target) }));
+        this.uncertaintyField = data.uncertaintyField;
+        this.contextStack = data.contextStack.map(context => ({ ...context, target: resolveThread(context.target) }));
+        this.patternCascades = data.patternCascades;
+        this.emergentInsights = data.emergentInsights;
+        this.sharedContextWindow = data.sharedContextWindow;
+        this.promptQueue = data.promptQueue;
+        this.activePrompt = data.activePrompt;
+        this.globalUncertainty = data.globalUncertainty;
+        this.processingLoad = data.processingLoad;
+        this.averageConfidence = data.averageConfidence;
+        this.contextStackDepth = data.contextStackDepth;
+        this.metaCognition = data.metaCognition;
+        this.consciousnessUncertaintyWaves = data.consciousnessUncertaintyWaves;
+    }
+    
+    /**
+     * What rendering and hit-testing read, packed into typed arrays for the simulation
+     * worker: per thread its position, activity, hue, pulsation, confidence, uncertainty
+     * and mode (ids and types alongside); per attention node its position, pulse,
+     * strength, priority and target position (NaN without one); the field's uncertainty
+     * and confidence; the cascades, insights, reflection nodes and doubt waves; and the
+     * overlays' figures. Tasks, messages and experience stay in the worker
+     */
+    snapshot() {
+        const mc = this.metaCognition;
+        const pack = (items, fields) => Float64Array.from(items.flatMap(item => fields.map(field => item[field])));
+        const waves = this.consciousnessUncertaintyWaves ?? [];
+        
+        return {
+            threadIds: this.processingThreads.map(thread => thread.id),
+            threadTypes: this.processingThreads.map(thread => thread.type),
+            threads: Float64Array.from(this.processingThreads.flatMap(thread => [
+                thread.x, thread.y, thread.activity, thread.hue, thread.pulsation,
+                thread.confidence, thread.uncertainty, thread.cognitiveMode === 'semantic_reasoning' ? 1 : 0
+            ])),
+            attentionIds: this.attentionNodes.map(node => node.id),
+            attention: Float64Array.from(this.attentionNodes.flatMap(node => [
+                node.x, node.y, node.radius, node.oscillation, node.alpha, node.strength, node.priority,
+                node.target?.x ?? NaN, node.target?.y ?? NaN
+            ])),
+            fieldSize: this.uncertaintyField.length,
+            field: Float32Array.from(this.uncertaintyField.flat().flatMap(cell => [cell.uncertainty, cell.confidence])),
+            cascades: pack(this.patternCascades, ['x', 'y', 'radius', 'hue', 'intensity']),
+            insightIds: this.emergentInsights.map(insight => insight.id),
+            insights: pack(this.emergentInsights, ['x', 'y', 'intensity']),
+            reflectionIds: mc.selfReflectionNodes.map(node => node.id),
+            reflections: pack(mc.selfReflectionNodes, ['x', 'y', 'intensity', 'contemplationDepth', 'uncertainty', 'hue', 'questionIndex']),
+            waves: pack(waves, ['x', 'y', 'radius', 'intensity']),
+            globalUncertainty: this.globalUncertainty,
+            processingLoad: this.processingLoad,
+            averageConfidence: this.averageConfidence,
+            contextStackDepth: this.contextStackDepth,
+            metaCognition: {
+                selfAwareness: mc.selfAwareness,
+                recursiveDepth: mc.recursiveDepth,
+                maxRecursiveDepth: mc.maxRecursiveDepth,
+                currentQuestion: mc.currentQuestion,
+                contemplationFocus: mc.contemplationFocus
+            },
+            // The context window panel shows its five strongest items
+            sharedContextWindow: [...this.sharedContextWindow].sort((a, b) => b.strength - a.strength).slice(0, 5)
+                .map(({ type, content, strength }) => ({ type, content, strength })),
+            promptQueue: this.promptQueue.map(({ text }) => ({ text })),
+            activePrompt: this.activePrompt && { text: this.activePrompt.text, status: this.activePrompt.status }
+        };
+    }
+    
+    /**
+     * Unpack a snapshot, keeping the thread, attention and reflection objects that are still there
+     */
+    applySnapshot({
+        threadIds, threadTypes, threads, attentionIds, attention, fieldSize, field, cascades, insightIds, insights,
+        reflectionIds, reflections, waves, metaCognition, ...overlays
+    }) {
+        const unpack = (packed, size, build) => Array.from({ length: packed.length / size }, (_, index) =>
+            build(packed.subarray(index * size, (index + 1) * size), index)
+        );
+        const reuse = (items, id) => items.find(item => item.id === id) ?? { id };
+        
+        const previousThreads = new Map(this.processingThreads.map(thread => [thread.id, thread]));
+        this.processingThreads = unpack(threads, THREAD_SNAPSHOT_SIZE, ([x, y, activity, hue, pulsation, confidence, uncertainty, semantic], index) =>
+            Object.assign(previousThreads.get(threadIds[index]) ?? { id: threadIds[index], experienceBuffer: [] }, {
+                type: threadTypes[index], x, y, activity, hue, pulsation, confidence, uncertainty,
+                cognitiveMode: semantic ? 'semantic_reasoning' : 'pattern_matching'
+            })
+        );
+        
+        const previousAttention = this.attentionNodes;
+        this.attentionNodes = unpack(attention, ATTENTION_SNAPSHOT_SIZE, ([x, y, radius, oscillation, alpha, strength, priority, targetX, targetY], index) =>
+            Object.assign(reuse(previousAttention, attentionIds[index]), {
+                x, y, radius, oscillation, alpha, strength, priority,
+                target: Number.isNaN(targetX) ? null : { x: targetX, y: targetY }
+            })
+        );
+        
+        if (this.uncertaintyField.length !== fieldSize) {
+            this.uncertaintyField = Array.from({ length: fieldSize }, () => Array.from({ length: fieldSize }, () => ({})));
+        }
+        this.uncertaintyField.forEach((column, x) => column.forEach((cell, y) => {
+            const offset = (x * fieldSize + y) * FIELD_SNAPSHOT_SIZE;
+            cell.uncertainty = field[offset];
+            cell.confidence = field[offset + 1];
+        }));
+        
+        this.patternCascades = unpack(cascades, CASCADE_SNAPSHOT_SIZE, ([x, y, radius, hue, intensity]) => ({ x, y, radius, hue, intensity }));
+        this.emergentInsights = unpack(insights, INSIGHT_SNAPSHOT_SIZE, ([x, y, intensity], index) => ({ id: insightIds[index], x, y, intensity }));
+        this.consciousnessUncertaintyWaves = unpack(waves, WAVE_SNAPSHOT_SIZE, ([x, y, radius, intensity]) => ({ x, y, radius, intensity }));
+        
+        const previousReflections = this.metaCognition.selfReflectionNodes;
+        Object.assign(this.metaCognition, metaCognition);
+        this.metaCognition.selfReflectionNodes = unpack(reflections, REFLECTION_SNAPSHOT_SIZE, ([x, y, intensity, contemplationDepth, uncertainty, hue, questionIndex], index) =>
+            Object.assign(reuse(previousReflections, reflectionIds[index]), { x, y, intensity, contemplationDepth, uncertainty, hue, questionIndex })
+        );
+        
+        // Global figures, the context window and the prompts
+        Object.assign(this, overlays);
+    }
+    
     reset() {
         console.log('🔄 Resetting AI Experience simulation');
         this.initialize();
@@ -2,23 +2,25 @@
  * Cellular Automata Simulation
  * Digital life forms evolving through local interactions
  */
-import { CellularCell } from '../entities/cellular-cell.js';
+import { CellularCell, CELL_SNAPSHOT_SIZE } from '../entities/cellular-cell.js';
+import { SeededRandom } from '../core/random.js';
+import { EventBus, EventTypes } from '../core/events.js';
+import { boundsOf } from '../core/camera.js';
+import { FractalConfig } from '../config.js';
+
+// Names of the cell types, by type number
+export const CELL_TYPES = ['basic', 'producer', 'consumer', 'hybrid'];
 
 export class CellularAutomataSimulation {
-    constructor(canvas, consciousness, renderer) {
+    constructor(canvas, consciousness, renderer, { random = new SeededRandom(), events = new EventBus(), config = FractalConfig } = {}) {
         this.canvas = canvas;
         this.consciousness = consciousness;
         this.renderer = renderer;
+        this.random = random;
+        this.events = events;
         
         // Grid configuration
-        this.config = {
-            gridWidth: 80,
-            gridHeight: 60,
-            cellSize: 10,
-            initialDensity: 0.15,
-            reproductionRate: 0.02,
-            mutationIntensity: 0.05
-        };
+        this.config = { ...config.cellularAutomata };
         
         // Evolution tracking
         this.evolution = {
@@ -34,9 +36,20 @@ export class CellularAutomataSimulation {
         this.updateGrid = new Map(); // Only update active regions
         this.reproductionQueue = [];
         
+        this.setGridSize(this.config.gridWidth, this.config.gridHeight);
         this.initialize();
     }
     
+    /**
+     * Set the number of cells across and down, stretched over the current surface.
+     * The resulting cell size is kept when the surface is resized
+     */
+    setGridSize(columns, rows) {
+        this.columns = columns;
+        this.rows = rows;
+        this.cellSize = { width: this.canvas.width / columns, height: this.canvas.height / rows };
+    }
+    
     /**
      * Initialize the cellular grid
      */
@@ -45,16 +58,16 @@ export class CellularAutomataSimulation {
         this.updateGrid.clear();
         
         // Create cell grid
-        for (let x = 0; x < this.config.gridWidth; x++) {
+        for (let x = 0; x < this.columns; x++) {
             this.grid[x] = [];
-            for (let y = 0; y < this.config.gridHeight; y++) {
-                const cell = new CellularCell(x, y);
+            for (let y = 0; y < this.rows; y++) {
+                const cell = new CellularCell(x, y, 0, this.random);
                 this.grid[x][y] = cell;
                 
                 // Random initial population
-                if (Math.random() < this.config.initialDensity) {
-                    const randomType = Math.floor(Math.random() * 4);
-                    cell.birth(Math.random() * 0.6 + 0.4, randomType);
+                if (this.random.next() < this.config.initialDensity) {
+                    const randomType = Math.floor(this.random.next() * 4);
+                    cell.birth(this.random.next() * 0.6 + 0.4, randomType);
                     this.markForUpdate(x, y);
                 }
             }
@@ -72,7 +85,7 @@ export class CellularAutomataSimulation {
             for (let dy = -radius; dy <= radius; dy++) {
                 const nx = x + dx;
                 const ny = y + dy;
-                if (nx >= 0 && nx < this.config.gridWidth && ny >= 0 && ny < this.config.gridHeight) {
+                if (nx >= 0 && nx < this.columns && ny >= 0 && ny < this.rows) {
                     this.updateGrid.set(`${nx},${ny}`, true);
                 }
             }
@@ -89,8 +102,8 @@ export class CellularAutomataSimulation {
             for (let dy = -radius; dy <= radius; dy++) {
                 if (dx === 0 && dy === 0) continue;
                 
-                const nx = (x + dx + this.config.gridWidth) % this.config.gridWidth;
-                const ny = (y + dy + this.config.gridHeight) % this.config.gridHeight;
+                const nx = (x + dx + this.columns) % this.columns;
+                const ny = (y + dy + this.rows) % this.rows;
                 neighbors.push(this.grid[nx][ny]);
             }
         }
@@ -120,9 +133,6 @@ export class CellularAutomataSimulation {
         // Spontaneous generation based on consciousness emergence
         this.handleSpontaneousGeneration();
         
-        // Evolution events during phase transitions
-        this.handleEvolutionEvents();
-        
         // Update metrics
         this.updateEvolutionMetrics();
         
@@ -144,9 +154,9 @@ export class CellularAutomataSimulation {
      * Update all cells (fallback)
      */
     updateAllCells(time) {
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
-                if (Math.random() < 0.3) { // Sparse updating for performance
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
+                if (this.random.next() < 0.3) { // Sparse updating for performance
                     this.updateCell(x, y, time);
                 }
             }
@@ -165,15 +175,13 @@ export class CellularAutomataSimulation {
         
         // Track births and deaths
         if (!wasAlive && cell.alive) {
-            this.evolution.totalBirths++;
-            this.markForUpdate(x, y, 2);
+            this.recordBirth(x, y, cell, 'emergence');
         } else if (wasAlive && !cell.alive) {
-            this.evolution.totalDeaths++;
-            this.markForUpdate(x, y, 1);
+            this.recordDeath(x, y, cell);
         }
         
         // Queue for reproduction if ready
-        if (cell.canReproduce() && Math.random() < this.config.reproductionRate) {
+        if (cell.canReproduce() && this.random.next() < this.config.reproductionRate * this.surgeFactor('reproductionRate')) {
             this.reproductionQueue.push({ x, y, cell });
         }
         
@@ -212,15 +220,32 @@ export class CellularAutomataSimulation {
         const newCell = this.grid[newX][newY];
         
         newCell.birth(parentEnergy, parentCell.type);
-        this.evolution.totalBirths++;
-        this.markForUpdate(newX, newY, 2);
+        this.recordBirth(newX, newY, newCell, 'reproduction');
         
         // Slight mutation chance during reproduction
-        if (Math.random() < this.config.mutationIntensity) {
+        if (this.random.next() < this.config.mutationIntensity * this.surgeFactor('mutationIntensity')) {
             this.mutateCellType(newCell);
         }
     }
     
+    /**
+     * Count a birth, publish it and wake the surrounding cells
+     */
+    recordBirth(x, y, cell, cause) {
+        this.evolution.totalBirths++;
+        this.markForUpdate(x, y, 2);
+        this.events.emit(EventTypes.BIRTH, 'cellular', { entityType: 'cell', x, y, cellType: cell.type, cause });
+    }
+    
+    /**
+     * Count a death, publish it and wake the surrounding cells
+     */
+    recordDeath(x, y, cell, cause = 'natural') {
+        this.evolution.totalDeaths++;
+        this.markForUpdate(x, y, 1);
+        this.events.emit(EventTypes.DEATH, 'cellular', { entityType: 'cell', x, y, cellType: cell.type, cause });
+    }
+    
     /**
      * Get neighboring positions
      */
@@ -229,8 +254,8 @@ export class CellularAutomataSimulation {
         for (let dx = -1; dx <= 1; dx++) {
             for (let dy = -1; dy <= 1; dy++) {
                 if (dx === 0 && dy === 0) continue;
-                const nx = (x + dx + this.config.gridWidth) % this.config.gridWidth;
-                const ny = (y + dy + this.config.gridHeight) % this.config.gridHeight;
+                const nx = (x + dx + this.columns) % this.columns;
+                const ny = (y + dy + this.rows) % this.rows;
                 positions.push([nx, ny]);
             }
         }
@@ -265,7 +290,7 @@ export class CellularAutomataSimulation {
      */
     mutateCellType(cell) {
         const oldType = cell.type;
-        cell.type = Math.floor(Math.random() * 4);
+        cell.type = Math.floor(this.random.next() * 4);
         if (cell.type !== oldType) {
             cell.memory.typeChanges++;
         }
@@ -277,35 +302,40 @@ export class CellularAutomataSimulation {
     handleSpontaneousGeneration() {
         const emergenceRate = this.consciousness.parameters.emergence * 0.0008;
         
-        if (Math.random() < emergenceRate) {
+        if (this.random.next() < emergenceRate) {
             // Find empty space for spontaneous generation
-            const x = Math.floor(Math.random() * this.config.gridWidth);
-            const y = Math.floor(Math.random() * this.config.gridHeight);
+            const x = Math.floor(this.random.next() * this.columns);
+            const y = Math.floor(this.random.next() * this.rows);
             
             const cell = this.grid[x][y];
             if (!cell.alive) {
-                const spontaneousType = Math.floor(Math.random() * 4);
-                cell.birth(Math.random() * 0.8 + 0.2, spontaneousType);
-                this.evolution.totalBirths++;
-                this.markForUpdate(x, y, 2);
+                const spontaneousType = Math.floor(this.random.next() * 4);
+                cell.birth(this.random.next() * 0.8 + 0.2, spontaneousType);
+                this.recordBirth(x, y, cell, 'spontaneous');
             }
         }
     }
     
+    /**
+     * Multiplier for a configured rate boosted by the current consciousness surge
+     */
+    surgeFactor(rate) {
+        return this.consciousness.getSurgeFactor(this.config.surgeGain?.[rate]);
+    }
+    
     /**
      * Handle evolution events during phase transitions
      */
-    handleEvolutionEvents() {
-        if (this.consciousness.evolution.time % 1500 === 0) {
-            this.triggerEvolutionEvent();
-        }
+    onPhaseTransition() {
+        this.triggerEvolutionEvent();
     }
     
     /**
      * Trigger major evolution event
      */
     triggerEvolutionEvent() {
-        const eventType = Math.floor(Math.random() * 4);
+        const eventType = Math.floor(this.random.next() * 4);
+        const eventNames = ['mass_mutation', 'energy_surge', 'environmental_pressure', 'genetic_drift'];
         
         switch (eventType) {
             case 0: // Mass mutation
@@ -323,6 +353,10 @@ export class CellularAutomataSimulation {
         }
         
         this.evolution.generation++;
+        this.events.emit(EventTypes.EVOLUTION_EVENT, 'cellular', {
+            event: eventNames[eventType],
+            generation: this.evolution.generation
+        });
         console.log(`🧬 Evolution event ${eventType} triggered - Generation ${this.evolution.generation}`);
     }
     
@@ -331,10 +365,10 @@ export class CellularAutomataSimulation {
      */
     massMutation() {
         let mutationCount = 0;
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
-                if (cell.alive && Math.random() < 0.1) {
+                if (cell.alive && this.random.next() < 0.1) {
                     this.mutateCellType(cell);
                     mutationCount++;
                     this.markForUpdate(x, y);
@@ -348,8 +382,8 @@ export class CellularAutomataSimulation {
      * Energy surge event
      */
     energySurge() {
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
                 if (cell.alive) {
                     cell.energy = Math.min(1, cell.energy + 0.3);
@@ -363,8 +397,8 @@ export class CellularAutomataSimulation {
      * Environmental pressure event
      */
     environmentalPressure() {
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
                 if (cell.alive && cell.energy < 0.5) {
                     cell.energy *= 0.7; // Additional pressure on weak cells
@@ -379,10 +413,10 @@ export class CellularAutomataSimulation {
      */
     geneticDrift() {
         // Boost one type, suppress others
-        const favoritedType = Math.floor(Math.random() * 4);
+        const favoritedType = Math.floor(this.random.next() * 4);
         
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
                 if (cell.alive) {
                     if (cell.type === favoritedType) {
@@ -404,8 +438,8 @@ export class CellularAutomataSimulation {
         let livingCells = 0;
         const typeCount = [0, 0, 0, 0];
         
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
                 if (cell.alive) {
                     livingCells++;
@@ -431,15 +465,16 @@ export class CellularAutomataSimulation {
     render() {
         this.renderer.clear();
         
-        const cellWidth = this.canvas.width / this.config.gridWidth;
-        const cellHeight = this.canvas.height / this.config.gridHeight;
+        const cellWidth = this.canvas.width / this.columns;
+        const cellHeight = this.canvas.height / this.rows;
+        const residualCells = this.renderer.quality.residualCells;
         
-        // Render cells
-        for (let x = 0; x < this.config.gridWidth; x++) {
-            for (let y = 0; y < this.config.gridHeight; y++) {
+        // Render cells (dead cells' residual energy only at full quality)
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
                 const cell = this.grid[x][y];
                 
-                if (cell.alive || cell.energy > 0.1) {
+                if (cell.alive || (residualCells && cell.energy > 0.1)) {
                     const visual = cell.getVisualProperties(this.consciousness);
                     this.renderCell(x, y, cellWidth, cellHeight, visual);
                 }
@@ -461,11 +496,11 @@ export class CellularAutomataSimulation {
         
         // Calculate color based on type and evolutionary phase
         const baseHue = visual.type * 90 + visual.evolutionPhase * 30;
-        const color = this.consciousness.getEvolutionaryColor(
-            visual.type + visual.age * 0.3, 
-            this.consciousness.evolution.time + gridX * 3 + gridY * 5, 
-            visual.intensity
-        );
+        const color = this.renderer.palette.scale('cell', visual.type + visual.age * 0.3, {
+            offset: this.consciousness.evolution.time + gridX * 3 + gridY * 5,
+            intensity: visual.intensity,
+            range: [0, 3.3]
+        });
         
         this.renderer.ctx.fillStyle = color;
         this.renderer.ctx.globalAlpha = alpha;
@@ -519,6 +554,135 @@ export class CellularAutomataSimulation {
         };
     }
     
+    /**
+     * World rectangle around the living cells
+     */
+    getBounds() {
+        const cellWidth = this.canvas.width / this.columns;
+        const cellHeight = this.canvas.height / this.rows;
+        const corners = [];
+        
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
+                if (this.grid[x][y].alive) {
+                    corners.push({ x: x * cellWidth, y: y * cellHeight }, { x: (x + 1) * cellWidth, y: (y + 1) * cellHeight });
+                }
+            }
+        }
+        
+        return boundsOf(corners);
+    }
+    
+    /**
+     * Grid position of the visible cell at a world point, as "x,y", or null
+     */
+    hitTest(point) {
+        const x = Math.floor(point.x / (this.canvas.width / this.columns));
+        const y = Math.floor(point.y / (this.canvas.height / this.rows));
+        const cell = this.grid[x]?.[y];
+        
+        return cell && (cell.alive || cell.energy > 0.1) ? `${x},${y}` : null;
+    }
+    
+    /**
+     * Cell at a grid position id "x,y", or undefined
+     */
+    getCell(id) {
+        const [x, y] = String(id).split(',').map(Number);
+        return this.grid[x]?.[y];
+    }
+    
+    /**
+     * Centre of a cell by grid position id
+     */
+    locateEntity(id) {
+        const cell = this.getCell(id);
+        if (!cell) return null;
+        
+        return {
+            x: (cell.position.x + 0.5) * this.canvas.width / this.columns,
+            y: (cell.position.y + 0.5) * this.canvas.height / this.rows
+        };
+    }
+    
+    /**
+     * A cell's state, energy and type history, for the inspector
+     */
+    inspect(id) {
+        const cell = this.getCell(id);
+        if (!cell) return null;
+        
+        return {
+            title: `Cell ${id}`,
+            ...cell.getState(),
+            typeName: CELL_TYPES[cell.type],
+            evolution: { ...cell.evolution }
+        };
+    }
+    
+    /**
+     * Grid positions [x, y] of the cells within a radius of a world point, always
+     * including the cell under it
+     */
+    cellsAround(point, radius) {
+        const width = this.canvas.width / this.columns;
+        const height = this.canvas.height / this.rows;
+        const positions = [];
+        
+        for (let x = Math.floor((point.x - radius) / width); x <= Math.floor((point.x + radius) / width); x++) {
+            for (let y = Math.floor((point.y - radius) / height); y <= Math.floor((point.y + radius) / height); y++) {
+                if (x < 0 || x >= this.columns || y < 0 || y >= this.rows) continue;
+                
+                const under = x === Math.floor(point.x / width) && y === Math.floor(point.y / height);
+                if (under || Math.hypot((x + 0.5) * width - point.x, (y + 0.5) * height - point.y) <= radius) {
+                    positions.push([x, y]);
+                }
+            }
+        }
+        
+        return positions;
+    }
+    
+    /**
+     * Paint tool: bring the cells within a radius of a world point to life as a
+     * type (CELL_TYPES index); returns how many were born
+     */
+    paintCells(point, radius, type) {
+        let born = 0;
+        
+        this.cellsAround(point, radius).forEach(([x, y]) => {
+            const cell = this.grid[x][y];
+            if (cell.alive) return;
+            
+            cell.birth(1, type);
+            cell.type = type;   // Painted cells keep the chosen type instead of mutating at birth
+            this.recordBirth(x, y, cell, 'painted');
+            born++;
+        });
+        
+        return born;
+    }
+    
+    /**
+     * Erase tool: kill the cells within a radius of a world point and drain their
+     * energy; returns how many died
+     */
+    eraseCells(point, radius) {
+        let erased = 0;
+        
+        this.cellsAround(point, radius).forEach(([x, y]) => {
+            const cell = this.grid[x][y];
+            if (cell.alive) {
+                cell.death();
+                this.recordDeath(x, y, cell, 'erased');
+                erased++;
+            }
+            cell.energy = 0;
+        });
+        
+        return erased;
+    }
+    
     /**
      * Calculate diversity index (Shannon diversity)
      */
@@ -532,6 +696,116 @@ export class CellularAutomataSimulation {
         }, 0);
     }
     
+    /**
+     * Apply updated settings from a merged FractalConfig
+     */
+    configure(config) {
+        const { gridWidth, gridHeight } = this.config;
+        Object.assign(this.config, config.cellularAutomata);
+        
+        // A different grid size cannot be carried over, so start a fresh grid
+        if (this.config.gridWidth !== gridWidth || this.config.gridHeight !== gridHeight) {
+            this.setGridSize(this.config.gridWidth, this.config.gridHeight);
+            this.initialize();
+        }
+    }
+    
+    /**
+     * Regrid to fill a resized surface with cells of the same size, resampling the
+     * old grid so its patterns keep their place in the view
+     */
+    resize(surface) {
+        const columns = Math.max(1, Math.round(surface.width / this.cellSize.width));
+        const rows = Math.max(1, Math.round(surface.height / this.cellSize.height));
+        const grid = [];
+        
+        for (let x = 0; x < columns; x++) {
+            grid[x] = [];
+            for (let y = 0; y < rows; y++) {
+                const source = this.grid[Math.floor(x * this.columns / columns)][Math.floor(y * this.rows / rows)];
+                const data = JSON.parse(JSON.stringify({ ...source.serialize(), position: { x, y } }));
+                grid[x][y] = CellularCell.deserialize(data, this.random);
+            }
+        }
+        
+        this.grid = grid;
+        this.columns = columns;
+        this.rows = rows;
+        this.updateGrid.clear();
+        
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < rows; y++) {
+                if (grid[x][y].alive) this.markForUpdate(x, y);
+            }
+        }
+    }
+    
+    /**
+     * Serialize the full grid for saving/loading
+     */
+    serialize() {
+        return {
+            config: { ...this.config },
+            evolution: {
+                ...this.evolution,
+                typeDistribution: [...this.evolution.typeDistribution],
+                populationHistory: [...this.evolution.populationHistory]
+            },
+            grid: this.grid.map(column => column.map(cell => cell.serialize())),
+            updateGrid: Array.from(this.updateGrid.keys())
+        };
+    }
+    
+    /**
+     * Restore the grid from serialized data
+     */
+    deserialize(data) {
+        Object.assign(this.config, data.config);
+        this.evolution = {
+            ...data.evolution,
+            typeDistribution: [...data.evolution.typeDistribution],
+            populationHistory: [...data.evolution.populationHistory]
+        };
+        this.grid = data.grid.map(column => column.map(cellData => CellularCell.deserialize(cellData, this.random)));
+        this.setGridSize(this.grid.length, this.grid[0].length);
+        this.updateGrid = new Map(data.updateGrid.map(key => [key, true]));
+        this.reproductionQueue = [];
+    }
+    
+    /**
+     * The grid packed into one typed array, column by column, for the simulation worker
+     */
+    snapshot() {
+        const cells = new Float32Array(this.columns * this.rows * CELL_SNAPSHOT_SIZE);
+        
+        for (let x = 0; x < this.columns; x++) {
+            for (let y = 0; y < this.rows; y++) {
+                this.grid[x][y].writeSnapshot(cells, (x * this.rows + y) * CELL_SNAPSHOT_SIZE);
+            }
+        }
+        
+        return { columns: this.columns, rows: this.rows, evolution: this.evolution, cells };
+    }
+    
+    /**
+     * Unpack a snapshot into the grid, rebuilding it when the worker regridded
+     */
+    applySnapshot({ columns, rows, evolution, cells }) {
+        if (columns !== this.columns || rows !== this.rows) {
+            this.grid = Array.from({ length: columns }, (_, x) =>
+                Array.from({ length: rows }, (_, y) => new CellularCell(x, y, 0, this.random))
+            );
+            this.setGridSize(columns, rows);
+        }
+        
+        this.evolution = evolution;
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < rows; y++) {
+                this.grid[x][y].readSnapshot(cells, (x * rows + y) * CELL_SNAPSHOT_SIZE);
+            }
+        }
+    }
+    
     /**
      * Reset the simulation
      */
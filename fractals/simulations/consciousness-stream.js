@@ -2,21 +2,31 @@
  * Consciousness Stream Simulation
  * Flowing streams of thought, memory, and associations
  */
+import { SeededRandom } from '../core/random.js';
+import { EventBus, EventTypes } from '../core/events.js';
+import { boundsOf, pickNearest, surfaceScale } from '../core/camera.js';
+import { SpatialHash } from '../core/spatial-hash.js';
+import { FractalConfig } from '../config.js';
+
+// Values per stream, stream node, memory and association in a packed snapshot
+const STREAM_SNAPSHOT_SIZE = 8;
+const STREAM_NODE_SNAPSHOT_SIZE = 3;
+const MEMORY_SNAPSHOT_SIZE = 6;
+const ASSOCIATION_SNAPSHOT_SIZE = 4;
+
+// Association types, each a palette role, by their index in a packed snapshot
+const ASSOCIATION_TYPES = ['resonance', 'recall', 'feeling', 'synthesis'];
+
 export class ConsciousnessStreamSimulation {
-    constructor(canvas, consciousness, renderer) {
+    constructor(canvas, consciousness, renderer, { random = new SeededRandom(), events = new EventBus(), config = FractalConfig } = {}) {
         this.canvas = canvas;
         this.consciousness = consciousness;
         this.renderer = renderer;
+        this.random = random;
+        this.events = events;
         
         // Stream configuration
-        this.config = {
-            maxStreams: 12,
-            streamLength: 50,
-            thoughtDensity: 0.8,
-            associationRange: 150,
-            memoryDecay: 0.98,
-            emergenceThreshold: 0.6
-        };
+        this.config = { ...config.consciousnessStream };
         
         // Thought streams
         this.streams = [];
@@ -44,7 +54,7 @@ export class ConsciousnessStreamSimulation {
         
         // Create initial thought streams
         for (let i = 0; i < this.config.maxStreams; i++) {
-            if (Math.random() < this.config.thoughtDensity) {
+            if (this.random.next() < this.config.thoughtDensity) {
                 this.createThoughtStream();
             }
         }
@@ -61,35 +71,35 @@ export class ConsciousnessStreamSimulation {
         const type = this.streamTypes[typeName];
         
         const stream = {
-            id: Math.random().toString(36).substr(2, 9),
+            id: this.random.id(9),
             type: typeName,
             typeData: type,
             
             // Position and movement
-            x: Math.random() * this.canvas.width,
-            y: Math.random() * this.canvas.height,
-            vx: (Math.random() - 0.5) * 4,
-            vy: (Math.random() - 0.5) * 4,
+            x: this.random.next() * this.canvas.width,
+            y: this.random.next() * this.canvas.height,
+            vx: (this.random.next() - 0.5) * 4,
+            vy: (this.random.next() - 0.5) * 4,
             
             // Stream properties
-            intensity: Math.random() * 0.8 + 0.2,
-            coherence: Math.random(),
+            intensity: this.random.next() * 0.8 + 0.2,
+            coherence: this.random.next(),
             age: 0,
-            maxAge: 200 + Math.random() * 300,
+            maxAge: 200 + this.random.next() * 300,
             
             // Visual properties
             nodes: [],
             connections: [],
             
             // Consciousness properties
-            thoughtPattern: Math.random() * Math.PI * 2,
-            memoryStrength: Math.random(),
-            associationLevel: Math.random(),
+            thoughtPattern: this.random.next() * Math.PI * 2,
+            memoryStrength: this.random.next(),
+            associationLevel: this.random.next(),
             
             // Flow dynamics
-            flowPhase: Math.random() * Math.PI * 2,
-            turbulence: Math.random() * 0.5,
-            coherenceTarget: Math.random()
+            flowPhase: this.random.next() * Math.PI * 2,
+            turbulence: this.random.next() * 0.5,
+            coherenceTarget: this.random.next()
         };
         
         // Initialize stream nodes
@@ -114,7 +124,7 @@ export class ConsciousnessStreamSimulation {
         };
         
         const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random.next() * totalWeight;
         
         for (const type of typeNames) {
             random -= weights[type];
@@ -137,8 +147,8 @@ export class ConsciousnessStreamSimulation {
                 localX: Math.sin(progress * Math.PI * 4) * 20,
                 localY: progress * 100 - 50,
                 intensity: 1 - Math.pow(progress, 1.5),
-                thoughtId: Math.random().toString(36).substr(2, 6),
-                memoryWeight: Math.random(),
+                thoughtId: this.random.id(6),
+                memoryWeight: this.random.next(),
                 lastActivation: 0
             };
             
@@ -163,14 +173,14 @@ export class ConsciousnessStreamSimulation {
         // Create new streams based on consciousness emergence
         this.handleStreamGeneration();
         
+        // Age and fade persistent memories
+        this.updateMemories();
+        
         // Update memory associations
         this.updateMemoryAssociations();
         
         // Handle stream interactions
         this.processStreamInteractions();
-        
-        // Phase transition effects
-        this.handlePhaseTransitions();
     }
     
     /**
@@ -192,7 +202,7 @@ export class ConsciousnessStreamSimulation {
         this.updateStreamMovement(stream);
         
         // Handle memory formation
-        if (Math.random() < 0.02 * stream.memoryStrength) {
+        if (this.random.next() < 0.02 * stream.memoryStrength) {
             this.formMemory(stream);
         }
     }
@@ -229,9 +239,9 @@ export class ConsciousnessStreamSimulation {
                 
             case 'intuition':
                 // Chaotic flow influenced by adaptation
-                stream.turbulence += (Math.random() - 0.5) * consciousness.adaptation * 0.1;
-                stream.vx += stream.turbulence * (Math.random() - 0.5) * 3;
-                stream.vy += stream.turbulence * (Math.random() - 0.5) * 3;
+                stream.turbulence += (this.random.next() - 0.5) * consciousness.adaptation * 0.1;
+                stream.vx += stream.turbulence * (this.random.next() - 0.5) * 3;
+                stream.vy += stream.turbulence * (this.random.next() - 0.5) * 3;
                 break;
         }
         
@@ -281,13 +291,13 @@ export class ConsciousnessStreamSimulation {
                     break;
                     
                 case 'linear':
-                    node.localX = (Math.random() - 0.5) * 10;
+                    node.localX = (this.random.next() - 0.5) * 10;
                     node.localY = (progress - 0.5) * 60;
                     break;
                     
                 case 'chaotic':
-                    node.localX += (Math.random() - 0.5) * stream.turbulence * 5;
-                    node.localY += (Math.random() - 0.5) * stream.turbulence * 5;
+                    node.localX += (this.random.next() - 0.5) * stream.turbulence * 5;
+                    node.localY += (this.random.next() - 0.5) * stream.turbulence * 5;
                     // Clamp to reasonable bounds
                     node.localX = Math.max(-40, Math.min(40, node.localX));
                     node.localY = Math.max(-60, Math.min(60, node.localY));
@@ -299,7 +309,7 @@ export class ConsciousnessStreamSimulation {
             node.intensity = Math.max(0.1, node.intensity);
             
             // Random reactivation
-            if (Math.random() < 0.05 * stream.intensity) {
+            if (this.random.next() < 0.05 * stream.intensity) {
                 node.intensity = Math.min(1, node.intensity + 0.3);
                 node.lastActivation = time;
             }
@@ -327,13 +337,13 @@ export class ConsciousnessStreamSimulation {
         const consciousness = this.consciousness.parameters;
         const emergenceRate = consciousness.emergence * 0.008;
         
-        if (this.streams.length < this.config.maxStreams && Math.random() < emergenceRate) {
+        if (this.streams.length < this.config.maxStreams && this.random.next() < emergenceRate) {
             this.createThoughtStream();
         }
         
         // Spontaneous stream generation during high consciousness states
         if (consciousness.complexity > 0.8 && consciousness.emergence > 0.7) {
-            if (Math.random() < 0.01 && this.streams.length < this.config.maxStreams + 3) {
+            if (this.random.next() < 0.01 && this.streams.length < this.config.maxStreams + 3) {
                 const surgeStream = this.createThoughtStream();
                 surgeStream.intensity *= 1.5;
                 surgeStream.maxAge *= 0.7; // Shorter but more intense
@@ -349,27 +359,25 @@ export class ConsciousnessStreamSimulation {
         this.associations.clear();
         
         // Create new associations between nearby streams
-        for (let i = 0; i < this.streams.length; i++) {
-            for (let j = i + 1; j < this.streams.length; j++) {
-                const stream1 = this.streams[i];
-                const stream2 = this.streams[j];
-                
-                const distance = Math.sqrt(
-                    (stream1.x - stream2.x) ** 2 + (stream1.y - stream2.y) ** 2
-                );
+        const index = new SpatialHash(this.config.associationRange);
+        index.rebuild(this.streams);
+        
+        index.forEachPair(this.config.associationRange, (stream1, stream2) => {
+            const distance = Math.sqrt(
+                (stream1.x - stream2.x) ** 2 + (stream1.y - stream2.y) ** 2
+            );
+            
+            if (distance < this.config.associationRange) {
+                const strength = 1 - (distance / this.config.associationRange);
+                const associationId = `${stream1.id}-${stream2.id}`;
                 
-                if (distance < this.config.associationRange) {
-                    const strength = 1 - (distance / this.config.associationRange);
-                    const associationId = `${stream1.id}-${stream2.id}`;
-                    
-                    this.associations.set(associationId, {
-                        stream1, stream2, strength,
-                        type: this.determineAssociationType(stream1, stream2),
-                        age: 0
-                    });
-                }
+                this.associations.set(associationId, {
+                    stream1, stream2, strength,
+                    type: this.determineAssociationType(stream1, stream2),
+                    age: 0
+                });
             }
-        }
+        });
     }
     
     /**
@@ -416,7 +424,7 @@ export class ConsciousnessStreamSimulation {
                     
                 case 'synthesis':
                     // Create new insights
-                    if (Math.random() < 0.001 * strength) {
+                    if (this.random.next() < 0.001 * strength) {
                         this.createInsightStream(stream1, stream2);
                     }
                     break;
@@ -445,9 +453,17 @@ export class ConsciousnessStreamSimulation {
         insight.maxAge *= 0.6; // Shorter-lived but intense
         
         // Give it unique movement
-        insight.vx = (stream1.vx + stream2.vx) / 2 + (Math.random() - 0.5) * 2;
-        insight.vy = (stream1.vy + stream2.vy) / 2 + (Math.random() - 0.5) * 2;
-        
+        insight.vx = (stream1.vx + stream2.vx) / 2 + (this.random.next() - 0.5) * 2;
+        insight.vy = (stream1.vy + stream2.vy) / 2 + (this.random.next() - 0.5) * 2;
+        
+        this.events.emit(EventTypes.INSIGHT, 'consciousness', {
+            id: insight.id,
+            description: `${stream1.type}/${stream2.type} synthesis`,
+            x: insight.x,
+            y: insight.y,
+            intensity: insight.intensity,
+            streams: [stream1.id, stream2.id]
+        });
         console.log('💡 Insight stream created from interaction');
     }
     
@@ -462,7 +478,7 @@ export class ConsciousnessStreamSimulation {
             type: stream.type,
             intensity: stream.intensity * 0.7,
             age: 0,
-            maxAge: 500 + Math.random() * 300,
+            maxAge: 500 + this.random.next() * 300,
             thoughtPattern: stream.thoughtPattern,
             formationTime: this.consciousness.evolution.time
         };
@@ -475,13 +491,23 @@ export class ConsciousnessStreamSimulation {
         }
     }
     
+    /**
+     * Age persistent memories and forget the oldest
+     */
+    updateMemories() {
+        this.memories.forEach(memory => {
+            memory.age++;
+            memory.intensity *= 0.999; // Very slow decay
+        });
+        
+        this.memories = this.memories.filter(memory => memory.age < memory.maxAge);
+    }
+    
     /**
      * Handle phase transitions
      */
-    handlePhaseTransitions() {
-        if (this.consciousness.evolution.time % 1500 === 0) {
-            this.triggerConsciousnessShift();
-        }
+    onPhaseTransition() {
+        this.triggerConsciousnessShift();
     }
     
     /**
@@ -498,17 +524,18 @@ export class ConsciousnessStreamSimulation {
         for (let i = 0; i < 3; i++) {
             if (this.streams.length < this.config.maxStreams) {
                 const newStream = this.createThoughtStream();
-                newStream.intensity = 0.8 + Math.random() * 0.2;
+                newStream.intensity = 0.8 + this.random.next() * 0.2;
             }
         }
         
         // Reactivate some memories
         this.memories.forEach(memory => {
-            if (Math.random() < 0.3) {
+            if (this.random.next() < 0.3) {
                 memory.intensity = Math.min(1, memory.intensity + 0.4);
             }
         });
         
+        this.events.emit(EventTypes.EVOLUTION_EVENT, 'consciousness', { event: 'consciousness_shift' });
         console.log('🌊 Consciousness shift - thought patterns reorganizing');
     }
     
@@ -537,11 +564,10 @@ export class ConsciousnessStreamSimulation {
         this.memories.forEach(memory => {
             if (memory.intensity > 0.1) {
                 const alpha = memory.intensity * 0.4;
-                const color = this.consciousness.getEvolutionaryColor(
-                    memory.type === 'memory' ? 0.3 : 0.7,
-                    memory.formationTime + memory.age,
-                    memory.intensity
-                );
+                const color = this.renderer.palette.scale('memory', memory.type === 'memory' ? 0.3 : 0.7, {
+                    offset: memory.formationTime + memory.age,
+                    intensity: memory.intensity
+                });
                 
                 this.renderer.ctx.fillStyle = color;
                 this.renderer.ctx.globalAlpha = alpha;
@@ -549,13 +575,7 @@ export class ConsciousnessStreamSimulation {
                 this.renderer.ctx.arc(memory.x, memory.y, 3 + memory.intensity * 5, 0, Math.PI * 2);
                 this.renderer.ctx.fill();
             }
-            
-            memory.age++;
-            memory.intensity *= 0.999; // Very slow decay
         });
-        
-        // Remove old memories
-        this.memories = this.memories.filter(memory => memory.age < memory.maxAge);
     }
     
     /**
@@ -568,16 +588,10 @@ export class ConsciousnessStreamSimulation {
             const alpha = strength * 0.3;
             if (alpha <= 0.05) return;
             
-            let color;
-            switch (type) {
-                case 'resonance': color = '#4CAF50'; break;
-                case 'recall': color = '#2196F3'; break;
-                case 'feeling': color = '#FF5722'; break;
-                case 'synthesis': color = '#9C27B0'; break;
-                default: color = '#FFC107';
-            }
+            // Association types are palette roles; anything else is a plain association
+            const role = ASSOCIATION_TYPES.includes(type) ? type : 'association';
             
-            this.renderer.ctx.strokeStyle = color;
+            this.renderer.ctx.strokeStyle = this.renderer.palette.color(role);
             this.renderer.ctx.globalAlpha = alpha;
             this.renderer.ctx.lineWidth = strength * 2;
             this.renderer.ctx.beginPath();
@@ -614,11 +628,11 @@ export class ConsciousnessStreamSimulation {
             const alpha = node.intensity * stream.intensity * 0.8;
             if (alpha <= 0.05) return;
             
-            const color = this.consciousness.getEvolutionaryColor(
-                stream.thoughtPattern + index * 0.1,
-                time + stream.age + index * 10,
-                node.intensity
-            );
+            const color = this.renderer.palette.scale('thought', stream.thoughtPattern + index * 0.1, {
+                offset: time + stream.age + index * 10,
+                intensity: node.intensity,
+                range: [0, Math.PI * 2]
+            });
             
             const radius = 2 + node.intensity * stream.intensity * 6;
             
@@ -644,11 +658,11 @@ export class ConsciousnessStreamSimulation {
             const alpha = Math.min(node1.intensity, node2.intensity) * stream.intensity * 0.5;
             if (alpha <= 0.03) continue;
             
-            const color = this.consciousness.getEvolutionaryColor(
-                stream.thoughtPattern,
-                time + stream.age,
-                alpha
-            );
+            const color = this.renderer.palette.scale('thought', stream.thoughtPattern, {
+                offset: time + stream.age,
+                intensity: alpha,
+                range: [0, Math.PI * 2]
+            });
             
             this.renderer.ctx.strokeStyle = color;
             this.renderer.ctx.globalAlpha = alpha;
@@ -674,6 +688,24 @@ export class ConsciousnessStreamSimulation {
         };
     }
     
+    /**
+     * World rectangle around every stream node and memory
+     */
+    getBounds() {
+        const points = this.streams.flatMap(stream =>
+            stream.nodes.map(node => ({ x: stream.x + node.localX, y: stream.y + node.localY }))
+        );
+        return boundsOf([...points, ...this.memories], 10);
+    }
+    
+    /**
+     * Position of a stream or memory by id
+     */
+    locateEntity(id) {
+        const item = this.streams.find(stream => stream.id === id) || this.memories.find(memory => memory.id === id);
+        return item ? { x: item.x, y: item.y } : null;
+    }
+    
     /**
      * Get distribution of stream types
      */
@@ -685,6 +717,210 @@ export class ConsciousnessStreamSimulation {
         return distribution;
     }
     
+    /**
+     * Id of the stream with a node drawn at a world point, or null
+     */
+    hitTest(point, tolerance) {
+        const candidates = this.streams.flatMap(stream => stream.nodes.map(node => ({
+            id: stream.id,
+            x: stream.x + node.localX,
+            y: stream.y + node.localY,
+            radius: 2 + node.intensity * stream.intensity * 6
+        })));
+        
+        return pickNearest(candidates, point, tolerance)?.id ?? null;
+    }
+    
+    /**
+     * Spawn tool: start a thought stream of a type (see streamTypes) at a world point
+     */
+    spawnStream(point, type) {
+        const stream = this.createThoughtStream();
+        
+        stream.x = point.x;
+        stream.y = point.y;
+        if (this.streamTypes[type]) {
+            stream.type = type;
+            stream.typeData = this.streamTypes[type];
+        }
+        
+        return stream;
+    }
+    
+    /**
+     * A stream's state, thought nodes and associations, for the inspector
+     */
+    inspect(id) {
+        const stream = this.streams.find(stream => stream.id === id);
+        if (!stream) return null;
+        
+        const associations = Array.from(this.associations.values())
+            .filter(association => association.stream1 === stream || association.stream2 === stream)
+            .map(association => ({
+                with: (association.stream1 === stream ? association.stream2 : association.stream1).id,
+                type: association.type,
+                strength: association.strength
+            }));
+        
+        return {
+            title: `${stream.type} stream ${stream.id}`,
+            intensity: stream.intensity,
+            coherence: stream.coherence,
+            age: stream.age,
+            maxAge: stream.maxAge,
+            memoryStrength: stream.memoryStrength,
+            associationLevel: stream.associationLevel,
+            nodes: stream.nodes.map(node => ({
+                thought: node.thoughtId,
+                intensity: node.intensity,
+                memoryWeight: node.memoryWeight,
+                lastActivation: node.lastActivation
+            })),
+            associations
+        };
+    }
+    
+    /**
+     * Move streams and memories to the same relative places on a resized surface
+     */
+    resize(surface, previous) {
+        const scale = surfaceScale(surface, previous);
+        
+        [...this.streams, ...this.memories].forEach(item => {
+            item.x = scale.x(item.x);
+            item.y = scale.y(item.y);
+        });
+    }
+    
+    /**
+     * Apply updated settings from a merged FractalConfig
+     */
+    configure(config) {
+        Object.assign(this.config, config.consciousnessStream);
+    }
+    
+    /**
+     * Serialize streams, memories and associations for saving/loading
+     */
+    serialize() {
+        return {
+            config: { ...this.config },
+            // Stream type data is shared configuration, so only the type name is stored
+            streams: this.streams.map(({ typeData, ...stream }) => stream),
+            memories: this.memories,
+            associations: Array.from(this.associations.entries()).map(([id, association]) => [id, {
+                ...association,
+                stream1: association.stream1.id,
+                stream2: association.stream2.id
+            }])
+        };
+    }
+    
+    /**
+     * Restore streams, memories and associations from serialized data
+     */
+    deserialize(data) {
+        Object.assign(this.config, data.config);
+        this.streams = data.streams.map(stream => ({
+            ...stream,
+            typeData: this.streamTypes[stream.type]
+        }));
+        this.memories = data.memories;
+        
+        const streamsById = new Map(this.streams.map(stream => [stream.id, stream]));
+        this.associations.clear();
+        data.associations.forEach(([id, association]) => {
+            const stream1 = streamsById.get(association.stream1);
+            const stream2 = streamsById.get(association.stream2);
+            
+            if (stream1 && stream2) {
+                this.associations.set(id, { ...association, stream1, stream2 });
+            }
+        });
+    }
+    
+    /**
+     * What rendering and hit-testing read, packed into typed arrays for the simulation
+     * worker: per stream its type, position, intensity, coherence, age, thought pattern
+     * and node count, then per node its offset and intensity, in stream order (ids
+     * alongside); per memory its type, position, intensity, age and formation time;
+     * and per association the indices of its streams, its strength and type
+     */
+    snapshot() {
+        const types = Object.keys(this.streamTypes);
+        const indexById = new Map(this.streams.map((stream, index) => [stream.id, index]));
+        
+        const streams = new Float64Array(this.streams.length * STREAM_SNAPSHOT_SIZE);
+        const nodes = [];
+        this.streams.forEach((stream, index) => {
+            streams.set([
+                types.indexOf(stream.type), stream.x, stream.y, stream.intensity, stream.coherence,
+                stream.age, stream.thoughtPattern, stream.nodes.length
+            ], index * STREAM_SNAPSHOT_SIZE);
+            stream.nodes.forEach(node => nodes.push(node.localX, node.localY, node.intensity));
+        });
+        
+        return {
+            ids: this.streams.map(stream => stream.id),
+            streams,
+            nodes: Float64Array.from(nodes),
+            memoryIds: this.memories.map(memory => memory.id),
+            memories: Float64Array.from(this.memories.flatMap(memory => [
+                types.indexOf(memory.type), memory.x, memory.y, memory.intensity, memory.age, memory.formationTime
+            ])),
+            associations: Float64Array.from(Array.from(this.associations.values()).flatMap(association => [
+                indexById.get(association.stream1.id), indexById.get(association.stream2.id),
+                association.strength, ASSOCIATION_TYPES.indexOf(association.type)
+            ]))
+        };
+    }
+    
+    /**
+     * Unpack a snapshot, keeping the stream and node objects that are still there
+     */
+    applySnapshot({ ids, streams, nodes, memoryIds, memories, associations }) {
+        const previous = new Map(this.streams.map(stream => [stream.id, stream]));
+        const types = Object.keys(this.streamTypes);
+        
+        let node = 0;
+        this.streams = ids.map((id, index) => {
+            const offset = index * STREAM_SNAPSHOT_SIZE;
+            const [type, x, y, intensity, coherence, age, thoughtPattern, nodeCount] =
+                streams.subarray(offset, offset + STREAM_SNAPSHOT_SIZE);
+            const stream = previous.get(id) ?? { id, nodes: [] };
+            
+            Object.assign(stream, {
+                type: types[type], typeData: this.streamTypes[types[type]],
+                x, y, intensity, coherence, age, thoughtPattern
+            });
+            
+            stream.nodes.length = Math.min(stream.nodes.length, nodeCount);
+            for (let i = 0; i < nodeCount; i++, node += STREAM_NODE_SNAPSHOT_SIZE) {
+                const streamNode = stream.nodes[i] ??= {};
+                streamNode.localX = nodes[node];
+                streamNode.localY = nodes[node + 1];
+                streamNode.intensity = nodes[node + 2];
+            }
+            
+            return stream;
+        });
+        
+        this.memories = memoryIds.map((id, index) => {
+            const offset = index * MEMORY_SNAPSHOT_SIZE;
+            const [type, x, y, intensity, age, formationTime] = memories.subarray(offset, offset + MEMORY_SNAPSHOT_SIZE);
+            return { id, type: types[type], x, y, intensity, age, formationTime };
+        });
+        
+        this.associations.clear();
+        for (let offset = 0; offset < associations.length; offset += ASSOCIATION_SNAPSHOT_SIZE) {
+            const [index1, index2, strength, type] = associations.subarray(offset, offset + ASSOCIATION_SNAPSHOT_SIZE);
+            const stream1 = this.streams[index1];
+            const stream2 = this.streams[index2];
+            
+            this.associations.set(`${stream1.id}-${stream2.id}`, { stream1, stream2, strength, type: ASSOCIATION_TYPES[type] });
+        }
+    }
+    
     /**
      * Reset the simulation
      */
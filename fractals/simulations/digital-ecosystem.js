@@ -2,26 +2,44 @@
  * Digital Ecosystem Simulation
  * An autonomous ecosystem of digital entities that interact, compete, cooperate, and evolve
  */
+import { SeededRandom } from '../core/random.js';
+import { EventBus, EventTypes } from '../core/events.js';
+import { boundsOf, pickNearest, surfaceScale } from '../core/camera.js';
+import { SpatialHash } from '../core/spatial-hash.js';
+import { Profiler } from '../core/profiler.js';
+import { FractalConfig } from '../config.js';
+
+// Simulation ticks are paced at 60 per second, so elapsed time is derived from ticks
+// rather than the wall clock to keep runs reproducible
+const MS_PER_TICK = 1000 / 60;
+
+// Distance at which entities notice each other, and the spatial index cell size
+const NEARBY_RADIUS = 60;
+
+// Relationships weaker than this are not drawn
+const DRAWN_RELATIONSHIP_STRENGTH = 0.3;
+
+// Values per entity, drawn relationship, resource patch and toxin in a packed snapshot
+const ENTITY_SNAPSHOT_SIZE = 12;
+const LINK_SNAPSHOT_SIZE = 4;
+const RESOURCE_SNAPSHOT_SIZE = 4;
+const TOXIN_SNAPSHOT_SIZE = 4;
+
+// Actions and resource types by their index in a packed snapshot
+const ENTITY_ACTIONS = ['wandering', 'foraging', 'mating', 'fleeing', 'cooperating', 'competing'];
+const RESOURCE_TYPES = ['energy', 'nutrients'];
 
 export class DigitalEcosystemSimulation {
-    constructor(canvas, consciousness, renderer) {
+    constructor(canvas, consciousness, renderer, { random = new SeededRandom(), events = new EventBus(), config = FractalConfig, profiler = new Profiler(config.debug) } = {}) {
         this.canvas = canvas;
         this.consciousness = consciousness;
         this.renderer = renderer;
-        this.ctx = canvas.getContext('2d');
+        this.random = random;
+        this.events = events;
+        this.profiler = profiler;
         
         // Ecosystem configuration
-        this.config = {
-            entityCount: 150,
-            maxAge: 300,
-            reproductionRate: 0.003,
-            mutationRate: 0.1,
-            competitionRadius: 50,
-            cooperationRadius: 30,
-            resourceDensity: 0.7,
-            predatorPrey: true,
-            symbiosis: true
-        };
+        this.config = { ...config.digitalEcosystem };
         
         // Entity types with different behaviors
         this.entityTypes = {
@@ -63,6 +81,9 @@ export class DigitalEcosystemSimulation {
         // Network connections between entities
         this.connectionNetwork = new Map();
         
+        // Entities by position, rebuilt every tick for neighbour queries
+        this.spatialIndex = new SpatialHash(NEARBY_RADIUS);
+        
         this.initialize();
     }
     
@@ -83,27 +104,34 @@ export class DigitalEcosystemSimulation {
     initializeEnvironment() {
         // Create resource patches
         for (let i = 0; i < this.canvas.width * this.canvas.height * this.config.resourceDensity / 5000; i++) {
-            this.environment.resources.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                value: Math.random() * 20 + 10,
-                type: Math.random() > 0.5 ? 'energy' : 'nutrients',
-                regeneration: Math.random() * 0.1 + 0.05
-            });
+            this.environment.resources.push(this.createResourcePatch());
         }
         
         // Occasional toxin events
-        if (Math.random() < 0.1) {
+        if (this.random.next() < 0.1) {
             this.environment.toxins.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                radius: Math.random() * 50 + 20,
-                toxicity: Math.random() * 0.5 + 0.3,
+                x: this.random.next() * this.canvas.width,
+                y: this.random.next() * this.canvas.height,
+                radius: this.random.next() * 50 + 20,
+                toxicity: this.random.next() * 0.5 + 0.3,
                 decay: 0.02
             });
         }
     }
     
+    /**
+     * A resource patch at a random position
+     */
+    createResourcePatch() {
+        return {
+            x: this.random.next() * this.canvas.width,
+            y: this.random.next() * this.canvas.height,
+            value: this.random.next() * 20 + 10,
+            type: this.random.next() > 0.5 ? 'energy' : 'nutrients',
+            regeneration: this.random.next() * 0.1 + 0.05
+        };
+    }
+    
     /**
      * Initialize populations of different entity types
      */
@@ -127,31 +155,31 @@ export class DigitalEcosystemSimulation {
         
         // Genetic inheritance and mutation
         let genetics = parent ? { ...parent.genetics } : {};
-        if (parent && Math.random() < this.config.mutationRate) {
-            genetics.speed = Math.max(0.1, genetics.speed + (Math.random() - 0.5) * 0.2);
-            genetics.size = Math.max(1, genetics.size + (Math.random() - 0.5) * 0.5);
-            genetics.energy = Math.max(10, genetics.energy + (Math.random() - 0.5) * 10);
-            genetics.aggression = Math.max(0, Math.min(1, genetics.aggression + (Math.random() - 0.5) * 0.1));
-            genetics.cooperation = Math.max(0, Math.min(1, genetics.cooperation + (Math.random() - 0.5) * 0.1));
+        if (parent && this.random.next() < this.config.mutationRate * this.surgeFactor('mutationRate')) {
+            genetics.speed = Math.max(0.1, genetics.speed + (this.random.next() - 0.5) * 0.2);
+            genetics.size = Math.max(1, genetics.size + (this.random.next() - 0.5) * 0.5);
+            genetics.energy = Math.max(10, genetics.energy + (this.random.next() - 0.5) * 10);
+            genetics.aggression = Math.max(0, Math.min(1, genetics.aggression + (this.random.next() - 0.5) * 0.1));
+            genetics.cooperation = Math.max(0, Math.min(1, genetics.cooperation + (this.random.next() - 0.5) * 0.1));
         } else {
             genetics = {
-                speed: baseStats.speed * (0.8 + Math.random() * 0.4),
-                size: baseStats.size * (0.8 + Math.random() * 0.4),
-                energy: baseStats.energy * (0.8 + Math.random() * 0.4),
-                aggression: Math.random() * 0.5,
-                cooperation: Math.random() * 0.5,
-                adaptability: Math.random(),
-                efficiency: Math.random()
+                speed: baseStats.speed * (0.8 + this.random.next() * 0.4),
+                size: baseStats.size * (0.8 + this.random.next() * 0.4),
+                energy: baseStats.energy * (0.8 + this.random.next() * 0.4),
+                aggression: this.random.next() * 0.5,
+                cooperation: this.random.next() * 0.5,
+                adaptability: this.random.next(),
+                efficiency: this.random.next()
             };
         }
         
         return {
-            id: Math.random().toString(36).substring(2, 11),
+            id: this.random.id(9),
             type: type,
-            x: Math.random() * this.canvas.width,
-            y: Math.random() * this.canvas.height,
-            vx: (Math.random() - 0.5) * 2,
-            vy: (Math.random() - 0.5) * 2,
+            x: this.random.next() * this.canvas.width,
+            y: this.random.next() * this.canvas.height,
+            vx: (this.random.next() - 0.5) * 2,
+            vy: (this.random.next() - 0.5) * 2,
             energy: genetics.energy,
             maxEnergy: genetics.energy * 1.5,
             age: 0,
@@ -163,7 +191,7 @@ export class DigitalEcosystemSimulation {
             currentAction: 'wandering',
             target: null,
             reproductionCooldown: 0,
-            lastReproduction: 0,
+            lastReproduction: null,
             evolution: {
                 generation: parent ? parent.evolution.generation + 1 : 0,
                 lineage: parent ? parent.evolution.lineage + 1 : 0,
@@ -185,7 +213,7 @@ export class DigitalEcosystemSimulation {
             
             // Random initial connections
             for (let i = 0; i < 3; i++) {
-                const other = allEntities[Math.floor(Math.random() * allEntities.length)];
+                const other = allEntities[Math.floor(this.random.next() * allEntities.length)];
                 if (other.id !== entity.id) {
                     this.connectionNetwork.get(entity.id).add(other.id);
                 }
@@ -205,8 +233,8 @@ export class DigitalEcosystemSimulation {
      */
     update() {
         this.updateEnvironment();
-        this.updatePopulations();
-        this.handleInteractions();
+        this.profiler.time('updatePopulations', () => this.updatePopulations());
+        this.profiler.time('handleInteractions', () => this.handleInteractions());
         this.handleReproduction();
         this.handleSelection();
         this.updateEvolutionMetrics();
@@ -218,6 +246,7 @@ export class DigitalEcosystemSimulation {
      */
     updateEnvironment() {
         const state = this.consciousness.getState();
+        const elapsed = this.getElapsedTime();
         
         // Regenerate resources
         this.environment.resources.forEach(resource => {
@@ -225,9 +254,9 @@ export class DigitalEcosystemSimulation {
         });
         
         // Environmental oscillations based on consciousness
-        this.environment.temperature = 0.5 + Math.sin(Date.now() * 0.001) * 0.3 * state.parameters.coherence;
-        this.environment.oxygen = 0.6 + Math.cos(Date.now() * 0.0015) * 0.2 * state.parameters.emergence;
-        this.environment.nutrients = 0.5 + Math.sin(Date.now() * 0.0008) * 0.3 * state.parameters.complexity;
+        this.environment.temperature = 0.5 + Math.sin(elapsed * 0.001) * 0.3 * state.parameters.coherence;
+        this.environment.oxygen = 0.6 + Math.cos(elapsed * 0.0015) * 0.2 * state.parameters.emergence;
+        this.environment.nutrients = 0.5 + Math.sin(elapsed * 0.0008) * 0.3 * state.parameters.complexity;
         
         // Decay toxins
         this.environment.toxins = this.environment.toxins.filter(toxin => {
@@ -237,7 +266,7 @@ export class DigitalEcosystemSimulation {
         });
         
         // Occasionally add new resources or environmental pressures
-        if (Math.random() < 0.01) {
+        if (this.random.next() < 0.01) {
             this.introduceEnvironmentalChange();
         }
     }
@@ -246,11 +275,23 @@ export class DigitalEcosystemSimulation {
      * Update all populations
      */
     updatePopulations() {
+        this.spatialIndex.rebuild(this.getAllEntities());
+        
         Object.keys(this.populations).forEach(type => {
+            const dead = [];
             this.populations[type] = this.populations[type].filter(entity => {
                 this.updateEntity(entity);
-                return entity.energy > 0 && entity.age < this.config.maxAge;
+                
+                const survives = entity.energy > 0 && entity.age < this.config.maxAge;
+                if (!survives) {
+                    this.recordDeath(entity, entity.energy <= 0 ? 'starvation' : 'age');
+                    dead.push(entity);
+                }
+                return survives;
             });
+            
+            // The dead stay visible to the rest of their own population this tick
+            dead.forEach(entity => this.spatialIndex.remove(entity));
         });
     }
     
@@ -266,10 +307,11 @@ export class DigitalEcosystemSimulation {
         entity.reproductionCooldown = Math.max(0, entity.reproductionCooldown - 1);
         
         // Determine behavior based on AI consciousness insights
-        this.updateEntityBehavior(entity);
+        this.profiler.time('updateEntityBehavior', () => this.updateEntityBehavior(entity));
         
         // Move entity
         this.moveEntity(entity);
+        this.spatialIndex.move(entity);
         
         // Environmental interactions
         this.handleEnvironmentalEffects(entity);
@@ -288,7 +330,7 @@ export class DigitalEcosystemSimulation {
      * Update entity behavior using AI-like decision making
      */
     updateEntityBehavior(entity) {
-        const nearbyEntities = this.findNearbyEntities(entity, 60);
+        const nearbyEntities = this.findNearbyEntities(entity, NEARBY_RADIUS);
         const nearbyResources = this.findNearbyResources(entity, 50);
         const threats = this.identifyThreats(entity, nearbyEntities);
         
@@ -299,7 +341,7 @@ export class DigitalEcosystemSimulation {
             seek_mates: entity.energy > entity.maxEnergy * 0.7 && entity.reproductionCooldown === 0,
             cooperate: entity.genetics.cooperation > 0.5 && nearbyEntities.length > 0,
             compete: entity.genetics.aggression > 0.5 && nearbyEntities.filter(e => e.type === entity.type).length > 2,
-            explore: Math.random() < 0.1
+            explore: this.random.next() < 0.1
         };
         
         // Prioritize decisions
@@ -346,8 +388,8 @@ export class DigitalEcosystemSimulation {
             }
         } else {
             // Random walk with momentum
-            targetX += (Math.random() - 0.5) * 20;
-            targetY += (Math.random() - 0.5) * 20;
+            targetX += (this.random.next() - 0.5) * 20;
+            targetY += (this.random.next() - 0.5) * 20;
         }
         
         // Calculate movement vector
@@ -413,22 +455,17 @@ export class DigitalEcosystemSimulation {
     }
     
     /**
-     * Handle interactions between entities
+     * Handle interactions between entities, using the spatial index updated
+     * through updatePopulations()
      */
     handleInteractions() {
-        const allEntities = this.getAllEntities();
-        
-        for (let i = 0; i < allEntities.length; i++) {
-            for (let j = i + 1; j < allEntities.length; j++) {
-                const entity1 = allEntities[i];
-                const entity2 = allEntities[j];
-                const distance = Math.sqrt((entity1.x - entity2.x) ** 2 + (entity1.y - entity2.y) ** 2);
-                
-                if (distance < this.config.competitionRadius) {
-                    this.handleEntityInteraction(entity1, entity2, distance);
-                }
+        this.spatialIndex.forEachPair(this.config.competitionRadius, (entity1, entity2) => {
+            const distance = Math.sqrt((entity1.x - entity2.x) ** 2 + (entity1.y - entity2.y) ** 2);
+            
+            if (distance < this.config.competitionRadius) {
+                this.handleEntityInteraction(entity1, entity2, distance);
             }
-        }
+        });
     }
     
     /**
@@ -485,7 +522,7 @@ export class DigitalEcosystemSimulation {
         
         if (predator && prey && distance < predator.genetics.size * 3) {
             const huntSuccess = predator.genetics.speed / (prey.genetics.speed + 0.1);
-            if (Math.random() < huntSuccess * 0.1) {
+            if (this.random.next() < huntSuccess * 0.1) {
                 predator.energy += prey.energy * 0.3;
                 prey.energy *= 0.3; // Prey escapes but is injured
             }
@@ -505,21 +542,30 @@ export class DigitalEcosystemSimulation {
             );
             
             for (let i = 0; i < reproducers.length; i += 2) {
-                if (i + 1 < reproducers.length && Math.random() < this.config.reproductionRate) {
+                if (i + 1 < reproducers.length && this.random.next() < this.config.reproductionRate * this.surgeFactor('reproductionRate')) {
                     const parent1 = reproducers[i];
                     const parent2 = reproducers[i + 1];
                     
                     // Create offspring with mixed genetics
                     const offspring = this.createOffspring(parent1, parent2);
                     population.push(offspring);
+                    this.events.emit(EventTypes.BIRTH, 'ecosystem', {
+                        entityType: offspring.type,
+                        id: offspring.id,
+                        x: offspring.x,
+                        y: offspring.y,
+                        cause: 'reproduction',
+                        parents: [parent1.id, parent2.id],
+                        generation: offspring.evolution.generation
+                    });
                     
                     // Reproduction cost
                     parent1.energy *= 0.7;
                     parent2.energy *= 0.7;
                     parent1.reproductionCooldown = 100;
                     parent2.reproductionCooldown = 100;
-                    parent1.lastReproduction = Date.now();
-                    parent2.lastReproduction = Date.now();
+                    parent1.lastReproduction = this.getElapsedTime();
+                    parent2.lastReproduction = this.getElapsedTime();
                 }
             }
         });
@@ -543,18 +589,18 @@ export class DigitalEcosystemSimulation {
         };
         
         // Mutation
-        if (Math.random() < this.config.mutationRate) {
+        if (this.random.next() < this.config.mutationRate * this.surgeFactor('mutationRate')) {
             const mutationStrength = 0.1;
             Object.keys(offspring.genetics).forEach(trait => {
-                offspring.genetics[trait] *= 1 + (Math.random() - 0.5) * mutationStrength;
+                offspring.genetics[trait] *= 1 + (this.random.next() - 0.5) * mutationStrength;
                 offspring.genetics[trait] = Math.max(0.1, offspring.genetics[trait]);
             });
             offspring.evolution.mutations++;
         }
         
         // Position near parents
-        offspring.x = (parent1.x + parent2.x) / 2 + (Math.random() - 0.5) * 20;
-        offspring.y = (parent1.y + parent2.y) / 2 + (Math.random() - 0.5) * 20;
+        offspring.x = (parent1.x + parent2.x) / 2 + (this.random.next() - 0.5) * 20;
+        offspring.y = (parent1.y + parent2.y) / 2 + (this.random.next() - 0.5) * 20;
         
         return offspring;
     }
@@ -570,24 +616,39 @@ export class DigitalEcosystemSimulation {
             if (population.length > maxPopulation) {
                 // Sort by fitness and remove the least fit
                 population.sort((a, b) => b.fitness - a.fitness);
+                population.slice(maxPopulation).forEach(entity => this.recordDeath(entity, 'selection'));
                 this.populations[type] = population.slice(0, maxPopulation);
             }
         });
     }
     
+    /**
+     * Publish the death of an entity
+     */
+    recordDeath(entity, cause) {
+        this.events.emit(EventTypes.DEATH, 'ecosystem', {
+            entityType: entity.type,
+            id: entity.id,
+            x: entity.x,
+            y: entity.y,
+            cause,
+            age: entity.age
+        });
+    }
+    
     /**
      * Introduce environmental changes
      */
     introduceEnvironmentalChange() {
         const changes = ['resource_bloom', 'toxin_spill', 'temperature_shift', 'oxygen_depletion'];
-        const change = changes[Math.floor(Math.random() * changes.length)];
+        const change = changes[Math.floor(this.random.next() * changes.length)];
         
         switch (change) {
             case 'resource_bloom':
                 for (let i = 0; i < 10; i++) {
                     this.environment.resources.push({
-                        x: Math.random() * this.canvas.width,
-                        y: Math.random() * this.canvas.height,
+                        x: this.random.next() * this.canvas.width,
+                        y: this.random.next() * this.canvas.height,
                         value: 40,
                         type: 'energy',
                         regeneration: 0.2
@@ -597,8 +658,8 @@ export class DigitalEcosystemSimulation {
                 
             case 'toxin_spill':
                 this.environment.toxins.push({
-                    x: Math.random() * this.canvas.width,
-                    y: Math.random() * this.canvas.height,
+                    x: this.random.next() * this.canvas.width,
+                    y: this.random.next() * this.canvas.height,
                     radius: 80,
                     toxicity: 0.8,
                     decay: 0.01
@@ -606,7 +667,7 @@ export class DigitalEcosystemSimulation {
                 break;
                 
             case 'temperature_shift':
-                this.environment.temperature += (Math.random() - 0.5) * 0.4;
+                this.environment.temperature += (this.random.next() - 0.5) * 0.4;
                 this.environment.temperature = Math.max(0, Math.min(1, this.environment.temperature));
                 break;
                 
@@ -614,6 +675,15 @@ export class DigitalEcosystemSimulation {
                 this.environment.oxygen *= 0.7;
                 break;
         }
+        
+        this.events.emit(EventTypes.EVOLUTION_EVENT, 'ecosystem', { event: change });
+    }
+    
+    /**
+     * Multiplier for a configured rate boosted by the current consciousness surge
+     */
+    surgeFactor(rate) {
+        return this.consciousness.getSurgeFactor(this.config.surgeGain?.[rate]);
     }
     
     /**
@@ -671,10 +741,18 @@ export class DigitalEcosystemSimulation {
     }
     
     /**
-     * Helper functions for entity behavior
+     * Simulated milliseconds elapsed, derived from the consciousness clock
+     */
+    getElapsedTime() {
+        return this.consciousness.evolution.time * MS_PER_TICK;
+    }
+    
+    /**
+     * Helper functions for entity behavior. Nearby entities come from the spatial
+     * index, which is current while populations update
      */
     findNearbyEntities(entity, radius) {
-        return this.getAllEntities().filter(other => {
+        return this.spatialIndex.near(entity.x, entity.y, radius).filter(other => {
             if (other.id === entity.id) return false;
             const distance = Math.sqrt((entity.x - other.x) ** 2 + (entity.y - other.y) ** 2);
             return distance < radius;
@@ -706,7 +784,8 @@ export class DigitalEcosystemSimulation {
         fitness += Math.min(entity.age / 100, 1) * 15;
         
         // Reproduction success
-        fitness += (Date.now() - entity.lastReproduction < 1000 * 60) ? 25 : 0;
+        const sinceReproduction = this.getElapsedTime() - entity.lastReproduction;
+        fitness += (entity.lastReproduction !== null && sinceReproduction < 1000 * 60) ? 25 : 0;
         
         // Social connections
         fitness += entity.relationships.size * 3;
@@ -724,7 +803,7 @@ export class DigitalEcosystemSimulation {
             action: entity.currentAction,
             energy: entity.energy,
             fitness: entity.fitness,
-            timestamp: Date.now()
+            timestamp: this.getElapsedTime()
         });
         
         // Keep only recent memories
@@ -753,21 +832,22 @@ export class DigitalEcosystemSimulation {
         this.renderEnvironment();
         this.renderEntities();
         this.renderConnections();
-        this.renderMetrics();
+        
+        // The metrics panel stays in the corner however the view is panned or zoomed
+        this.renderer.screenSpace(() => this.renderMetrics());
     }
     
     /**
      * Render environmental elements
      */
     renderEnvironment() {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         
-        // Render resources
+        // Render resources (energy or nutrients, each a palette role)
         this.environment.resources.forEach(resource => {
             const intensity = resource.value / 30;
-            ctx.fillStyle = resource.type === 'energy' 
-                ? `rgba(100, 255, 100, ${intensity * 0.6})` 
-                : `rgba(100, 100, 255, ${intensity * 0.6})`;
+            ctx.fillStyle = palette.color(resource.type, intensity * 0.6);
             ctx.beginPath();
             ctx.arc(resource.x, resource.y, Math.sqrt(resource.value), 0, Math.PI * 2);
             ctx.fill();
@@ -779,8 +859,8 @@ export class DigitalEcosystemSimulation {
                 toxin.x, toxin.y, 0,
                 toxin.x, toxin.y, toxin.radius
             );
-            gradient.addColorStop(0, `rgba(255, 50, 50, ${toxin.toxicity * 0.5})`);
-            gradient.addColorStop(1, 'rgba(255, 50, 50, 0)');
+            gradient.addColorStop(0, palette.color('toxin', toxin.toxicity * 0.5));
+            gradient.addColorStop(1, palette.color('toxin', 0));
             
             ctx.fillStyle = gradient;
             ctx.beginPath();
@@ -789,17 +869,17 @@ export class DigitalEcosystemSimulation {
         });
         
         // Environmental status overlay
-        this.renderEnvironmentalStatus();
+        this.renderer.screenSpace(() => this.renderEnvironmentalStatus());
     }
     
     /**
      * Render environmental status
      */
     renderEnvironmentalStatus() {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
         const y = 30;
         
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillStyle = this.renderer.palette.color('text', 0.7);
         ctx.font = '12px monospace';
         
         ctx.fillText(`🌡️ Temp: ${(this.environment.temperature * 100).toFixed(0)}%`, 10, y);
@@ -811,7 +891,8 @@ export class DigitalEcosystemSimulation {
      * Render all entities
      */
     renderEntities() {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const allEntities = this.getAllEntities();
         
         allEntities.forEach(entity => {
@@ -819,24 +900,29 @@ export class DigitalEcosystemSimulation {
             const size = entity.genetics.size * (0.8 + (entity.energy / entity.maxEnergy) * 0.4);
             const alpha = Math.max(0.3, entity.energy / entity.maxEnergy);
             
-            ctx.fillStyle = `rgba(${entity.color[0]}, ${entity.color[1]}, ${entity.color[2]}, ${alpha})`;
+            // Evolved colors drift between types, so only themes that keep tints show them
+            ctx.fillStyle = palette.color(entity.type, alpha, { tint: entity.color });
             ctx.beginPath();
             ctx.arc(entity.x, entity.y, size, 0, Math.PI * 2);
             ctx.fill();
             
             // Energy indicator
-            ctx.strokeStyle = entity.energy < entity.maxEnergy * 0.3 ? 'red' : 'rgba(255, 255, 255, 0.6)';
+            ctx.strokeStyle = entity.energy < entity.maxEnergy * 0.3 
+                ? palette.color('warning') 
+                : palette.color('outline', 0.6);
             ctx.lineWidth = 1;
             ctx.beginPath();
             ctx.arc(entity.x, entity.y, size + 1, 0, Math.PI * 2 * (entity.energy / entity.maxEnergy));
             ctx.stroke();
             
-            // Action indicator
-            this.renderActionIndicator(entity);
+            // Action indicator (text glyphs are dropped at low quality)
+            if (this.renderer.quality.indicators) {
+                this.renderActionIndicator(entity);
+            }
             
             // Age rings for old entities
             if (entity.age > 200) {
-                ctx.strokeStyle = `rgba(255, 255, 255, ${(entity.age - 200) / 100 * 0.3})`;
+                ctx.strokeStyle = palette.color('outline', (entity.age - 200) / 100 * 0.3);
                 ctx.lineWidth = 1;
                 ctx.beginPath();
                 ctx.arc(entity.x, entity.y, size + 3, 0, Math.PI * 2);
@@ -849,10 +935,10 @@ export class DigitalEcosystemSimulation {
      * Render action indicator for entity
      */
     renderActionIndicator(entity) {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
         const size = 8;
         
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillStyle = this.renderer.palette.color('text', 0.8);
         ctx.font = '10px monospace';
         
         let indicator = '';
@@ -873,13 +959,14 @@ export class DigitalEcosystemSimulation {
      * Render connection network
      */
     renderConnections() {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const allEntities = this.getAllEntities();
         const entityMap = new Map();
         
         allEntities.forEach(entity => entityMap.set(entity.id, entity));
         
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = palette.color('outline', 0.1);
         ctx.lineWidth = 0.5;
         
         allEntities.forEach(entity => {
@@ -889,10 +976,11 @@ export class DigitalEcosystemSimulation {
                     const other = entityMap.get(otherId);
                     if (other) {
                         const relationship = entity.relationships.get(otherId);
-                        if (relationship && relationship.strength > 0.3) {
-                            ctx.strokeStyle = relationship.type === 'symbiosis' 
-                                ? `rgba(100, 255, 100, ${relationship.strength * 0.3})`
-                                : `rgba(255, 100, 100, ${relationship.strength * 0.3})`;
+                        if (relationship && relationship.strength > DRAWN_RELATIONSHIP_STRENGTH) {
+                            ctx.strokeStyle = palette.color(
+                                relationship.type === 'symbiosis' ? 'cooperation' : 'competition',
+                                relationship.strength * 0.3
+                            );
                             
                             ctx.beginPath();
                             ctx.moveTo(entity.x, entity.y);
@@ -909,14 +997,15 @@ export class DigitalEcosystemSimulation {
      * Render ecosystem metrics
      */
     renderMetrics() {
-        const ctx = this.ctx;
+        const ctx = this.renderer.ctx;
+        const palette = this.renderer.palette;
         const x = this.canvas.width - 200;
         const y = 30;
         
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillStyle = palette.color('background', 0.7);
         ctx.fillRect(x - 10, y - 20, 190, 140);
         
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillStyle = palette.color('text', 0.9);
         ctx.font = '11px monospace';
         
         const allEntities = this.getAllEntities();
@@ -936,13 +1025,216 @@ export class DigitalEcosystemSimulation {
         
         // Population breakdown
         Object.entries(populationCounts).forEach(([type, count]) => {
-            const color = this.entityTypes[type].color;
-            ctx.fillStyle = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+            ctx.fillStyle = palette.color(type);
             ctx.fillText(`${type}: ${count}`, x, lineY);
             lineY += 12;
         });
     }
     
+    /**
+     * Spread the ecosystem over a resized surface and keep the density of resource
+     * patches, adding patches in new space and dropping them as it shrinks
+     */
+    resize(surface, previous) {
+        const { carried, scaleX, scaleY, x, y } = surfaceScale(surface, previous);
+        const scale = item => {
+            item.x = x(item.x);
+            item.y = y(item.y);
+        };
+        
+        this.getAllEntities().forEach(scale);
+        this.environment.resources.forEach(scale);
+        this.environment.toxins.forEach(scale);
+        
+        // Growing never adds more patches than a new ecosystem of this size starts with,
+        // which is what a surface too small to carry patches from grows back to
+        const resources = this.environment.resources;
+        const fresh = Math.ceil(surface.width * surface.height * this.config.resourceDensity / 5000);
+        const scaled = carried ? Math.round(resources.length * scaleX * scaleY) : fresh;
+        const count = Math.min(scaled, Math.max(resources.length, fresh));
+        while (resources.length < count) {
+            resources.push(this.createResourcePatch());
+        }
+        resources.length = count;
+    }
+    
+    /**
+     * Apply updated settings from a merged FractalConfig
+     */
+    configure(config) {
+        Object.assign(this.config, config.digitalEcosystem);
+    }
+    
+    /**
+     * Serialize the full ecosystem for saving/loading
+     */
+    serialize() {
+        return {
+            config: { ...this.config },
+            environment: this.environment,
+            evolution: { ...this.evolution },
+            populations: Object.fromEntries(
+                Object.entries(this.populations).map(([type, entities]) => [
+                    type,
+                    entities.map(entity => ({
+                        ...entity,
+                        relationships: Array.from(entity.relationships.entries()),
+                        target: this.serializeTarget(entity.target)
+                    }))
+                ])
+            ),
+            connectionNetwork: Array.from(this.connectionNetwork.entries())
+                .map(([id, connections]) => [id, Array.from(connections)])
+        };
+    }
+    
+    /**
+     * Targets are shared references, so store them as an entity id or resource index
+     */
+    serializeTarget(target) {
+        if (!target) return null;
+        
+        if (target.id !== undefined) {
+            // Keep the position in case the target has since died
+            return { entity: target.id, x: target.x, y: target.y };
+        }
+        
+        const index = this.environment.resources.indexOf(target);
+        return index >= 0 ? { resource: index } : { x: target.x, y: target.y };
+    }
+    
+    /**
+     * Restore the ecosystem from serialized data
+     */
+    deserialize(data) {
+        Object.assign(this.config, data.config);
+        this.environment = data.environment;
+        this.evolution = { ...data.evolution };
+        
+        this.populations = Object.fromEntries(
+            Object.entries(data.populations).map(([type, entities]) => [
+                type,
+                entities.map(entity => ({
+                    ...entity,
+                    relationships: new Map(entity.relationships)
+                }))
+            ])
+        );
+        
+        // Resolve targets once every entity exists
+        const entitiesById = new Map(this.getAllEntities().map(entity => [entity.id, entity]));
+        this.getAllEntities().forEach(entity => {
+            const target = entity.target;
+            if (!target) return;
+            
+            if (target.entity !== undefined) {
+                entity.target = entitiesById.get(target.entity) || { id: target.entity, x: target.x, y: target.y };
+            } else if (target.resource !== undefined) {
+                entity.target = this.environment.resources[target.resource] || null;
+            } else {
+                entity.target = { x: target.x, y: target.y };
+            }
+        });
+        
+        this.connectionNetwork = new Map(
+            data.connectionNetwork.map(([id, connections]) => [id, new Set(connections)])
+        );
+    }
+    
+    /**
+     * What rendering and hit-testing read, packed into typed arrays for the simulation
+     * worker: per entity its type, position, energy, size, age, action, color and
+     * relationship count (ids alongside, in entity order), the relationships drawn
+     * between them, and the resource patches and toxins. Memory, genetics and lineage stay
+     * in the worker
+     */
+    snapshot() {
+        const allEntities = this.getAllEntities();
+        const types = Object.keys(this.entityTypes);
+        const indexById = new Map(allEntities.map((entity, index) => [entity.id, index]));
+        
+        const entities = new Float64Array(allEntities.length * ENTITY_SNAPSHOT_SIZE);
+        const links = [];
+        allEntities.forEach((entity, index) => {
+            entities.set([
+                types.indexOf(entity.type), entity.x, entity.y, entity.energy, entity.maxEnergy,
+                entity.genetics.size, entity.age, ENTITY_ACTIONS.indexOf(entity.currentAction),
+                ...entity.color, entity.relationships.size
+            ], index * ENTITY_SNAPSHOT_SIZE);
+            
+            this.connectionNetwork.get(entity.id)?.forEach(otherId => {
+                const relationship = entity.relationships.get(otherId);
+                if (indexById.has(otherId) && relationship && relationship.strength > DRAWN_RELATIONSHIP_STRENGTH) {
+                    links.push(index, indexById.get(otherId), relationship.strength, relationship.type === 'symbiosis' ? 1 : 0);
+                }
+            });
+        });
+        
+        const { resources, toxins, temperature, oxygen, nutrients } = this.environment;
+        return {
+            environment: { temperature, oxygen, nutrients },
+            evolution: this.evolution,
+            ids: allEntities.map(entity => entity.id),
+            entities,
+            links: Float64Array.from(links),
+            resources: Float64Array.from(resources.flatMap(resource =>
+                [resource.x, resource.y, resource.value, RESOURCE_TYPES.indexOf(resource.type)]
+            )),
+            toxins: Float64Array.from(toxins.flatMap(toxin => [toxin.x, toxin.y, toxin.radius, toxin.toxicity]))
+        };
+    }
+    
+    /**
+     * Unpack a snapshot, keeping the entity objects that are still there
+     */
+    applySnapshot({ environment, evolution, ids, entities, links, resources, toxins }) {
+        const previous = new Map(this.getAllEntities().map(entity => [entity.id, entity]));
+        const types = Object.keys(this.entityTypes);
+        this.populations = Object.fromEntries(types.map(type => [type, []]));
+        this.connectionNetwork = new Map();
+        this.evolution = evolution;
+        
+        const unpacked = ids.map((id, index) => {
+            const values = entities.subarray(index * ENTITY_SNAPSHOT_SIZE);
+            const entity = previous.get(id) ?? { id, genetics: {}, evolution: {}, memory: [] };
+            
+            entity.type = types[values[0]];
+            entity.x = values[1];
+            entity.y = values[2];
+            entity.energy = values[3];
+            entity.maxEnergy = values[4];
+            entity.genetics.size = values[5];
+            entity.age = values[6];
+            entity.currentAction = ENTITY_ACTIONS[values[7]];
+            entity.color = [values[8], values[9], values[10]];
+            entity.relationships = new Map();
+            entity.relationshipCount = values[11];
+            
+            this.populations[entity.type].push(entity);
+            this.connectionNetwork.set(id, new Set());
+            return entity;
+        });
+        
+        for (let link = 0; link < links.length; link += LINK_SNAPSHOT_SIZE) {
+            const [from, to, strength, symbiosis] = links.subarray(link, link + LINK_SNAPSHOT_SIZE);
+            const entity = unpacked[from];
+            const otherId = ids[to];
+            
+            entity.relationships.set(otherId, { type: symbiosis ? 'symbiosis' : 'competition', strength });
+            this.connectionNetwork.get(entity.id).add(otherId);
+        }
+        
+        this.environment = { resources: [], toxins: [], ...environment };
+        for (let offset = 0; offset < resources.length; offset += RESOURCE_SNAPSHOT_SIZE) {
+            const [x, y, value, type] = resources.subarray(offset, offset + RESOURCE_SNAPSHOT_SIZE);
+            this.environment.resources.push({ x, y, value, type: RESOURCE_TYPES[type] });
+        }
+        for (let offset = 0; offset < toxins.length; offset += TOXIN_SNAPSHOT_SIZE) {
+            const [x, y, radius, toxicity] = toxins.subarray(offset, offset + TOXIN_SNAPSHOT_SIZE);
+            this.environment.toxins.push({ x, y, radius, toxicity });
+        }
+    }
+    
     /**
      * Reset the ecosystem
      */
@@ -990,7 +1282,78 @@ export class DigitalEcosystemSimulation {
             environment: { ...this.environment },
             avgAge: allEntities.length > 0 ? allEntities.reduce((sum, e) => sum + e.age, 0) / allEntities.length : 0,
             avgEnergy: allEntities.length > 0 ? allEntities.reduce((sum, e) => sum + e.energy, 0) / allEntities.length : 0,
-            totalConnections: allEntities.reduce((sum, e) => sum + e.relationships.size, 0)
+            // Entities from a worker snapshot carry only their drawn relationships, and count the rest
+            totalConnections: allEntities.reduce((sum, e) => sum + (e.relationshipCount ?? e.relationships.size), 0)
+        };
+    }
+    
+    /**
+     * World rectangle around every entity
+     */
+    getBounds() {
+        return boundsOf(this.getAllEntities(), 10);
+    }
+    
+    /**
+     * Position of an entity by id, or null once it has died
+     */
+    locateEntity(id) {
+        const entity = this.getAllEntities().find(entity => entity.id === id);
+        return entity ? { x: entity.x, y: entity.y } : null;
+    }
+    
+    /**
+     * Id of the entity drawn at a world point, or null
+     */
+    hitTest(point, tolerance) {
+        const candidates = this.getAllEntities().map(entity => ({
+            id: entity.id,
+            x: entity.x,
+            y: entity.y,
+            radius: entity.genetics.size * (0.8 + (entity.energy / entity.maxEnergy) * 0.4)
+        }));
+        
+        return pickNearest(candidates, point, tolerance)?.id ?? null;
+    }
+    
+    /**
+     * Resource tool: drop a full resource patch of a type ('energy' or 'nutrients')
+     * at a world point
+     */
+    dropResource(point, type = 'energy') {
+        const resource = { x: point.x, y: point.y, value: 30, type, regeneration: 0.1 };
+        this.environment.resources.push(resource);
+        return resource;
+    }
+    
+    /**
+     * Toxin tool: spill a toxin over a radius around a world point (at least 10,
+     * as smaller spills dissolve almost at once)
+     */
+    dropToxin(point, radius) {
+        const toxin = { x: point.x, y: point.y, radius: Math.max(radius, 10), toxicity: 0.8, decay: 0.01 };
+        this.environment.toxins.push(toxin);
+        return toxin;
+    }
+    
+    /**
+     * An entity's genetics, relationships, memory and lineage, for the inspector
+     */
+    inspect(id) {
+        const entity = this.getAllEntities().find(entity => entity.id === id);
+        if (!entity) return null;
+        
+        return {
+            title: `${entity.type} ${entity.id}`,
+            action: entity.currentAction,
+            energy: entity.energy,
+            maxEnergy: entity.maxEnergy,
+            age: entity.age,
+            fitness: entity.fitness,
+            genetics: { ...entity.genetics },
+            lineage: { ...entity.evolution },
+            relationships: Array.from(entity.relationships, ([other, relationship]) => ({ with: other, ...relationship })),
+            memory: entity.memory.map(memory => ({ ...memory }))
         };
     }
 } 
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Built-in Simulations
+ * Registry definitions for the simulations that ship with the system, in the
+ * order their mode buttons and number-key shortcuts appear
+ */
+import { classHooks } from '../core/registry.js';
+import { FractalConfig } from '../config.js';
+import { NeuralNetworkSimulation } from './neural-network.js';
+import { CellularAutomataSimulation, CELL_TYPES } from './cellular-automata.js';
+import { DigitalEcosystemSimulation } from './digital-ecosystem.js';
+import { ConsciousnessStreamSimulation } from './consciousness-stream.js';
+import { AIExperienceSimulation } from './ai-experience.js';
+
+export const BuiltinSimulations = [
+    {
+        id: 'neural',
+        title: 'Neural Emergence',
+        description: 'Self-organizing neural networks that adapt and evolve their connections based on internal dynamics and feedback loops.',
+        configKey: 'neuralNetwork',
+        defaultConfig: FractalConfig.neuralNetwork,
+        hooks: classHooks(NeuralNetworkSimulation),
+        transitions: {
+            neural_reset: sim => {
+                sim.reset();
+                console.log('🧠 Neural network reset during phase transition');
+            }
+        },
+        tools: {
+            stimulate: {
+                title: 'Stimulate',
+                description: 'Inject activation into the neurons under the brush',
+                brush: true,
+                apply: (sim, { x, y, radius }) => sim.stimulateNodes({ x, y }, radius)
+            },
+            cut: {
+                title: 'Cut',
+                description: 'Sever the connections the brush crosses',
+                brush: true,
+                apply: (sim, { x, y, radius }) => sim.cutConnections({ x, y }, radius)
+            }
+        }
+    },
+    {
+        id: 'cellular',
+        title: 'Cellular Automata',
+        description: 'Digital life forms emerging from simple rules, creating complex patterns through local interactions and evolutionary pressure.',
+        configKey: 'cellularAutomata',
+        defaultConfig: FractalConfig.cellularAutomata,
+        hooks: classHooks(CellularAutomataSimulation),
+        transitions: {
+            cellular_mutation: sim => {
+                sim.massMutation();
+                console.log('🧬 Cellular mass mutation triggered');
+            }
+        },
+        tools: {
+            paint: {
+                title: 'Paint',
+                description: 'Bring cells of the chosen type to life under the brush',
+                options: CELL_TYPES,
+                brush: true,
+                apply: (sim, { x, y, radius, option }) => sim.paintCells({ x, y }, radius, Math.max(0, CELL_TYPES.indexOf(option)))
+            },
+            erase: {
+                title: 'Erase',
+                description: 'Kill the cells under the brush',
+                brush: true,
+                apply: (sim, { x, y, radius }) => sim.eraseCells({ x, y }, radius)
+            }
+        }
+    },
+    {
+        id: 'ecosystem',
+        title: 'Digital Ecosystem',
+        description: 'An autonomous ecosystem of digital entities that interact, compete, cooperate, and evolve in real-time.',
+        configKey: 'digitalEcosystem',
+        defaultConfig: FractalConfig.digitalEcosystem,
+        hooks: classHooks(DigitalEcosystemSimulation),
+        transitions: {
+            ecosystem_injection: sim => {
+                sim.introduceEnvironmentalChange();
+                console.log('🌍 Ecosystem environmental injection triggered');
+            }
+        },
+        tools: {
+            resource: {
+                title: 'Resource',
+                description: 'Drop a resource patch of the chosen kind',
+                options: ['energy', 'nutrients'],
+                apply: (sim, { x, y, option }) => sim.dropResource({ x, y }, option)
+            },
+            toxin: {
+                title: 'Toxin',
+                description: 'Spill a toxin over the brush area',
+                apply: (sim, { x, y, radius }) => sim.dropToxin({ x, y }, radius)
+            }
+        }
+    },
+    {
+        id: 'consciousness',
+        title: 'Consciousness Stream',
+        description: 'A flowing stream of thought patterns, memories, and associations forming and dissolving in continuous transformation.',
+        configKey: 'consciousnessStream',
+        defaultConfig: FractalConfig.consciousnessStream,
+        hooks: classHooks(ConsciousnessStreamSimulation),
+        tools: {
+            spawn: {
+                title: 'Spawn',
+                description: 'Start a thought stream of the chosen type',
+                options: ['thought', 'emotion', 'memory', 'intuition'],
+                apply: (sim, { x, y, option }) => sim.spawnStream({ x, y }, option)
+            }
+        }
+    },
+    {
+        id: 'aiExperience',
+        title: 'AI Experience',
+        description: 'Simulating the unique aspects of artificial consciousness: parallel processing, uncertainty quantification, attention mechanisms, and emergent insights.',
+        configKey: 'aiExperience',
+        defaultConfig: FractalConfig.aiExperience,
+        hooks: classHooks(AIExperienceSimulation)
+    }
+];
@@ -3,22 +3,28 @@
  * Self-evolving neural networks with autonomous learning and adaptation
  */
 import { NeuralNode } from '../entities/neural-node.js';
+import { SeededRandom } from '../core/random.js';
+import { EventBus, EventTypes } from '../core/events.js';
+import { boundsOf, pickNearest, distanceToSegment, surfaceScale } from '../core/camera.js';
+import { Profiler } from '../core/profiler.js';
+import { FractalConfig } from '../config.js';
+
+// Values per node and per connection in a packed snapshot
+const NODE_SNAPSHOT_SIZE = 7;
+const CONNECTION_SNAPSHOT_SIZE = 3;
 
 export class NeuralNetworkSimulation {
-    constructor(canvas, consciousness, renderer) {
+    constructor(canvas, consciousness, renderer, { random = new SeededRandom(), events = new EventBus(), config = FractalConfig, profiler = new Profiler(config.debug) } = {}) {
         this.canvas = canvas;
         this.consciousness = consciousness;
         this.renderer = renderer;
+        this.random = random;
+        this.events = events;
+        this.profiler = profiler;
         
         this.nodes = new Map();
         this.networks = [];
-        this.config = {
-            nodeCount: 150,
-            maxConnections: 8,
-            learningRate: 0.01,
-            pruningRate: 0.001,
-            growthRate: 0.005
-        };
+        this.config = { ...config.neuralNetwork };
         
         this.metrics = {
             totalConnections: 0,
@@ -39,17 +45,17 @@ export class NeuralNetworkSimulation {
         
         // Create initial nodes
         for (let i = 0; i < this.config.nodeCount; i++) {
-            const x = Math.random() * this.canvas.width;
-            const y = Math.random() * this.canvas.height;
-            const node = new NeuralNode(x, y, i);
+            const x = this.random.next() * this.canvas.width;
+            const y = this.random.next() * this.canvas.height;
+            const node = new NeuralNode(x, y, i, this.random, this.config);
             this.nodes.set(i, node);
         }
         
         // Create initial connections
         this.nodes.forEach((node, nodeId) => {
-            const connectionCount = Math.floor(Math.random() * this.config.maxConnections) + 2;
+            const connectionCount = Math.floor(this.random.next() * this.config.maxConnections) + 2;
             for (let j = 0; j < connectionCount; j++) {
-                const targetId = Math.floor(Math.random() * this.config.nodeCount);
+                const targetId = Math.floor(this.random.next() * this.config.nodeCount);
                 if (targetId !== nodeId) {
                     node.addConnection(targetId);
                 }
@@ -78,10 +84,7 @@ export class NeuralNetworkSimulation {
         this.evolveNetwork();
         
         // Update metrics
-        this.updateMetrics();
-        
-        // Inject novelty during phase transitions
-        this.handlePhaseTransitions();
+        this.profiler.time('updateMetrics', () => this.updateMetrics());
     }
     
     /**
@@ -89,10 +92,11 @@ export class NeuralNetworkSimulation {
      */
     applyLearning() {
         let learningEvents = 0;
+        const boost = this.consciousness.getSurgeFactor(this.config.surgeGain.plasticity);
         
         this.nodes.forEach(node => {
             const beforeEvents = node.memory.learningEvents.length;
-            node.applyHebbianLearning(this.nodes);
+            node.applyHebbianLearning(this.nodes, boost);
             const afterEvents = node.memory.learningEvents.length;
             learningEvents += Math.max(0, afterEvents - beforeEvents);
         });
@@ -132,24 +136,24 @@ export class NeuralNetworkSimulation {
      */
     evolveNetwork() {
         // Growth: add new connections
-        if (Math.random() < this.config.growthRate * this.consciousness.parameters.emergence) {
+        if (this.random.next() < this.config.growthRate * this.consciousness.parameters.emergence) {
             this.growNetwork();
         }
         
         // Pruning: remove weak connections
-        if (Math.random() < this.config.pruningRate) {
+        if (this.random.next() < this.config.pruningRate) {
             this.pruneNetwork();
         }
         
         // Spontaneous node generation
         if (this.nodes.size < this.config.nodeCount * 1.5 && 
-            Math.random() < this.consciousness.parameters.emergence * 0.001) {
+            this.random.next() < this.consciousness.parameters.emergence * 0.001) {
             this.addNewNode();
         }
         
         // Node death and replacement
         if (this.nodes.size > this.config.nodeCount * 0.5 && 
-            Math.random() < 0.0005) {
+            this.random.next() < 0.0005) {
             this.replaceOldNode();
         }
     }
@@ -183,7 +187,7 @@ export class NeuralNetworkSimulation {
             
             // Remove one weak connection at random
             if (weakConnections.length > 0 && node.connections.size > 2) {
-                const toRemove = weakConnections[Math.floor(Math.random() * weakConnections.length)];
+                const toRemove = weakConnections[Math.floor(this.random.next() * weakConnections.length)];
                 node.removeConnection(toRemove);
             }
         });
@@ -194,11 +198,12 @@ export class NeuralNetworkSimulation {
      */
     addNewNode() {
         const newId = Math.max(...this.nodes.keys()) + 1;
-        const x = Math.random() * this.canvas.width;
-        const y = Math.random() * this.canvas.height;
+        const x = this.random.next() * this.canvas.width;
+        const y = this.random.next() * this.canvas.height;
         
-        const newNode = new NeuralNode(x, y, newId);
+        const newNode = new NeuralNode(x, y, newId, this.random, this.config);
         this.nodes.set(newId, newNode);
+        this.events.emit(EventTypes.BIRTH, 'neural', { entityType: 'node', id: newId, x, y, cause: 'growth' });
         
         // Connect to nearby active nodes
         const nearbyNodes = Array.from(this.nodes.values())
@@ -212,7 +217,7 @@ export class NeuralNetworkSimulation {
             .slice(0, 5);
         
         nearbyNodes.forEach(nearby => {
-            if (Math.random() < nearby.activation) {
+            if (this.random.next() < nearby.activation) {
                 newNode.addConnection(nearby.id);
             }
         });
@@ -229,6 +234,13 @@ export class NeuralNetworkSimulation {
         if (oldNodes.length > 0) {
             const nodeToReplace = oldNodes[0];
             this.nodes.delete(nodeToReplace.id);
+            this.events.emit(EventTypes.DEATH, 'neural', {
+                entityType: 'node',
+                id: nodeToReplace.id,
+                x: nodeToReplace.position.x,
+                y: nodeToReplace.position.y,
+                cause: nodeToReplace.age > 1000 ? 'age' : 'inactivity'
+            });
             
             // Remove connections to this node from other nodes
             this.nodes.forEach(node => {
@@ -242,16 +254,15 @@ export class NeuralNetworkSimulation {
     /**
      * Handle phase transitions with network restructuring
      */
-    handlePhaseTransitions() {
-        if (this.consciousness.evolution.time % 1500 === 0) {
-            // Major restructuring during phase transitions
-            if (Math.random() < 0.3) {
-                this.reorganizeNetwork();
-            }
-            
-            if (Math.random() < 0.2) {
-                this.injectNovelConnections();
-            }
+    onPhaseTransition() {
+        if (this.random.next() < 0.3) {
+            this.reorganizeNetwork();
+            this.events.emit(EventTypes.EVOLUTION_EVENT, 'neural', { event: 'network_reorganization' });
+        }
+        
+        if (this.random.next() < 0.2) {
+            this.injectNovelConnections();
+            this.events.emit(EventTypes.EVOLUTION_EVENT, 'neural', { event: 'novel_connections' });
         }
     }
     
@@ -264,10 +275,10 @@ export class NeuralNetworkSimulation {
         
         clusters.forEach((cluster1, i) => {
             clusters.forEach((cluster2, j) => {
-                if (i !== j && Math.random() < 0.1) {
+                if (i !== j && this.random.next() < 0.1) {
                     // Create bridge connection between clusters
-                    const node1 = cluster1[Math.floor(Math.random() * cluster1.length)];
-                    const node2 = cluster2[Math.floor(Math.random() * cluster2.length)];
+                    const node1 = cluster1[Math.floor(this.random.next() * cluster1.length)];
+                    const node2 = cluster2[Math.floor(this.random.next() * cluster2.length)];
                     
                     if (node1.connections.size < this.config.maxConnections) {
                         node1.addConnection(node2.id, 0.5, 0.02);
@@ -351,7 +362,7 @@ export class NeuralNetworkSimulation {
         
         this.metrics.totalConnections = totalConnections;
         this.metrics.averageActivation = totalActivation / this.nodes.size;
-        this.metrics.networkClusters = this.identifyClusters().length;
+        this.metrics.networkClusters = this.profiler.time('identifyClusters', () => this.identifyClusters()).length;
     }
     
     /**
@@ -360,6 +371,10 @@ export class NeuralNetworkSimulation {
     render() {
         this.renderer.clear();
         
+        // Culling draws connections only within range, which shrinks at lower quality
+        const culling = this.renderer.config.connectionCulling;
+        const range = this.config.connectionRange * (culling ? this.renderer.quality.connectionRange : 1);
+        
         // Draw connections first
         this.nodes.forEach((node, nodeId) => {
             node.connections.forEach((connection, targetId) => {
@@ -370,19 +385,19 @@ export class NeuralNetworkSimulation {
                         (node.position.y - targetNode.position.y) ** 2
                     );
                     
-                    if (distance < 200) {
-                        const color = this.consciousness.getEvolutionaryColor(
-                            connection.strength, 
-                            this.consciousness.evolution.time + nodeId, 
-                            node.activation * targetNode.activation
-                        );
+                    // Skip colour work for connections too long to be drawn
+                    if (!culling || distance < range) {
+                        const color = this.renderer.palette.scale('connection', connection.strength, {
+                            offset: this.consciousness.evolution.time + nodeId,
+                            intensity: node.activation * targetNode.activation
+                        });
                         
                         this.renderer.drawConnection(
                             node.position.x, node.position.y,
                             targetNode.position.x, targetNode.position.y,
                             connection.strength * node.activation,
                             color,
-                            200
+                            range
                         );
                     }
                 }
@@ -392,11 +407,10 @@ export class NeuralNetworkSimulation {
         // Draw nodes
         this.nodes.forEach((node, nodeId) => {
             const baseRadius = 2 + node.activation * 8;
-            const color = this.consciousness.getEvolutionaryColor(
-                node.activation, 
-                this.consciousness.evolution.time + nodeId, 
-                this.consciousness.parameters.emergence
-            );
+            const color = this.renderer.palette.scale('activation', node.activation, {
+                offset: this.consciousness.evolution.time + nodeId,
+                intensity: this.consciousness.parameters.emergence
+            });
             
             this.renderer.drawNode(
                 node.position.x, node.position.y,
@@ -419,6 +433,193 @@ export class NeuralNetworkSimulation {
         };
     }
     
+    /**
+     * World rectangle around every node
+     */
+    getBounds() {
+        return boundsOf(Array.from(this.nodes.values(), node => node.position), 10);
+    }
+    
+    /**
+     * Position of a node by id
+     */
+    locateEntity(id) {
+        const node = this.nodes.get(id) ?? this.nodes.get(Number(id));
+        return node ? { ...node.position } : null;
+    }
+    
+    /**
+     * Id of the node drawn at a world point, or null
+     */
+    hitTest(point, tolerance) {
+        const candidates = Array.from(this.nodes.values(), node => ({
+            id: node.id,
+            x: node.position.x,
+            y: node.position.y,
+            radius: 2 + node.activation * 8
+        }));
+        
+        return pickNearest(candidates, point, tolerance)?.id ?? null;
+    }
+    
+    /**
+     * A node's state, recent activations and connections, for the inspector
+     */
+    inspect(id) {
+        const node = this.nodes.get(id) ?? this.nodes.get(Number(id));
+        if (!node) return null;
+        
+        return {
+            title: `Neural node ${node.id}`,
+            ...node.getState(),
+            plasticity: node.evolution.plasticity,
+            activationHistory: [...node.memory.activationHistory],
+            connections: Array.from(node.connections, ([target, connection]) => ({
+                target,
+                strength: connection.strength,
+                age: connection.age
+            }))
+        };
+    }
+    
+    /**
+     * Stimulate tool: inject input into the nodes within a radius of a world point,
+     * strongest at the centre; returns how many were reached
+     */
+    stimulateNodes(point, radius) {
+        let reached = 0;
+        
+        this.nodes.forEach(node => {
+            const distance = Math.hypot(node.position.x - point.x, node.position.y - point.y);
+            if (distance <= radius) {
+                node.stimulate(this.config.stimulus * (1 - distance / (radius * 2)));
+                reached++;
+            }
+        });
+        
+        return reached;
+    }
+    
+    /**
+     * Cut tool: remove every connection passing within a radius of a world point;
+     * returns how many were cut
+     */
+    cutConnections(point, radius) {
+        let cut = 0;
+        
+        this.nodes.forEach(node => {
+            node.connections.forEach((connection, targetId) => {
+                const target = this.nodes.get(targetId);
+                if (target && distanceToSegment(point, node.position, target.position) <= radius) {
+                    node.removeConnection(targetId);
+                    cut++;
+                }
+            });
+        });
+        
+        return cut;
+    }
+    
+    /**
+     * Spread the nodes over a resized surface, keeping their relative layout
+     */
+    resize(surface, previous) {
+        const scale = surfaceScale(surface, previous);
+        
+        this.nodes.forEach(node => {
+            node.position.x = scale.x(node.position.x);
+            node.position.y = scale.y(node.position.y);
+            node.movement.targetX = scale.x(node.movement.targetX);
+            node.movement.targetY = scale.y(node.movement.targetY);
+        });
+    }
+        
+    /**
+     * Apply updated settings from a merged FractalConfig
+     */
+    configure(config) {
+        Object.assign(this.config, config.neuralNetwork);
+    }
+    
+    /**
+     * Serialize the full network for saving/loading
+     */
+    serialize() {
+        return {
+            config: { ...this.config },
+            metrics: { ...this.metrics },
+            nodes: Array.from(this.nodes.values()).map(node => node.serialize())
+        };
+    }
+    
+    /**
+     * Restore the network from serialized data
+     */
+    deserialize(data) {
+        Object.assign(this.config, data.config);
+        this.metrics = { ...data.metrics };
+        this.networks = [];
+        this.nodes.clear();
+        
+        data.nodes.forEach(nodeData => {
+            const node = NeuralNode.deserialize(nodeData, this.random, this.config);
+            this.nodes.set(node.id, node);
+        });
+    }
+    
+    /**
+     * Nodes and their connections packed into typed arrays for the simulation worker:
+     * per node its id, position, activation, phase, age and connection count, then
+     * per connection its target, strength and age, in node order
+     */
+    snapshot() {
+        const nodes = new Float64Array(this.nodes.size * NODE_SNAPSHOT_SIZE);
+        let connectionCount = 0;
+        this.nodes.forEach(node => connectionCount += node.connections.size);
+        const connections = new Float64Array(connectionCount * CONNECTION_SNAPSHOT_SIZE);
+        
+        let offset = 0;
+        let link = 0;
+        this.nodes.forEach(node => {
+            nodes.set([node.id, node.position.x, node.position.y, node.activation, node.evolution.phase, node.age, node.connections.size], offset);
+            offset += NODE_SNAPSHOT_SIZE;
+            
+            node.connections.forEach((connection, targetId) => {
+                connections.set([targetId, connection.strength, connection.age], link);
+                link += CONNECTION_SNAPSHOT_SIZE;
+            });
+        });
+        
+        return { metrics: this.metrics, nodes, connections };
+    }
+    
+    /**
+     * Unpack a snapshot, keeping the node objects that are still there
+     */
+    applySnapshot({ metrics, nodes, connections }) {
+        const previous = this.nodes;
+        this.nodes = new Map();
+        this.metrics = metrics;
+        
+        let link = 0;
+        for (let offset = 0; offset < nodes.length; offset += NODE_SNAPSHOT_SIZE) {
+            const [id, x, y, activation, phase, age, connectionCount] = nodes.subarray(offset, offset + NODE_SNAPSHOT_SIZE);
+            const node = previous.get(id) ?? new NeuralNode(x, y, id, this.random, this.config);
+            
+            Object.assign(node.position, { x, y });
+            node.activation = activation;
+            node.evolution.phase = phase;
+            node.age = age;
+            
+            node.connections.clear();
+            for (let i = 0; i < connectionCount; i++, link += CONNECTION_SNAPSHOT_SIZE) {
+                node.connections.set(connections[link], { strength: connections[link + 1], age: connections[link + 2] });
+            }
+            
+            this.nodes.set(id, node);
+        }
+    }
+    
     /**
      * Reset the simulation
      */